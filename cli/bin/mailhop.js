@@ -7,13 +7,24 @@
  * some developer helpers for working with the Workers themselves.
  *
  * Commands:
- *   list             → List all aliases
+ *   list             → List aliases a page at a time (search, filter, sort)
+ *   stale            → List aliases without mail for N days
  *   find             → Find aliases by destination email
- *   create           → Create a new alias
+ *   create           → Create a new alias (one or more destinations)
  *   delete           → Delete an alias
  *   inspect          → Show details for a single alias
- *   update           → Update forward_to / notes / allow_plus
+ *   update           → Update forward_to / notes / allow_plus / burner limits
+ *   enable / disable → Switch an alias on or off without deleting it
+ *   senders          → Manage an alias's sender allowlist / blocklist, see sender domains
+ *   leaks            → List aliases that got mail from unexpected sender domains
  *   logs             → Show recent email routing logs
+ *   explain          → Show how mail to an address would be routed (dry run)
+ *   stats            → Messages over time, top aliases / senders
+ *   quarantine       → List / show / release / purge quarantined (rejected) mail
+ *   webhooks         → Manage webhook subscriptions for routing events
+ *   domains          → List / add / enable / disable / delete routed domains
+ *   token            → Create / list / revoke scoped API tokens
+ *   dev send         → Feed an .eml file to the email worker under `wrangler dev`
  *   preflight        → Check local Worker configs (API + email)
  *   deploy-all       → Deploy both Workers via wrangler
  *
@@ -33,34 +44,48 @@
  *     - Defaults to "http://localhost:8787" for local dev.
  *
  *   MAILHOP_API_TOKEN
- *     - Optional Bearer token sent as:
+ *     - Bearer token sent as:
  *         Authorization: Bearer <MAILHOP_API_TOKEN>
- *     - Must match MAILHOP_API_KEY secret stored in the Worker (if used).
+ *     - Either the Worker's MAILHOP_API_KEY secret (admin) or a token
+ *       created with `mailhop token create` (scoped).
  *
  *   MAILHOP_ROOT
- *     - Used only by dev helpers (preflight / deploy-all).
+ *     - Used only by dev helpers (preflight / deploy-all / dev send).
  *     - Should point at your project root which contains "workers/".
  *     - Defaults to process.cwd() (current working directory).
+ *
+ *   MAILHOP_EMAIL_DEV_URL
+ *     - Used only by `mailhop dev send`.
+ *     - URL of the email worker running under `wrangler dev`.
+ *     - Defaults to "http://localhost:8788" (the API usually has 8787).
  */
 
 const API_URL = process.env.MAILHOP_API_URL || "http://localhost:8787";
 const API_TOKEN = process.env.MAILHOP_API_TOKEN || "";
 const MAILHOP_ROOT = process.env.MAILHOP_ROOT || process.cwd();
+const EMAIL_DEV_URL = process.env.MAILHOP_EMAIL_DEV_URL || "http://localhost:8788";
 
 /**
  * Built-in Node modules used:
  *  - child_process.exec: to run wrangler commands in preflight/deploy-all
+ *  - child_process.execFile: to query the local D1 in dev send
  *  - fs/promises: to check for and read wrangler.local.jsonc files
  *  - path: to build cross-platform paths for workers/api and workers/email
+ *  - readline/promises: to ask before showing the next page of `list`
+ *  - timers/promises: to wait between polls in `logs --follow`
  */
 
-import { exec as execCallback } from "node:child_process";
+import { exec as execCallback, execFile as execFileCallback } from "node:child_process";
 import { promisify } from "node:util";
 import fs from "node:fs/promises";
 import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { createInterface } from "node:readline/promises";
+import { setTimeout as sleep } from "node:timers/promises";
 
 // Promisified exec so we can `await` shell commands.
 const exec = promisify(execCallback);
+const execFile = promisify(execFileCallback);
 
 /**
  * ────────────────────────────────────────────────────────────────
@@ -72,7 +97,8 @@ const exec = promisify(execCallback);
  * Perform an HTTP request against the Mailhop API.
  * - Uses global fetch (available in Node 18+).
  * - Adds JSON headers and Authorization if MAILHOP_API_TOKEN is set.
- * - Throws a friendly Error if the response is not OK.
+ * - Throws a friendly Error if the response is not OK (with the HTTP
+ *   status as `error.status`).
  */
 async function request(path, options = {}) {
   const headers = {
@@ -91,19 +117,21 @@ async function request(path, options = {}) {
 
   if (!response.ok) {
     // Try to extract a structured JSON error, fall back to raw text.
-    let detail = "";
+    let detail = await response.text();
     try {
-      const body = await response.json();
-      detail = body.error || JSON.stringify(body);
+      const body = JSON.parse(detail);
+      detail = body.error || detail;
     } catch {
-      detail = await response.text();
+      // plain-text body
     }
 
-    throw new Error(
+    const error = new Error(
       `API error: ${response.status} ${response.statusText}${
         detail ? ` - ${detail}` : ""
       }`
     );
+    error.status = response.status;
+    throw error;
   }
 
   return response.json();
@@ -133,198 +161,1590 @@ async function runShellCommand(cmd, options = {}) {
   }
 }
 
+/**
+ * Split raw CLI args into positional values and `--flag=value` entries.
+ * Flags are returned in order so repeated flags (e.g. several
+ * --forward-to=) can be collected by the caller.
+ */
+function splitArgs(args) {
+  const positional = [];
+  const flags = [];
+
+  for (const arg of args) {
+    if (arg.startsWith("--")) {
+      flags.push(arg);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+}
+
+/** Format a window length in seconds as "90s", "10m", "1h" or "1d". */
+function formatWindow(secs) {
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+    if (secs % size === 0) return `${secs / size}${unit}`;
+  }
+  return `${secs}s`;
+}
+
+/** Format a byte count as "512 B", "750 KB" or "10 MB". */
+function formatSize(bytes) {
+  for (const [unit, size] of [["GB", 1024 ** 3], ["MB", 1024 ** 2], ["KB", 1024]]) {
+    if (bytes >= size) return `${Math.round((bytes / size) * 10) / 10} ${unit}`;
+  }
+  return `${bytes} B`;
+}
+
+/** ANSI colors, used only on a terminal and when NO_COLOR is not set. */
+const USE_COLOR = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+const COLORS = { red: 31, green: 32, yellow: 33, magenta: 35, gray: 90 };
+
+/** Wrap text in an ANSI color (plain text when colors are off). */
+function paint(text, color) {
+  return USE_COLOR && COLORS[color] ? `\x1b[${COLORS[color]}m${text}\x1b[0m` : text;
+}
+
+/** Format unix seconds for display ("-" if unset). */
+function formatTime(secs) {
+  return secs ? new Date(secs * 1000).toLocaleString() : "-";
+}
+
+/**
+ * --expires= value: "never"/"none" clears the expiry; plain digits are unix
+ * seconds; anything else ("7d", "12h", an ISO date) is passed to the API as-is.
+ */
+function parseExpiresFlag(val) {
+  if (["", "never", "none"].includes(val.toLowerCase())) return null;
+  return /^\d+$/.test(val) ? Number(val) : val;
+}
+
+/** --max-messages= value: "none"/"0" removes the cap. */
+function parseMaxMessagesFlag(val) {
+  if (["", "none", "0"].includes(val.toLowerCase())) return null;
+  const n = Number(val);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`Invalid --max-messages value: ${val}`);
+  }
+  return n;
+}
+
+/** Short status suffix for disabled aliases, e.g. " (disabled: drop)". */
+function statusSuffix(alias) {
+  if (alias.enabled === 0) {
+    return ` (disabled: ${alias.disabled_action || "reject"})`;
+  }
+  return "";
+}
+
+/** Human-readable burner limit lines for an alias (empty if none are set). */
+function describeLimits(alias) {
+  const lines = [];
+  if (alias.expires_at) {
+    const expired = alias.expires_at * 1000 <= Date.now();
+    lines.push(
+      `Expires: ${new Date(alias.expires_at * 1000).toLocaleString()}${
+        expired ? " (expired)" : ""
+      }`
+    );
+  }
+  if (alias.max_messages) {
+    lines.push(
+      `Messages: ${alias.forwarded_count ?? 0}/${alias.max_messages}`
+    );
+  }
+  if (alias.rate_limit || alias.sender_rate_limit) {
+    const window = formatWindow(alias.rate_window || 3600);
+    const parts = [];
+    if (alias.rate_limit) parts.push(`${alias.rate_limit}/${window}`);
+    if (alias.sender_rate_limit) {
+      parts.push(`${alias.sender_rate_limit}/${window} per sender`);
+    }
+    lines.push(`Rate limit: ${parts.join(", ")}`);
+  }
+  if (alias.max_size_bytes != null) {
+    lines.push(
+      `Max size: ${alias.max_size_bytes ? formatSize(alias.max_size_bytes) : "no limit"}`
+    );
+  }
+  return lines;
+}
+
+/** One-line usage summary for an alias, e.g. "Received: 12 (2 rejected), last …". */
+function describeUsage(alias) {
+  if (!alias.received_count) return "Received: never";
+  const rejected = alias.rejected_count ? ` (${alias.rejected_count} rejected)` : "";
+  return `Received: ${alias.received_count}${rejected}, last ${formatTime(alias.last_received_at)}`;
+}
+
+/** All destinations of an alias as returned by the API (falls back to forward_to). */
+function destinationsOf(alias) {
+  return alias.destinations && alias.destinations.length > 0
+    ? alias.destinations
+    : [alias.forward_to];
+}
+
 /**
  * ────────────────────────────────────────────────────────────────
  * API-level commands (aliases, logs, etc.)
  * ────────────────────────────────────────────────────────────────
  */
 
-/** List all aliases currently stored in the API. */
-async function listAliases() {
-  const aliases = await request("/aliases");
+/** `mailhop list` flags and the GET /aliases query parameter each one sets. */
+const LIST_FLAGS = {
+  search: "q",
+  domain: "domain",
+  destination: "destination",
+  "allow-plus": "allow_plus",
+  sort: "sort",
+  order: "order",
+  limit: "limit",
+  cursor: "cursor",
+};
+
+/**
+ * Fetch every page of GET /aliases for the given query (for commands that
+ * need the whole list rather than one screenful).
+ */
+async function fetchAllAliases(params) {
+  const query = new URLSearchParams(params);
+  query.set("limit", "500");
+  const aliases = [];
+
+  for (;;) {
+    const page = await request(`/aliases?${query}`);
+    aliases.push(...page.aliases);
+    if (!page.next_cursor) return aliases;
+    query.set("cursor", page.next_cursor);
+  }
+}
+
+/**
+ * List aliases one page at a time.
+ *   --search=<text>      address or notes contain text
+ *   --domain=<domain> --destination=<email> --allow-plus=<true|false>
+ *   --sort=<address|created_at|last_received_at|received_count|rejected_count>
+ *   --order=<asc|desc>
+ *   --limit=<n>          page size (default 50)
+ *   --cursor=<c>         start after a previous page
+ *   --all                print every page without asking
+ * On a terminal it asks before fetching the next page; otherwise it prints
+ * one page and the --cursor= that continues it.
+ */
+async function listAliases(args) {
+  const params = new URLSearchParams({ limit: "50" });
+  let all = false;
+  for (const arg of args) {
+    const [name, value] = arg.replace(/^--/, "").split(/=(.*)/s);
+    if (arg === "--all") {
+      all = true;
+    } else if (arg.startsWith("--") && LIST_FLAGS[name] && value !== undefined) {
+      params.set(LIST_FLAGS[name], value);
+    } else {
+      throw new Error(`Unknown flag: ${arg}`);
+    }
+  }
+
+  const interactive = !all && process.stdin.isTTY && process.stdout.isTTY;
+  let shown = 0;
+
+  for (;;) {
+    const page = await request(`/aliases?${params}`);
+
+    if (shown === 0) {
+      if (page.aliases.length === 0) {
+        console.log("No aliases found");
+        return;
+      }
+      console.log(`\nAliases (${page.total} matching):`);
+      console.log("─".repeat(80));
+    }
+
+    for (const alias of page.aliases) {
+      const date = alias.created_at
+        ? new Date(alias.created_at * 1000)
+        : null;
+
+      console.log(
+        `${alias.address} → ${destinationsOf(alias).join(", ")}${statusSuffix(alias)}`
+      );
+      if (alias.notes) {
+        console.log(`  Notes: ${alias.notes}`);
+      }
+      console.log(`  allow_plus: ${alias.allow_plus ? "true" : "false"}`);
+      console.log(`  ${describeUsage(alias)}`);
+      for (const line of describeLimits(alias)) {
+        console.log(`  ${line}`);
+      }
+      if (date) {
+        console.log(`  Created: ${date.toLocaleString()}`);
+      }
+      console.log();
+    }
+    shown += page.aliases.length;
+
+    if (!page.next_cursor) break;
+    params.set("cursor", page.next_cursor);
+    if (all) continue;
+
+    if (!interactive) {
+      console.log(`Showing ${shown} of ${page.total}; next page: --cursor=${page.next_cursor}`);
+      return;
+    }
+
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await rl.question(`-- ${shown} of ${page.total} shown; Enter for more, q to quit -- `);
+    rl.close();
+    if (answer.trim().toLowerCase().startsWith("q")) return;
+  }
+
+  console.log(`Total: ${shown} aliases`);
+}
+
+/**
+ * List aliases that received no mail in the last N days (--days=, default
+ * 90), counting from creation for aliases that never received any.
+ */
+async function staleAliases(args) {
+  let days = 90;
+  for (const arg of args) {
+    if (arg.startsWith("--days=")) {
+      days = Number(arg.slice("--days=".length));
+      if (!Number.isInteger(days) || days < 0) {
+        throw new Error(`Invalid --days value: ${arg.slice("--days=".length)}`);
+      }
+    } else {
+      throw new Error(`Unknown flag: ${arg}`);
+    }
+  }
+
+  const aliases = await fetchAllAliases({
+    stale_days: String(days),
+    sort: "last_received_at",
+    order: "asc",
+  });
+
+  if (aliases.length === 0) {
+    console.log(`No stale aliases (every alias received mail in the last ${days} days)`);
+    return;
+  }
+
+  console.log(`\nAliases without mail in the last ${days} days:`);
+  console.log("─".repeat(80));
+
+  for (const alias of aliases) {
+    console.log(`${alias.address}${statusSuffix(alias)}`);
+    console.log(`  ${describeUsage(alias)} | created ${formatTime(alias.created_at)}`);
+  }
+
+  console.log(`\nTotal: ${aliases.length} stale aliases`);
+}
+
+/** Find aliases that forward to a given destination address. */
+async function findByDestination(email) {
+  const aliases = await request(
+    `/aliases/by-destination?email=${encodeURIComponent(email)}`
+  );
+
+  if (!aliases || aliases.length === 0) {
+    console.log(`No aliases found forwarding to ${email}`);
+    return;
+  }
+
+  console.log(`\nAliases forwarding to ${email}:`);
+  console.log("─".repeat(80));
+
+  for (const alias of aliases) {
+    console.log(`  ${alias.address}`);
+    if (alias.notes) {
+      console.log(`    Notes: ${alias.notes}`);
+    }
+  }
+
+  console.log(`\nTotal: ${aliases.length} aliases`);
+}
+
+/**
+ * Create a new alias row in the API.
+ * Destinations come from a comma-separated second argument and/or
+ * repeated --forward-to= flags:
+ *   mailhop create billing@example.com a@x.net,b@y.net "Shared inbox"
+ *   mailhop create billing@example.com --forward-to=a@x.net --forward-to=b@y.net
+ * Burner limits:
+ *   --expires=<7d|12h|ISO date>   --max-messages=<n>
+ */
+async function createAlias(args) {
+  const { positional, flags } = splitArgs(args);
+  const [address, forwardList, notes] = positional;
+  const limits = {};
+
+  const destinations = forwardList
+    ? forwardList.split(",").map((d) => d.trim()).filter(Boolean)
+    : [];
+
+  for (const arg of flags) {
+    if (arg.startsWith("--forward-to=")) {
+      destinations.push(arg.slice("--forward-to=".length));
+    } else if (arg.startsWith("--expires=")) {
+      limits.expires_at = parseExpiresFlag(arg.slice("--expires=".length));
+    } else if (arg.startsWith("--max-messages=")) {
+      limits.max_messages = parseMaxMessagesFlag(
+        arg.slice("--max-messages=".length)
+      );
+    } else {
+      throw new Error(`Unknown flag: ${arg}`);
+    }
+  }
+
+  if (!address || destinations.length === 0) {
+    throw new Error(
+      "Usage: mailhop create <alias> <forward-to>[,<forward-to>…] [notes] [--forward-to=…] [--expires=] [--max-messages=]"
+    );
+  }
+
+  await request("/aliases", {
+    method: "POST",
+    body: JSON.stringify({
+      address,
+      forward_to: destinations,
+      notes: notes || undefined,
+      // allow_plus omitted → API will use default (usually 1/true).
+      ...limits,
+    }),
+  });
+
+  console.log(`✓ Created alias: ${address} → ${destinations.join(", ")}`);
+}
+
+/** Delete an alias by its address. */
+async function deleteAlias(address) {
+  await request(`/aliases/${encodeURIComponent(address)}`, {
+    method: "DELETE",
+  });
+
+  console.log(`✓ Deleted alias: ${address}`);
+}
+
+/** Show detailed information for a single alias. */
+async function inspectAlias(address) {
+  const alias = await request(`/aliases/${encodeURIComponent(address)}`);
+
+  if (!alias || !alias.address) {
+    console.log(`Alias not found: ${address}`);
+    return;
+  }
+
+  const date = alias.created_at
+    ? new Date(alias.created_at * 1000)
+    : null;
+
+  console.log(`\nAlias: ${alias.address}${statusSuffix(alias)}`);
+  console.log("─".repeat(80));
+  console.log(`Forward to: ${destinationsOf(alias).join(", ")}`);
+  console.log(`allow_plus: ${alias.allow_plus ? "true" : "false"}`);
+  console.log(`reverse_alias: ${alias.reverse_alias ? "true" : "false"}`);
+  console.log(`auth_policy: ${alias.auth_policy || "(domain default)"}`);
+  console.log(`attachment_policy: ${alias.attachment_policy || "(domain default)"}`);
+  console.log(
+    `Fallback: ${
+      alias.fallback_to
+        ? alias.fallback_to.join(", ") || "(none)"
+        : "(domain default)"
+    }`
+  );
+  console.log(`failure_mode: ${alias.failure_mode || "(domain default)"}`);
+  if (alias.subject_prefix) {
+    console.log(`Subject prefix: ${alias.subject_prefix}`);
+  }
+  if (alias.expected_senders) {
+    console.log(`Expected senders: ${alias.expected_senders.join(", ")}`);
+  }
+  if (alias.allowed_tags) {
+    console.log(`Allowed tags: ${alias.allowed_tags.join(", ")}`);
+  }
+  for (const [tag, dest] of Object.entries(alias.tag_routes || {})) {
+    console.log(`Tag route: ${tag} → ${[].concat(dest).join(", ")}`);
+  }
+  console.log(describeUsage(alias));
+  for (const line of describeLimits(alias)) {
+    console.log(line);
+  }
+  if (alias.notes) {
+    console.log(`Notes: ${alias.notes}`);
+  }
+  if (date) {
+    console.log(`Created: ${date.toLocaleString()}`);
+  }
+}
+
+/**
+ * Update an alias.
+ * Supports flag-style arguments:
+ *   --forward-to=<email>   (repeat to set several destinations; replaces all)
+ *   --allow-plus=<true|false|1|0>
+ *   --notes=<text>
+ *   --expires=<7d|12h|ISO date|never>
+ *   --max-messages=<n|none>
+ *   --reverse-alias=<true|false>
+ *   --allowed-tags=<tag,tag,…|any>
+ *   --tag-route=<tag>:<email>[,<email>…]   (repeatable; "<tag>:" removes that route)
+ *   --auth-policy=<off|tag|reject|inherit>
+ *   --rate-limit=<n|none>          (messages per window for the whole alias)
+ *   --sender-rate-limit=<n|none>   (messages per window for each sender)
+ *   --rate-window=<seconds|10m|1h|1d>
+ *   --max-size=<bytes|10MB|512KB|none|inherit>   (none = no limit, inherit = domain's)
+ *   --attachments=<allow|strip|reject|inherit>
+ *   --fallback=<email>   (repeatable, tried in order; "none" = no fallback, "inherit" = domain's)
+ *   --on-failure=<reject|defer|inherit>   (defer answers 451 so the sender retries)
+ *   --subject-prefix=<template|none>      (e.g. "[{alias}]"; also {local} {domain} {tag} {to})
+ *   --expected-senders=<domain,domain,…|none>   (flag mail from other domains as a leak)
+ */
+async function updateAlias(address, flagArgs) {
+  const payload = {};
+  const tagRouteChanges = [];
+
+  for (const arg of flagArgs) {
+    if (arg.startsWith("--forward-to=")) {
+      payload.forward_to = [
+        ...(payload.forward_to || []),
+        arg.slice("--forward-to=".length),
+      ];
+    } else if (arg.startsWith("--allow-plus=")) {
+      const val = arg.slice("--allow-plus=".length).toLowerCase();
+      payload.allow_plus = ["true", "1", "yes", "y"].includes(val) ? 1 : 0;
+    } else if (arg.startsWith("--notes=")) {
+      payload.notes = arg.slice("--notes=".length);
+    } else if (arg.startsWith("--expires=")) {
+      payload.expires_at = parseExpiresFlag(arg.slice("--expires=".length));
+    } else if (arg.startsWith("--max-messages=")) {
+      payload.max_messages = parseMaxMessagesFlag(
+        arg.slice("--max-messages=".length)
+      );
+    } else if (arg.startsWith("--reverse-alias=")) {
+      const val = arg.slice("--reverse-alias=".length).toLowerCase();
+      payload.reverse_alias = ["true", "1", "yes", "y"].includes(val) ? 1 : 0;
+    } else if (arg.startsWith("--rate-limit=")) {
+      payload.rate_limit = parseMaxMessagesFlag(arg.slice("--rate-limit=".length));
+    } else if (arg.startsWith("--sender-rate-limit=")) {
+      payload.sender_rate_limit = parseMaxMessagesFlag(
+        arg.slice("--sender-rate-limit=".length)
+      );
+    } else if (arg.startsWith("--rate-window=")) {
+      payload.rate_window = arg.slice("--rate-window=".length);
+    } else if (arg.startsWith("--auth-policy=")) {
+      payload.auth_policy = arg.slice("--auth-policy=".length);
+    } else if (arg.startsWith("--max-size=")) {
+      const val = arg.slice("--max-size=".length);
+      payload.max_size_bytes =
+        val.toLowerCase() === "inherit" ? null : val.toLowerCase() === "none" ? 0 : val;
+    } else if (arg.startsWith("--attachments=")) {
+      payload.attachment_policy = arg.slice("--attachments=".length);
+    } else if (arg.startsWith("--fallback=")) {
+      const val = arg.slice("--fallback=".length);
+      if (val.toLowerCase() === "inherit") {
+        payload.fallback_to = null;
+      } else if (val.toLowerCase() === "none") {
+        payload.fallback_to = [];
+      } else {
+        payload.fallback_to = [...(payload.fallback_to || []), val];
+      }
+    } else if (arg.startsWith("--on-failure=")) {
+      payload.failure_mode = arg.slice("--on-failure=".length);
+    } else if (arg.startsWith("--subject-prefix=")) {
+      const val = arg.slice("--subject-prefix=".length);
+      payload.subject_prefix = ["", "none"].includes(val.toLowerCase()) ? null : val;
+    } else if (arg.startsWith("--expected-senders=")) {
+      const val = arg.slice("--expected-senders=".length);
+      payload.expected_senders = ["", "none"].includes(val.toLowerCase())
+        ? null
+        : val.split(",").map((d) => d.trim()).filter(Boolean);
+    } else if (arg.startsWith("--allowed-tags=")) {
+      const val = arg.slice("--allowed-tags=".length);
+      payload.allowed_tags = ["", "any", "none"].includes(val.toLowerCase())
+        ? null
+        : val.split(",").map((t) => t.trim()).filter(Boolean);
+    } else if (arg.startsWith("--tag-route=")) {
+      const val = arg.slice("--tag-route=".length);
+      const colon = val.indexOf(":");
+      if (colon < 1) {
+        throw new Error(`Invalid --tag-route (expected <tag>:<email>): ${val}`);
+      }
+      tagRouteChanges.push([
+        val.slice(0, colon),
+        val.slice(colon + 1).split(",").map((d) => d.trim()).filter(Boolean),
+      ]);
+    } else {
+      throw new Error(`Unknown flag: ${arg}`);
+    }
+  }
+
+  // Tag routes are stored as one object, so merge changes into the current map.
+  if (tagRouteChanges.length > 0) {
+    const current = await request(`/aliases/${encodeURIComponent(address)}`);
+    const routes = { ...(current.tag_routes || {}) };
+    for (const [tag, dests] of tagRouteChanges) {
+      if (dests.length === 0) {
+        delete routes[tag];
+      } else {
+        routes[tag] = dests;
+      }
+    }
+    payload.tag_routes = Object.keys(routes).length > 0 ? routes : null;
+  }
+
+  if (Object.keys(payload).length === 0) {
+    throw new Error(
+      "No fields to update. Use one or more of: --forward-to=, --allow-plus=, --notes=, --expires=, --max-messages=, --reverse-alias=, --allowed-tags=, --tag-route=, --auth-policy=, --rate-limit=, --sender-rate-limit=, --rate-window=, --max-size=, --attachments=, --fallback=, --on-failure=, --subject-prefix=, --expected-senders="
+    );
+  }
+
+  await request(`/aliases/${encodeURIComponent(address)}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload),
+  });
+
+  console.log(`✓ Updated alias: ${address}`);
+}
+
+/**
+ * `mailhop senders <alias> <subcommand>` dispatcher.
+ *   senders <alias>                  → list rules
+ *   senders <alias> allow <pattern>  → only matching senders get through
+ *   senders <alias> block <pattern>  → reject matching senders
+ *   senders <alias> remove <id>      → delete a rule
+ *   senders <alias> seen             → sender domains that wrote to the alias
+ * Patterns: "bob@shop.example", "@spam.example" or a glob like "*@*.spam.example".
+ */
+async function sendersCommand(args) {
+  const [address, sub, value] = args;
+  const usage =
+    "Usage: mailhop senders <alias> [list | allow <pattern> | block <pattern> | remove <id> | seen]";
+
+  if (!address) throw new Error(usage);
+
+  const base = `/aliases/${encodeURIComponent(address)}/senders`;
+
+  switch (sub) {
+    case undefined:
+    case "list": {
+      const rules = await request(base);
+
+      if (!rules || rules.length === 0) {
+        console.log(`No sender rules for ${address} (all senders accepted)`);
+        return;
+      }
+
+      console.log(`\nSender rules for ${address}:`);
+      console.log("─".repeat(80));
+      for (const rule of rules) {
+        console.log(`  [${rule.id}] ${rule.action.padEnd(5)} ${rule.pattern}`);
+      }
+      if (rules.some((r) => r.action === "allow")) {
+        console.log("\n  Allowlist active: only matching senders are accepted.");
+      }
+      break;
+    }
+
+    case "allow":
+    case "block": {
+      if (!value) throw new Error(usage);
+      const res = await request(base, {
+        method: "POST",
+        body: JSON.stringify({ action: sub, pattern: value }),
+      });
+      console.log(
+        `✓ Added ${sub} rule [${res.rule ? res.rule.id : "?"}] ${value} on ${address}`
+      );
+      break;
+    }
+
+    case "remove":
+      if (!value) throw new Error(usage);
+      await request(`${base}/${encodeURIComponent(value)}`, {
+        method: "DELETE",
+      });
+      console.log(`✓ Removed sender rule ${value} from ${address}`);
+      break;
+
+    case "seen": {
+      const res = await request(`/aliases/${encodeURIComponent(address)}/senders-seen`);
+
+      if (!res.senders || res.senders.length === 0) {
+        console.log(`No mail seen for ${address} yet`);
+        return;
+      }
+
+      console.log(`\nSender domains seen by ${address}:`);
+      if (res.expected_senders) {
+        console.log(`Expected: ${res.expected_senders.join(", ")}`);
+      }
+      console.log("─".repeat(80));
+      for (const s of res.senders) {
+        console.log(
+          `  ${s.expected === false ? "⚠ " : "  "}${s.domain.padEnd(32)} ${String(
+            s.message_count
+          ).padStart(5)} msgs  first ${formatTime(s.first_seen_at)}  last ${formatTime(
+            s.last_seen_at
+          )}`
+        );
+      }
+      break;
+    }
+
+    default:
+      throw new Error(usage);
+  }
+}
+
+/**
+ * List aliases that received mail from domains outside their
+ * expected_senders (a sign the address leaked or was sold).
+ */
+async function showLeaks() {
+  const leaks = await request("/leaks");
+
+  if (!leaks || leaks.length === 0) {
+    console.log("No leaks found (only aliases with --expected-senders are checked)");
+    return;
+  }
+
+  console.log("\nPossible leaks:");
+  console.log("─".repeat(80));
+
+  for (const leak of leaks) {
+    console.log(`${leak.address}  (expected: ${leak.expected_senders.join(", ")})`);
+    for (const d of leak.unexpected) {
+      console.log(
+        `  ⚠ ${d.domain}: ${d.message_count} msgs, first ${formatTime(
+          d.first_seen_at
+        )}, last ${formatTime(d.last_seen_at)}`
+      );
+    }
+    console.log();
+  }
+
+  console.log(`Total: ${leaks.length} aliases`);
+}
+
+/** List all domains routed by Mailhop. */
+async function listDomains() {
+  const domains = await request("/domains");
+
+  if (!domains || domains.length === 0) {
+    console.log("No domains found (add one with: mailhop domains add <domain>)");
+    return;
+  }
+
+  console.log("\nDomains:");
+  console.log("─".repeat(80));
+
+  for (const d of domains) {
+    const sep = d.separator && d.separator !== "+" ? `  (separator: ${d.separator})` : "";
+    const auth =
+      d.auth_policy && d.auth_policy !== "off" ? `  (auth: ${d.auth_policy})` : "";
+    const size = d.max_size_bytes ? `  (max size: ${formatSize(d.max_size_bytes)})` : "";
+    const attachments =
+      d.attachment_policy && d.attachment_policy !== "allow"
+        ? `  (attachments: ${d.attachment_policy})`
+        : "";
+    console.log(
+      `${d.domain}${d.enabled ? "" : "  (disabled)"}${sep}${auth}${size}${attachments}`
+    );
+    if (d.blocked_attachments) {
+      console.log(`  Blocked attachments: ${d.blocked_attachments.join(", ")}`);
+    }
+    if (d.fallback_to || d.failure_mode === "defer") {
+      console.log(
+        `  On failure: ${d.fallback_to ? `try ${d.fallback_to.join(", ")}, then ` : ""}${
+          d.failure_mode === "defer" ? "defer (451)" : "reject (550)"
+        }`
+      );
+    }
+    if (d.notes) {
+      console.log(`  Notes: ${d.notes}`);
+    }
+  }
+
+  console.log(`\nTotal: ${domains.length} domains`);
+}
+
+/** Register a new domain with the API. */
+async function addDomain(domain, notes) {
+  await request("/domains", {
+    method: "POST",
+    body: JSON.stringify({ domain, notes: notes || undefined }),
+  });
+
+  console.log(`✓ Added domain: ${domain}`);
+}
+
+/** Enable or disable mail acceptance for a domain. */
+async function setDomainEnabled(domain, enabled) {
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ enabled }),
+  });
+
+  console.log(`✓ ${enabled ? "Enabled" : "Disabled"} domain: ${domain}`);
+}
+
+/** Set the subaddress separator for a domain ("+", "-", ".", "_" or "="). */
+async function setDomainSeparator(domain, separator) {
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ separator }),
+  });
+
+  console.log(`✓ Separator for ${domain} is now "${separator}"`);
+}
+
+/** Set what a domain does with mail failing SPF/DMARC ("off", "tag" or "reject"). */
+async function setDomainAuthPolicy(domain, policy) {
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ auth_policy: policy }),
+  });
+
+  console.log(`✓ Auth policy for ${domain} is now "${policy}"`);
+}
+
+/** Set the default message size limit for a domain ("none" removes it). */
+async function setDomainMaxSize(domain, size) {
+  const none = size.toLowerCase() === "none";
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ max_size_bytes: none ? null : size }),
+  });
+
+  console.log(`✓ Max size for ${domain} is now ${none ? "unlimited" : size}`);
+}
+
+/**
+ * Set a domain's attachment policy ("allow", "strip" or "reject") and,
+ * optionally, the blocked types (comma-separated content types / .ext;
+ * "default" restores the built-in list of executables).
+ */
+async function setDomainAttachments(domain, policy, types) {
+  const payload = { attachment_policy: policy };
+  if (types) {
+    payload.blocked_attachments =
+      types.toLowerCase() === "default"
+        ? null
+        : types.split(",").map((t) => t.trim()).filter(Boolean);
+  }
+
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload),
+  });
+
+  console.log(`✓ Attachment policy for ${domain} is now "${policy}"`);
+}
+
+/**
+ * Set a domain's fallback destinations (comma-separated, tried in order when
+ * an alias's destinations all fail; "none" clears them).
+ */
+async function setDomainFallback(domain, list) {
+  const fallback_to =
+    list.toLowerCase() === "none"
+      ? null
+      : list.split(",").map((d) => d.trim()).filter(Boolean);
+
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ fallback_to }),
+  });
+
+  console.log(
+    `✓ Fallback for ${domain} is now ${fallback_to ? fallback_to.join(", ") : "none"}`
+  );
+}
+
+/** Set what a domain answers when delivery fails ("reject" = 550, "defer" = 451). */
+async function setDomainFailureMode(domain, mode) {
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ failure_mode: mode }),
+  });
+
+  console.log(`✓ Failure mode for ${domain} is now "${mode}"`);
+}
+
+/** Delete a domain (the API refuses while aliases still use it). */
+async function deleteDomain(domain) {
+  await request(`/domains/${encodeURIComponent(domain)}`, {
+    method: "DELETE",
+  });
+
+  console.log(`✓ Deleted domain: ${domain}`);
+}
+
+/**
+ * `mailhop domains <subcommand>` dispatcher.
+ *   domains                       → list
+ *   domains add <domain> [notes]
+ *   domains enable <domain>
+ *   domains disable <domain>
+ *   domains separator <domain> <char>
+ *   domains auth <domain> <off|tag|reject>
+ *   domains max-size <domain> <size|none>
+ *   domains attachments <domain> <allow|strip|reject> [types|default]
+ *   domains fallback <domain> <email[,email…]|none>
+ *   domains on-failure <domain> <reject|defer>
+ *   domains delete <domain>
+ */
+async function domainsCommand(args) {
+  const [sub, domain, notes, extra] = args;
+
+  switch (sub) {
+    case undefined:
+    case "list":
+      await listDomains();
+      break;
+
+    case "add":
+      if (!domain) throw new Error("Usage: mailhop domains add <domain> [notes]");
+      await addDomain(domain, notes);
+      break;
+
+    case "enable":
+    case "disable":
+      if (!domain) throw new Error(`Usage: mailhop domains ${sub} <domain>`);
+      await setDomainEnabled(domain, sub === "enable");
+      break;
+
+    case "separator":
+      // Third positional is the separator character here, not notes.
+      if (!domain || !notes) {
+        throw new Error("Usage: mailhop domains separator <domain> <+|-|.|_|=>");
+      }
+      await setDomainSeparator(domain, notes);
+      break;
+
+    case "auth":
+      if (!domain || !notes) {
+        throw new Error("Usage: mailhop domains auth <domain> <off|tag|reject>");
+      }
+      await setDomainAuthPolicy(domain, notes);
+      break;
+
+    case "max-size":
+      if (!domain || !notes) {
+        throw new Error("Usage: mailhop domains max-size <domain> <size|none>");
+      }
+      await setDomainMaxSize(domain, notes);
+      break;
+
+    case "attachments":
+      if (!domain || !notes) {
+        throw new Error(
+          "Usage: mailhop domains attachments <domain> <allow|strip|reject> [types|default]"
+        );
+      }
+      await setDomainAttachments(domain, notes, extra);
+      break;
+
+    case "fallback":
+      if (!domain || !notes) {
+        throw new Error("Usage: mailhop domains fallback <domain> <email[,email…]|none>");
+      }
+      await setDomainFallback(domain, notes);
+      break;
+
+    case "on-failure":
+      if (!domain || !notes) {
+        throw new Error("Usage: mailhop domains on-failure <domain> <reject|defer>");
+      }
+      await setDomainFailureMode(domain, notes);
+      break;
+
+    case "delete":
+      if (!domain) throw new Error("Usage: mailhop domains delete <domain>");
+      await deleteDomain(domain);
+      break;
+
+    default:
+      throw new Error(
+        "Usage: mailhop domains [list|add|enable|disable|separator|auth|max-size|attachments|fallback|on-failure|delete] <domain>"
+      );
+  }
+}
+
+/**
+ * Enable or disable an alias without deleting it.
+ *   mailhop disable <alias> [--drop|--reject]
+ *   mailhop enable <alias>
+ * --drop silently accepts and discards mail while disabled; the default
+ * (--reject) bounces it with a 550.
+ */
+async function setAliasEnabled(address, enabled, flagArgs) {
+  const payload = { enabled };
+
+  for (const arg of flagArgs) {
+    if (!enabled && (arg === "--drop" || arg === "--reject")) {
+      payload.disabled_action = arg.slice(2);
+    } else {
+      throw new Error(`Unknown flag: ${arg}`);
+    }
+  }
+
+  await request(`/aliases/${encodeURIComponent(address)}`, {
+    method: "PATCH",
+    body: JSON.stringify(payload),
+  });
+
+  console.log(
+    enabled
+      ? `✓ Enabled alias: ${address}`
+      : `✓ Disabled alias: ${address}${
+          payload.disabled_action ? ` (${payload.disabled_action})` : ""
+        }`
+  );
+}
+
+/** `mailhop logs` flags and the GET /logs query parameter each one sets. */
+const LOG_FLAGS = {
+  alias: "to",
+  from: "from",
+  result: "result",
+  route: "route",
+  "message-id": "message_id",
+  since: "since",
+  until: "until",
+  cursor: "cursor",
+};
+
+/**
+ * Fetch and print email_logs entries, newest first.
+ *   mailhop logs [limit | --limit=<n>] [--alias=] [--from=] [--result=]
+ *                [--route=] [--message-id=] [--since=] [--until=] [--cursor=]
+ *                [--follow [--interval=<seconds>]]
+ * Uses GET /logs from the API; prints the --cursor= for older entries.
+ */
+async function showLogs(args) {
+  const { positional, flags } = splitArgs(args);
+  let limit = positional[0];
+  let follow = false;
+  let interval = 2;
+  const params = new URLSearchParams();
+
+  for (const arg of flags) {
+    const [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (arg === "--follow") {
+      follow = true;
+    } else if (name === "limit" && value !== undefined) {
+      if (limit !== undefined) throw new Error("Give the limit once: [limit] or --limit=");
+      limit = value;
+    } else if (name === "interval" && value !== undefined) {
+      interval = Number(value);
+      if (!Number.isFinite(interval) || interval < 1) {
+        throw new Error(`Invalid --interval value: ${value} (seconds, at least 1)`);
+      }
+    } else if (!LOG_FLAGS[name] || value === undefined) {
+      throw new Error(`Unknown flag: ${arg}`);
+    } else {
+      params.set(LOG_FLAGS[name], value);
+    }
+  }
+
+  if (limit === undefined) {
+    params.set("limit", "20");
+  } else if (/^[1-9]\d*$/.test(limit)) {
+    params.set("limit", limit);
+  } else {
+    throw new Error(`Invalid limit: ${limit} (a whole number, at least 1)`);
+  }
+
+  if (follow) {
+    if (params.has("cursor")) throw new Error("--cursor can't be combined with --follow");
+    await followLogs(params, interval);
+    return;
+  }
+
+  // An empty cursor asks for the first page, so the reply carries next_cursor.
+  if (!params.has("cursor")) params.set("cursor", "");
+  const { logs, next_cursor } = await request(`/logs?${params}`);
+
+  if (logs.length === 0) {
+    console.log("No email logs found");
+    return;
+  }
+
+  for (const entry of logs) {
+    printLogEntry(entry);
+  }
+
+  console.log(`Total: ${logs.length} log entries`);
+  if (next_cursor) {
+    console.log(`Older entries: --cursor=${next_cursor}`);
+  }
+}
+
+/**
+ * `mailhop logs --follow`: print the latest entries oldest first, then poll
+ * GET /logs?since_id= every `interval` seconds and print new ones as they
+ * arrive, like `tail -f`. Ctrl-C stops it cleanly. Network and 5xx errors
+ * are retried; 4xx errors (bad filter, revoked token) end it.
+ */
+async function followLogs(params, interval) {
+  const logs = await request(`/logs?${params}`);
+  for (const entry of [...logs].reverse()) {
+    printLogEntry(entry);
+  }
+
+  let lastId = logs.length > 0 ? logs[0].id : 0;
+  let seen = 0;
+  const stop = new AbortController();
+  const onInterrupt = () => stop.abort();
+  process.on("SIGINT", onInterrupt);
+
+  console.log(paint(`Following email logs every ${interval}s (Ctrl-C to stop)…\n`, "gray"));
+
+  try {
+    while (!stop.signal.aborted) {
+      try {
+        await sleep(interval * 1000, undefined, { signal: stop.signal });
+
+        const query = new URLSearchParams(params);
+        query.set("since_id", String(lastId));
+        query.set("limit", "500");
+        const entries = await request(`/logs?${query}`, { signal: stop.signal });
+
+        for (const entry of entries) {
+          printLogEntry(entry);
+          lastId = entry.id;
+          seen += 1;
+        }
+      } catch (error) {
+        if (stop.signal.aborted) break;
+        if (error.status >= 400 && error.status < 500) throw error;
+        console.error(paint(`! ${error.message} (retrying)`, "yellow"));
+      }
+    }
+  } finally {
+    process.off("SIGINT", onInterrupt);
+    console.log(`\nStopped following (${seen} new log entries)`);
+  }
+}
+
+/** Color for each email_logs result: delivered, held back, refused, failed. */
+const RESULT_COLORS = {
+  forwarded: "green",
+  deferred: "yellow",
+  "rate-limited": "yellow",
+  dropped: "gray",
+  error: "magenta",
+  rejected: "red",
+  expired: "red",
+  "sender-blocked": "red",
+  disabled: "red",
+  "auth-failed": "red",
+  "too-large": "red",
+  "attachment-blocked": "red",
+};
+
+/** Print one email_logs row (used by `logs` and `dev send`). */
+function printLogEntry(entry) {
+  const ts = entry.ts ? new Date(entry.ts * 1000) : null;
+  const when = ts ? ts.toLocaleString() : "(no time)";
+  console.log(
+    `${when} | ${entry.from_addr || "unknown"} → ${
+      entry.to_addr || "unknown"
+    }`
+  );
+  console.log(`  result: ${paint(entry.result || "unknown", RESULT_COLORS[entry.result])}`);
+  if (entry.route || entry.dest_addr || entry.base_addr) {
+    console.log(
+      `  route: ${entry.route || "-"}${
+        entry.base_addr ? ` (base: ${entry.base_addr})` : ""
+      }${entry.tag ? ` [tag: ${entry.tag}]` : ""}`
+    );
+    if (entry.dest_addr) {
+      console.log(
+        `  dest:  ${entry.dest_addr}${
+          entry.attempt > 1 ? ` (fallback, attempt ${entry.attempt})` : ""
+        }`
+      );
+    }
+  }
+  if (entry.auth) {
+    console.log(`  auth:  ${entry.auth}`);
+  }
+  if (entry.unexpected_sender) {
+    console.log("  ⚠ unexpected sender domain for this alias");
+  }
+  if (entry.error) {
+    console.log(`  error: ${entry.error}`);
+  }
+  console.log();
+}
+
+/**
+ * `mailhop explain <address> [--from=<sender>]`
+ * Ask the API how the email worker would route mail to <address>
+ * (POST /route/test); nothing is sent.
+ */
+async function explainRoute(args) {
+  const usage = "Usage: mailhop explain <address> [--from=<sender>]";
+  const { positional, flags } = splitArgs(args);
+  if (!positional[0]) {
+    throw new Error(usage);
+  }
+
+  let from;
+  for (const flag of flags) {
+    if (flag.startsWith("--from=")) {
+      from = flag.slice("--from=".length);
+    } else {
+      throw new Error(`Unknown flag: ${flag}`);
+    }
+  }
+
+  const result = await request("/route/test", {
+    method: "POST",
+    body: JSON.stringify({ to: positional[0], from }),
+  });
+
+  console.log(`\n${result.to}${result.from ? ` (from ${result.from})` : ""}`);
+  console.log("─".repeat(80));
+  console.log(
+    `Route:   ${result.route}${result.base ? ` (base: ${result.base})` : ""}${
+      result.tag ? ` [tag: ${result.tag}]` : ""
+    }`
+  );
+  if (result.alias) {
+    console.log(`Alias:   ${result.alias}`);
+  }
+
+  switch (result.action) {
+    case "forward":
+      console.log("Action:  forward");
+      for (const dest of result.destinations) {
+        console.log(
+          `  → ${dest}${result.loops.includes(dest) ? "  (skipped: routing loop)" : ""}`
+        );
+      }
+      if (result.fallbacks.length > 0) {
+        console.log(`Fallback: ${result.fallbacks.join(", ")} (then ${result.failure_mode})`);
+      }
+      console.log(
+        "\nNot checked: rate limits, SPF/DMARC, size and attachments (they need the message)."
+      );
+      break;
+    case "reply":
+      console.log(`Action:  reply → ${result.destinations.join(", ")}`);
+      break;
+    case "drop":
+      console.log("Action:  drop (accepted and discarded)");
+      console.log(`Reason:  ${result.reason}`);
+      break;
+    default:
+      console.log(`Action:  reject with "${result.reply}"`);
+      console.log(`Reason:  ${result.reason}`);
+  }
+}
+
+/**
+ * ────────────────────────────────────────────────────────────────
+ * Routing stats
+ * ────────────────────────────────────────────────────────────────
+ */
+
+const SPARK_TICKS = "▁▂▃▄▅▆▇█";
+
+/**
+ * One character per value, scaled to `max` ("·" for zero), e.g. "·▁▃█▅".
+ */
+function sparkline(values, max) {
+  return values
+    .map((v) =>
+      v > 0 ? SPARK_TICKS[Math.min(SPARK_TICKS.length - 1, Math.floor((v / max) * SPARK_TICKS.length))] : "·"
+    )
+    .join("");
+}
+
+/** "26 (65%)" style count with its share of the total. */
+function withShare(count, total) {
+  return total > 0 ? `${count} (${Math.round((count / total) * 100)}%)` : String(count);
+}
 
-  if (!aliases || aliases.length === 0) {
-    console.log("No aliases found");
+/** Print a top list as a table of name + total / forwarded / rejected / errors. */
+function printTopTable(title, rows, key) {
+  console.log();
+  if (rows.length === 0) {
+    console.log(`${title}: none`);
     return;
   }
 
-  console.log("\nAliases:");
-  console.log("─".repeat(80));
-
-  for (const alias of aliases) {
-    const date = alias.created_at
-      ? new Date(alias.created_at * 1000)
-      : null;
+  const width = Math.max(title.length, ...rows.map((r) => r[key].length)) + 2;
+  console.log(`${title.padEnd(width)}${["messages", "forwarded", "rejected", "errors"].map((h) => h.padStart(11)).join("")}`);
+  for (const r of rows) {
+    console.log(
+      `${r[key].padEnd(width)}${[r.total, r.forwarded, r.rejected, r.error].map((n) => String(n).padStart(11)).join("")}`
+    );
+  }
+}
 
-    console.log(`${alias.address} → ${alias.forward_to}`);
-    if (alias.notes) {
-      console.log(`  Notes: ${alias.notes}`);
-    }
-    console.log(`  allow_plus: ${alias.allow_plus ? "true" : "false"}`);
-    if (date) {
-      console.log(`  Created: ${date.toLocaleString()}`);
+/**
+ * `mailhop stats [--period=day|week|month] [--since=] [--until=] [--top=10]`
+ * Render GET /stats: message totals, sparklines per outcome, results and
+ * routes, then the top aliases, senders and rejected recipients.
+ */
+async function showStats(args) {
+  const { positional, flags } = splitArgs(args);
+  const params = new URLSearchParams();
+  for (const arg of flags) {
+    const [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (!["period", "since", "until", "top"].includes(name) || value === undefined) {
+      throw new Error(`Unknown flag: ${arg}`);
     }
-    console.log();
+    params.set(name, value);
+  }
+  if (positional.length > 0) {
+    throw new Error("Usage: mailhop stats [--period=day|week|month] [--since=] [--until=] [--top=10]");
   }
 
-  console.log(`Total: ${aliases.length} aliases`);
-}
+  const stats = await request(`/stats?${params}`);
+  const { totals, series } = stats;
 
-/** Find aliases that forward to a given destination address. */
-async function findByDestination(email) {
-  const aliases = await request(
-    `/aliases/by-destination?email=${encodeURIComponent(email)}`
-  );
+  console.log(`\nMessages per ${stats.period}, ${stats.since} → ${stats.until} (UTC)`);
+  console.log("─".repeat(80));
 
-  if (!aliases || aliases.length === 0) {
-    console.log(`No aliases found forwarding to ${email}`);
+  if (totals.total === 0) {
+    console.log("No mail in this period");
     return;
   }
 
-  console.log(`\nAliases forwarding to ${email}:`);
-  console.log("─".repeat(80));
+  console.log(
+    `Messages ${totals.total} | forwarded ${withShare(totals.forwarded, totals.total)} | rejected ${withShare(
+      totals.rejected,
+      totals.total
+    )} | errors ${withShare(totals.error, totals.total)}`
+  );
 
-  for (const alias of aliases) {
-    console.log(`  ${alias.address}`);
-    if (alias.notes) {
-      console.log(`    Notes: ${alias.notes}`);
+  const max = Math.max(...series.map((b) => b.total));
+  console.log();
+  console.log(`            ${series[0].bucket} … ${series[series.length - 1].bucket} (busiest ${stats.period}: ${max})`);
+  console.log(`messages    ${sparkline(series.map((b) => b.total), max)}`);
+  console.log(`forwarded   ${paint(sparkline(series.map((b) => b.forwarded), max), "green")}`);
+  console.log(`rejected    ${paint(sparkline(series.map((b) => b.rejected), max), "red")}`);
+  console.log(`errors      ${paint(sparkline(series.map((b) => b.error), max), "magenta")}`);
+
+  console.log();
+  console.log(
+    `Results: ${Object.entries(stats.results)
+      .map(([result, n]) => `${paint(result, RESULT_COLORS[result])} ${n}`)
+      .join(", ")}`
+  );
+  console.log(`Routes:  ${stats.routes.map((r) => `${r.route} ${r.total}`).join(", ")}`);
+
+  printTopTable("Top aliases", stats.top_aliases, "alias");
+  // Sender and recipient counts are only kept for the last 90 days.
+  const since = stats.addresses_since && stats.addresses_since !== stats.since ? ` since ${stats.addresses_since}` : "";
+  printTopTable(`Top senders${since}`, stats.top_senders, "sender");
+
+  console.log();
+  const recipients = stats.top_rejected_recipients;
+  const title = `Top rejected recipients${since}`;
+  if (recipients.length === 0) {
+    console.log(`${title}: none`);
+  } else {
+    const width = Math.max(title.length, ...recipients.map((r) => r.recipient.length)) + 2;
+    console.log(`${title.padEnd(width)}${"rejected".padStart(11)}`);
+    for (const r of recipients) {
+      console.log(`${r.recipient.padEnd(width)}${String(r.rejected).padStart(11)}`);
     }
   }
-
-  console.log(`\nTotal: ${aliases.length} aliases`);
 }
 
-/** Create a new alias row in the API. */
-async function createAlias(address, forwardTo, notes) {
-  await request("/aliases", {
-    method: "POST",
-    body: JSON.stringify({
-      address,
-      forward_to: forwardTo,
-      notes: notes || undefined,
-      // allow_plus omitted → API will use default (usually 1/true).
-    }),
-  });
+/**
+ * ────────────────────────────────────────────────────────────────
+ * Webhooks
+ * ────────────────────────────────────────────────────────────────
+ */
 
-  console.log(`✓ Created alias: ${address} → ${forwardTo}`);
-}
+/**
+ * `mailhop webhooks <subcommand>` dispatcher.
+ *   webhooks [list]
+ *   webhooks add <url> [--events=forwarded,rejected,deferred,error] [--alias=<alias>] [--secret=<s>] [--description=<text>]
+ *   webhooks remove|enable|disable|test <id>
+ */
+async function webhooksCommand(args) {
+  const { positional, flags } = splitArgs(args);
+  const [sub, value] = positional;
+  const usage =
+    "Usage: mailhop webhooks [list | add <url> [--events=] [--alias=] [--secret=] [--description=] | remove <id> | enable <id> | disable <id> | test <id>]";
+
+  const flag = (name) => {
+    const found = flags.find((f) => f.startsWith(`--${name}=`));
+    return found === undefined ? undefined : found.slice(name.length + 3);
+  };
 
-/** Delete an alias by its address. */
-async function deleteAlias(address) {
-  await request(`/aliases/${encodeURIComponent(address)}`, {
-    method: "DELETE",
-  });
+  switch (sub) {
+    case undefined:
+    case "list": {
+      const hooks = await request("/webhooks");
 
-  console.log(`✓ Deleted alias: ${address}`);
-}
+      if (!hooks || hooks.length === 0) {
+        console.log("No webhooks (add one with: mailhop webhooks add <url>)");
+        return;
+      }
 
-/** Show detailed information for a single alias. */
-async function inspectAlias(address) {
-  const alias = await request(`/aliases/${encodeURIComponent(address)}`);
+      console.log("\nWebhooks:");
+      console.log("─".repeat(80));
+      for (const h of hooks) {
+        console.log(`[${h.id}] ${h.url}${h.enabled ? "" : "  (disabled)"}`);
+        console.log(
+          `  events: ${h.events ? h.events.join(", ") : "all"} | alias: ${h.alias_address || "all"}`
+        );
+        if (h.description) console.log(`  ${h.description}`);
+        if (h.last_sent_at) {
+          console.log(
+            `  last delivery: ${formatTime(h.last_sent_at)} → ${h.last_status ?? "-"}${
+              h.last_error ? ` (${h.last_error})` : ""
+            }`
+          );
+        }
+      }
+      break;
+    }
 
-  if (!alias || !alias.address) {
-    console.log(`Alias not found: ${address}`);
-    return;
-  }
+    case "add": {
+      if (!value) throw new Error(usage);
+      const payload = { url: value };
+      if (flag("events") !== undefined) payload.events = flag("events");
+      if (flag("alias") !== undefined) payload.alias_address = flag("alias");
+      if (flag("secret") !== undefined) payload.secret = flag("secret");
+      if (flag("description") !== undefined) payload.description = flag("description");
+
+      const res = await request("/webhooks", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+      console.log(`✓ Added webhook [${res.webhook.id}] → ${res.webhook.url}`);
+      console.log(`  Signing secret: ${res.webhook.secret}`);
+      console.log("  (verify X-Mailhop-Signature: sha256=<HMAC-SHA256 of the body>)");
+      break;
+    }
 
-  const date = alias.created_at
-    ? new Date(alias.created_at * 1000)
-    : null;
+    case "remove":
+      if (!value) throw new Error(usage);
+      await request(`/webhooks/${encodeURIComponent(value)}`, { method: "DELETE" });
+      console.log(`✓ Removed webhook ${value}`);
+      break;
+
+    case "enable":
+    case "disable":
+      if (!value) throw new Error(usage);
+      await request(`/webhooks/${encodeURIComponent(value)}`, {
+        method: "PATCH",
+        body: JSON.stringify({ enabled: sub === "enable" }),
+      });
+      console.log(`✓ Webhook ${value} ${sub}d`);
+      break;
+
+    case "test": {
+      if (!value) throw new Error(usage);
+      const res = await request(`/webhooks/${encodeURIComponent(value)}/test`, {
+        method: "POST",
+      });
+      console.log(
+        res.success
+          ? `✓ Test event delivered (HTTP ${res.status})`
+          : `✗ Test event failed: ${res.error}`
+      );
+      break;
+    }
 
-  console.log(`\nAlias: ${alias.address}`);
-  console.log("─".repeat(80));
-  console.log(`Forward to: ${alias.forward_to}`);
-  console.log(`allow_plus: ${alias.allow_plus ? "true" : "false"}`);
-  if (alias.notes) {
-    console.log(`Notes: ${alias.notes}`);
-  }
-  if (date) {
-    console.log(`Created: ${date.toLocaleString()}`);
+    default:
+      throw new Error(usage);
   }
 }
 
 /**
- * Update an alias.
- * Supports flag-style arguments:
- *   --forward-to=<email>
- *   --allow-plus=<true|false|1|0>
- *   --notes=<text>
+ * ────────────────────────────────────────────────────────────────
+ * API tokens
+ * ────────────────────────────────────────────────────────────────
  */
-async function updateAlias(address, flagArgs) {
-  const payload = {};
 
-  for (const arg of flagArgs) {
-    if (arg.startsWith("--forward-to=")) {
-      payload.forward_to = arg.slice("--forward-to=".length);
-    } else if (arg.startsWith("--allow-plus=")) {
-      const val = arg.slice("--allow-plus=".length).toLowerCase();
-      payload.allow_plus = ["true", "1", "yes", "y"].includes(val) ? 1 : 0;
-    } else if (arg.startsWith("--notes=")) {
-      payload.notes = arg.slice("--notes=".length);
-    } else {
-      throw new Error(`Unknown flag: ${arg}`);
+/** One-line description of what a token may do, e.g. "aliases (domain example.com)". */
+function describeTokenScope(t) {
+  const limits = [];
+  if (t.scope_domain) limits.push(`domain ${t.scope_domain}`);
+  if (t.scope_destination) limits.push(`destination ${t.scope_destination}`);
+  return limits.length ? `${t.scope} (${limits.join(", ")})` : t.scope;
+}
+
+/**
+ * `mailhop token <subcommand>` dispatcher (needs an admin MAILHOP_API_TOKEN).
+ *   token [list]
+ *   token create <name> [--scope=read|logs|aliases|admin] [--domain=] [--destination=] [--expires=]
+ *   token revoke <id>
+ */
+async function tokenCommand(args) {
+  const { positional, flags } = splitArgs(args);
+  const [sub, value] = positional;
+  const usage =
+    "Usage: mailhop token [list | create <name> [--scope=] [--domain=] [--destination=] [--expires=] | revoke <id>]";
+
+  const flag = (name) => {
+    const found = flags.find((f) => f.startsWith(`--${name}=`));
+    return found === undefined ? undefined : found.slice(name.length + 3);
+  };
+
+  switch (sub) {
+    case undefined:
+    case "list": {
+      const tokens = await request("/tokens");
+
+      if (!tokens || tokens.length === 0) {
+        console.log("No API tokens (create one with: mailhop token create <name>)");
+        return;
+      }
+
+      console.log("\nAPI tokens:");
+      console.log("─".repeat(80));
+      for (const t of tokens) {
+        const expired = t.expires_at && t.expires_at <= Date.now() / 1000;
+        console.log(`[${t.id}] ${t.name}  ${t.prefix}…${expired ? "  (expired)" : ""}`);
+        console.log(
+          `  scope: ${describeTokenScope(t)} | expires: ${
+            t.expires_at ? formatTime(t.expires_at) : "never"
+          } | last used: ${t.last_used_at ? formatTime(t.last_used_at) : "never"}`
+        );
+      }
+      break;
     }
-  }
 
-  if (Object.keys(payload).length === 0) {
-    throw new Error(
-      "No fields to update. Use one or more of: --forward-to=, --allow-plus=, --notes="
-    );
-  }
+    case "create": {
+      if (!value) throw new Error(usage);
+      const payload = { name: value };
+      if (flag("scope") !== undefined) payload.scope = flag("scope");
+      if (flag("domain") !== undefined) payload.domain = flag("domain");
+      if (flag("destination") !== undefined) payload.destination = flag("destination");
+      if (flag("expires") !== undefined) payload.expires_at = parseExpiresFlag(flag("expires"));
+
+      const res = await request("/tokens", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+      console.log(`✓ Created token [${res.token.id}] ${res.token.name} → ${describeTokenScope(res.token)}`);
+      if (res.token.expires_at) console.log(`  Expires: ${formatTime(res.token.expires_at)}`);
+      console.log(`  Token: ${res.token.token}`);
+      console.log("  (shown only once; use it as MAILHOP_API_TOKEN or an Authorization: Bearer header)");
+      break;
+    }
 
-  await request(`/aliases/${encodeURIComponent(address)}`, {
-    method: "PATCH",
-    body: JSON.stringify(payload),
-  });
+    case "revoke":
+      if (!value) throw new Error(usage);
+      await request(`/tokens/${encodeURIComponent(value)}`, { method: "DELETE" });
+      console.log(`✓ Revoked token ${value}`);
+      break;
 
-  console.log(`✓ Updated alias: ${address}`);
+    default:
+      throw new Error(usage);
+  }
 }
 
 /**
- * Fetch and print recent email_logs entries.
- * Uses GET /logs?limit=N from the API.
+ * ────────────────────────────────────────────────────────────────
+ * Quarantine
+ * ────────────────────────────────────────────────────────────────
  */
-async function showLogs(limitArg) {
-  const limit = Number.parseInt(limitArg || "20", 10);
-  const safeLimit = Number.isFinite(limit) && limit > 0 ? limit : 20;
-  const logs = await request(`/logs?limit=${safeLimit}`);
-
-  if (!logs || logs.length === 0) {
-    console.log("No email logs found");
-    return;
-  }
 
-  for (const entry of logs) {
-    const ts = entry.ts ? new Date(entry.ts * 1000) : null;
-    const when = ts ? ts.toLocaleString() : "(no time)";
-    console.log(
-      `${when} | ${entry.from_addr || "unknown"} → ${
-        entry.to_addr || "unknown"
-      }`
-    );
-    console.log(`  result: ${entry.result || "unknown"}`);
-    if (entry.route || entry.dest_addr || entry.base_addr) {
-      console.log(
-        `  route: ${entry.route || "-"}${
-          entry.base_addr ? ` (base: ${entry.base_addr})` : ""
-        }`
+/**
+ * `mailhop quarantine <subcommand>` dispatcher.
+ *   quarantine [list] [limit]               → newest quarantined messages
+ *   quarantine show <id>                    → details and message headers
+ *   quarantine release <id> [--to=<email>]  → deliver it (default: the alias's destinations)
+ *   quarantine purge [--all]                → delete expired entries (or everything)
+ */
+async function quarantineCommand(args) {
+  const { positional, flags } = splitArgs(args);
+  const [sub, value] = positional;
+  const usage =
+    "Usage: mailhop quarantine [list [limit] | show <id> | release <id> [--to=<email>] | purge [--all]]";
+
+  switch (sub) {
+    case undefined:
+    case "list": {
+      const limit = Number.parseInt(value || "20", 10);
+      const items = await request(
+        `/quarantine?limit=${Number.isFinite(limit) && limit > 0 ? limit : 20}`
       );
-      if (entry.dest_addr) {
-        console.log(`  dest:  ${entry.dest_addr}`);
+
+      if (!items || items.length === 0) {
+        console.log("Quarantine is empty");
+        return;
+      }
+
+      console.log("\nQuarantined messages:");
+      console.log("─".repeat(80));
+      for (const q of items) {
+        const state = q.released_at ? `  (released → ${q.released_to})` : "";
+        console.log(`[${q.id}] ${formatTime(q.created_at)} | ${q.from_addr} → ${q.to_addr}${state}`);
+        console.log(`  reason:  ${q.reason}${q.subject ? ` | subject: ${q.subject}` : ""}`);
       }
+      console.log(`\nTotal: ${items.length} messages`);
+      break;
     }
-    if (entry.error) {
-      console.log(`  error: ${entry.error}`);
+
+    case "show": {
+      if (!value) throw new Error(usage);
+      const q = await request(`/quarantine/${encodeURIComponent(value)}`);
+
+      console.log(`\nQuarantined message #${q.id}`);
+      console.log("─".repeat(80));
+      console.log(`From:     ${q.from_addr}`);
+      console.log(`To:       ${q.to_addr}`);
+      console.log(`Alias:    ${q.alias_address || "(none matched)"}`);
+      console.log(`Reason:   ${q.reason}${q.error ? ` - ${q.error}` : ""}`);
+      console.log(`Size:     ${q.size_bytes ?? "?"} bytes`);
+      console.log(`Received: ${formatTime(q.created_at)}`);
+      console.log(`Expires:  ${formatTime(q.expires_at)}`);
+      if (q.released_at) {
+        console.log(`Released: ${formatTime(q.released_at)} → ${q.released_to}`);
+      }
+      console.log();
+      console.log(q.headers ?? "(stored message no longer exists)");
+      break;
     }
-    console.log();
-  }
 
-  console.log(`Total: ${logs.length} log entries`);
+    case "release": {
+      if (!value) throw new Error(usage);
+      const payload = {};
+      const to = flags
+        .filter((f) => f.startsWith("--to="))
+        .map((f) => f.slice("--to=".length));
+      if (to.length > 0) payload.to = to;
+
+      const res = await request(`/quarantine/${encodeURIComponent(value)}/release`, {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+      console.log(`✓ Released #${res.released} → ${res.to.join(", ")}`);
+      break;
+    }
+
+    case "purge": {
+      const res = await request("/quarantine/purge", {
+        method: "POST",
+        body: JSON.stringify({ all: flags.includes("--all") }),
+      });
+      console.log(`✓ Purged ${res.purged} quarantined messages`);
+      break;
+    }
+
+    default:
+      throw new Error(usage);
+  }
 }
 
 /**
  * ────────────────────────────────────────────────────────────────
- * Developer helpers: preflight / deploy-all
+ * Developer helpers: preflight / deploy-all / dev send
  * ────────────────────────────────────────────────────────────────
  *
  * These assume a Mailhop project layout like:
@@ -348,7 +1768,7 @@ async function showLogs(limitArg) {
  * For each worker (api/email):
  *  - checks that wrangler.local.jsonc exists
  *  - prints any detected D1 database_id
- *  - prints DOMAIN value if present
+ *  - prints DOMAIN value if present (legacy fallback; domains now live in D1)
  */
 async function preflight() {
   console.log("🧪 Mailhop preflight check\n");
@@ -387,7 +1807,7 @@ async function preflight() {
       `  🗄️  D1 database id: ${dbMatch ? dbMatch[1] : "MISSING"}`
     );
     console.log(
-      `  🌐 DOMAIN: ${domainMatch ? domainMatch[1] : "not set"}`
+      `  🌐 DOMAIN (legacy fallback): ${domainMatch ? domainMatch[1] : "not set"}`
     );
     console.log();
   }
@@ -395,6 +1815,9 @@ async function preflight() {
   console.log(
     "✅ Preflight complete. Fix any missing configs or values before deploying."
   );
+  console.log(
+    "   Routed domains are managed in D1: run `mailhop domains` to review them."
+  );
 }
 
 /**
@@ -427,6 +1850,144 @@ async function deployAll() {
   console.log("\n🎉 All workers deployed successfully.");
 }
 
+/** Columns `dev send` reads back from the email worker's local email_logs. */
+const DEV_LOG_COLUMNS = `ts, message_id, from_addr, to_addr, route, base_addr, tag,
+  dest_addr, result, error, auth, attempt, unexpected_sender`;
+
+/**
+ * Return the value of the first header called `name` in a raw message,
+ * or null. Only the header block is searched; folded lines are joined.
+ */
+function emlHeader(text, name) {
+  const end = text.search(/\r?\n\r?\n/);
+  const head = (end === -1 ? text : text.slice(0, end)).replace(/\r?\n[ \t]+/g, " ");
+  const line = head
+    .split(/\r?\n/)
+    .find((l) => l.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+  return line ? line.slice(name.length + 1).trim() : null;
+}
+
+/**
+ * devSend()
+ * ---------
+ * `mailhop dev send <file.eml> --to=<rcpt> [--from=<sender>]`
+ *
+ * Feeds a saved message to the email worker running locally, e.g.:
+ *
+ *   cd workers/email && wrangler dev --config wrangler.local.jsonc --port 8788
+ *
+ * via wrangler's local email endpoint (POST /cdn-cgi/handler/email), then
+ * reads the resulting email_logs rows back from the worker's local D1 with
+ * `wrangler d1 execute --local`. The envelope sender defaults to the
+ * message's From address. Messages without a Message-Id get one, so their
+ * log rows can be found.
+ */
+async function devSend(args) {
+  const usage = "Usage: mailhop dev send <file.eml> --to=<rcpt> [--from=<sender>]";
+  const { positional, flags } = splitArgs(args);
+  let to = "";
+  let from = "";
+
+  for (const flag of flags) {
+    if (flag.startsWith("--to=")) {
+      to = flag.slice("--to=".length).trim();
+    } else if (flag.startsWith("--from=")) {
+      from = flag.slice("--from=".length).trim();
+    } else {
+      throw new Error(`Unknown flag: ${flag}`);
+    }
+  }
+  if (!positional[0] || !to) {
+    throw new Error(usage);
+  }
+
+  // latin1 keeps every byte as-is, so 8-bit bodies survive the round trip.
+  let raw = await fs.readFile(positional[0], "latin1");
+
+  let messageId = emlHeader(raw, "Message-Id");
+  if (!messageId) {
+    messageId = `<mailhop-dev-${randomUUID()}@localhost>`;
+    raw = `Message-Id: ${messageId}\r\n${raw}`;
+  }
+
+  if (!from) {
+    const header = emlHeader(raw, "From") || "";
+    const angle = header.match(/<([^>]+)>/);
+    from = (angle ? angle[1] : header).trim();
+  }
+  if (!from) {
+    throw new Error("No From header in the message; pass --from=<sender>");
+  }
+
+  const url = new URL("/cdn-cgi/handler/email", EMAIL_DEV_URL);
+  url.searchParams.set("from", from);
+  url.searchParams.set("to", to);
+
+  console.log(`📨 ${positional[0]}: ${from} → ${to} (${messageId})`);
+
+  let response;
+  try {
+    response = await fetch(url, { method: "POST", body: Buffer.from(raw, "latin1") });
+  } catch (err) {
+    throw new Error(
+      `Email worker not reachable at ${EMAIL_DEV_URL} (${err.message}). Start it with:\n` +
+        "  cd workers/email && wrangler dev --config wrangler.local.jsonc --port 8788"
+    );
+  }
+  const reply = (await response.text()).trim();
+  console.log(`   wrangler dev: ${response.status}${reply ? ` ${reply}` : ""}\n`);
+
+  const emailDir = path.join(MAILHOP_ROOT, "workers", "email");
+  const sql = `SELECT ${DEV_LOG_COLUMNS.replace(/\s+/g, " ")} FROM email_logs WHERE message_id = '${messageId.replace(/'/g, "''")}' ORDER BY id`;
+
+  let rows;
+  try {
+    // execFile: the SQL holds the Message-Id, which must not reach a shell.
+    const { stdout } = await execFile(
+      "wrangler",
+      ["d1", "execute", "DB", "--local", "--config", "wrangler.local.jsonc", "--json", "--command", sql],
+      { cwd: emailDir }
+    );
+    rows = JSON.parse(stdout).flatMap((r) => r.results ?? []);
+  } catch (err) {
+    throw new Error(
+      `Could not read email_logs from the local D1 in ${emailDir}: ${err.stderr || err.message}`
+    );
+  }
+
+  if (rows.length === 0) {
+    console.log("No email_logs rows for this message (check the wrangler dev output)");
+    return;
+  }
+
+  const forwarded = rows.filter((r) => r.result === "forwarded");
+  console.log(
+    forwarded.length > 0
+      ? `✓ Forwarded to ${forwarded.map((r) => r.dest_addr).join(", ")}\n`
+      : `✗ Not delivered (${rows[rows.length - 1].result})\n`
+  );
+  for (const row of rows) {
+    printLogEntry(row);
+  }
+}
+
+/**
+ * `mailhop dev <subcommand>` dispatcher.
+ *   dev send <file.eml> --to=<rcpt> [--from=<sender>]
+ */
+async function devCommand(args) {
+  const [sub, ...rest] = args;
+
+  switch (sub) {
+    case "send":
+      await devSend(rest);
+      break;
+
+    default:
+      throw new Error("Usage: mailhop dev send <file.eml> --to=<rcpt> [--from=<sender>]");
+  }
+}
+
 /**
  * ────────────────────────────────────────────────────────────────
  * Help text and CLI entrypoint
@@ -437,14 +1998,24 @@ async function deployAll() {
 function showHelp() {
   console.log("mailhop - Email alias management + developer helpers\n");
   console.log("Usage:");
-  console.log("  mailhop list");
-  console.log("      List all aliases");
+  console.log("  mailhop list [--search=] [--domain=] [--destination=] [--allow-plus=true|false]");
+  console.log("               [--sort=] [--order=asc|desc] [--limit=50] [--cursor=] [--all]");
+  console.log("      List aliases a page at a time (--all prints every page). --search= matches");
+  console.log("      address and notes; --sort= address, created_at, last_received_at,");
+  console.log("      received_count or rejected_count, e.g.:");
+  console.log("        mailhop list --sort=received_count --limit=20");
+  console.log("        mailhop list --search=shop --domain=example.com");
+  console.log();
+  console.log("  mailhop stale [--days=90]");
+  console.log("      List aliases that received no mail in that many days");
   console.log();
   console.log("  mailhop find <email>");
   console.log("      Find aliases by destination (forward_to)");
   console.log();
-  console.log("  mailhop create <alias> <forward-to> [notes]");
-  console.log("      Create a new alias");
+  console.log("  mailhop create <alias> <forward-to>[,<forward-to>…] [notes] [--forward-to=…] [--expires=] [--max-messages=]");
+  console.log("      Create a new alias delivering to one or more destinations.");
+  console.log('      Use "*" in the alias for patterns, e.g. "shop-*@example.com" or the catch-all "*@example.com".');
+  console.log("      Burner aliases: --expires=7d (or 12h, 2w, an ISO date) and/or --max-messages=5");
   console.log();
   console.log("  mailhop delete <alias>");
   console.log("      Delete an alias");
@@ -452,14 +2023,103 @@ function showHelp() {
   console.log("  mailhop inspect <alias>");
   console.log("      Show full details for a single alias");
   console.log();
-  console.log("  mailhop update <alias> [--forward-to=] [--allow-plus=] [--notes=]");
+  console.log("  mailhop update <alias> [--forward-to=] [--allow-plus=] [--notes=] [--expires=] [--max-messages=]");
+  console.log("                        [--reverse-alias=] [--allowed-tags=] [--tag-route=] [--auth-policy=]");
+  console.log("                        [--rate-limit=] [--sender-rate-limit=] [--rate-window=]");
+  console.log("                        [--max-size=] [--attachments=] [--fallback=] [--on-failure=]");
+  console.log("                        [--subject-prefix=] [--expected-senders=]");
   console.log("      Update alias fields. Examples:");
   console.log("        mailhop update hello@example.com --allow-plus=false");
   console.log("        mailhop update hello@example.com --forward-to=me@inbox.example.net");
+  console.log("        mailhop update billing@example.com --forward-to=a@x.net --forward-to=b@y.net");
   console.log('        mailhop update hello@example.com --notes="for signups"');
+  console.log("        mailhop update signup@example.com --expires=never --max-messages=none");
+  console.log("        mailhop update hello@example.com --reverse-alias=true");
+  console.log("        mailhop update me@example.com --allowed-tags=work,shop --tag-route=work:me@work.example");
+  console.log("        mailhop update leaked@example.com --rate-limit=50 --sender-rate-limit=5 --rate-window=1h");
+  console.log("        mailhop update files@example.com --max-size=25MB --attachments=strip");
+  console.log("        mailhop update me@example.com --fallback=backup@inbox.example.net --on-failure=defer");
+  console.log('        mailhop update shop@example.com --subject-prefix="[{alias}]"');
+  console.log("        mailhop update shop@example.com --expected-senders=shop.example");
+  console.log();
+  console.log("  mailhop disable <alias> [--drop|--reject]");
+  console.log("      Stop delivering an alias but keep it. --drop accepts and discards mail,");
+  console.log("      --reject (default) bounces it with 550.");
+  console.log();
+  console.log("  mailhop enable <alias>");
+  console.log("      Resume delivering a disabled alias");
+  console.log();
+  console.log("  mailhop senders <alias> [list | allow <pattern> | block <pattern> | remove <id> | seen]");
+  console.log("      Manage per-alias sender rules (block wins; any allow rule turns on allowlist mode).");
+  console.log('        mailhop senders hello@example.com block "@spam.example"');
+  console.log("        mailhop senders private@example.com allow friend@mail.example");
+  console.log("        mailhop senders shop@example.com seen   (sender domains, ⚠ = unexpected)");
+  console.log();
+  console.log("  mailhop leaks");
+  console.log("      List aliases that got mail from domains outside their --expected-senders.");
+  console.log();
+  console.log("  mailhop logs [limit | --limit=<n>] [--alias=] [--from=] [--result=] [--route=] [--message-id=]");
+  console.log("                       [--since=] [--until=] [--cursor=] [--follow [--interval=2]]");
+  console.log("      Show email routing log entries, newest first (default: 20). --alias= also");
+  console.log("      matches plus-tag and pattern mail for it; --from= takes an address or @domain;");
+  console.log("      --result= / --route= take comma-separated lists; --since= / --until= take");
+  console.log("      a duration ago (30m, 1h, 7d), an ISO date or unix seconds, e.g.:");
+  console.log("        mailhop logs --alias=shop@example.com --result=rejected --since=1h");
+  console.log("        mailhop logs 50 --from=@spam.example --since=7d");
+  console.log("      --follow keeps printing new entries as they arrive (like tail -f; Ctrl-C");
+  console.log("      stops), polling every --interval= seconds. Results are colored on a terminal");
+  console.log("      (set NO_COLOR=1 to turn that off), e.g.:");
+  console.log("        mailhop logs 5 --follow --alias=new@example.com");
+  console.log();
+  console.log("  mailhop explain <address> [--from=<sender>]");
+  console.log("      Show how mail to an address would be routed, without sending anything:");
+  console.log("      route, alias, destinations, or why it would be rejected.");
+  console.log("        mailhop explain shop+amazon@example.com --from=orders@amazon.example");
   console.log();
-  console.log("  mailhop logs [limit]");
-  console.log("      Show recent email routing log entries (default: 20)");
+  console.log("  mailhop stats [--period=day|week|month] [--since=30d] [--until=] [--top=10]");
+  console.log("      Messages over time with sparklines (forwarded / rejected / errors), counts");
+  console.log("      per result and route, and the top aliases, senders and rejected recipients.");
+  console.log("      Each message counts once, however many destinations, fallbacks or retries");
+  console.log("      it took. Kept per day, so it reaches back further than the logs (top senders");
+  console.log("      and rejected recipients: the last 90 days), e.g.:");
+  console.log("        mailhop stats --period=week --since=26w");
+  console.log();
+  console.log("  mailhop quarantine [list [limit] | show <id> | release <id> [--to=<email>] | purge [--all]]");
+  console.log("      Inspect and release rejected mail kept in the quarantine bucket.");
+  console.log("        mailhop quarantine release 12                     (to the alias's destinations)");
+  console.log("        mailhop quarantine release 12 --to=you@inbox.example.net");
+  console.log();
+  console.log("  mailhop webhooks [list | add <url> [--events=] [--alias=] [--secret=] [--description=] |");
+  console.log("                   remove <id> | enable <id> | disable <id> | test <id>]");
+  console.log("      Get routing events POSTed (HMAC-signed JSON) to your chat or alerting stack.");
+  console.log("        mailhop webhooks add https://hooks.example.net/mail --events=rejected,error");
+  console.log();
+  console.log("  mailhop domains [list|add|enable|disable|separator|auth|max-size|attachments|fallback|");
+  console.log("                  on-failure|delete] <domain>");
+  console.log("      Manage the domains Mailhop accepts mail for. Examples:");
+  console.log("        mailhop domains add example.org");
+  console.log("        mailhop domains disable example.org");
+  console.log("        mailhop domains separator example.org -   (user-tag@example.org)");
+  console.log("        mailhop domains auth example.com reject  (refuse SPF/DMARC failures)");
+  console.log("        mailhop domains max-size example.com 10MB");
+  console.log("        mailhop domains attachments example.com reject  (executables and scripts)");
+  console.log('        mailhop domains attachments example.com strip ".exe,.zip,application/x-ms*"');
+  console.log("        mailhop domains fallback example.com backup@inbox.example.net");
+  console.log("        mailhop domains on-failure example.com defer  (451 so senders retry)");
+  console.log();
+  console.log("  mailhop token [list | create <name> [--scope=] [--domain=] [--destination=] [--expires=] |");
+  console.log("                revoke <id>]");
+  console.log("      Manage API tokens (admin only). Scopes: admin, read (GET only), logs (/logs, /stats),");
+  console.log("      aliases (alias CRUD limited to a --domain and/or --destination).");
+  console.log("        mailhop token create dashboard --scope=read");
+  console.log("        mailhop token create partner --scope=aliases --domain=example.org --expires=90d");
+  console.log("        mailhop token revoke 3");
+  console.log();
+  console.log("  mailhop dev send <file.eml> --to=<rcpt> [--from=<sender>]");
+  console.log("      Feed a saved message to the email worker running under wrangler dev");
+  console.log("      (MAILHOP_EMAIL_DEV_URL) and print the outcome and its email_logs rows.");
+  console.log("        cd workers/email && wrangler dev --config wrangler.local.jsonc --port 8788");
+  console.log("        mailhop dev send fixtures/newsletter.eml --to=shop+news@example.com");
   console.log();
   console.log("  mailhop preflight");
   console.log("      Check local worker configs under MAILHOP_ROOT (or current dir).");
@@ -469,8 +2129,9 @@ function showHelp() {
   console.log();
   console.log("Environment variables:");
   console.log(`  MAILHOP_API_URL     API base URL (default: ${API_URL})`);
-  console.log("  MAILHOP_API_TOKEN   API Bearer token (must match Worker MAILHOP_API_KEY, if set)");
-  console.log(`  MAILHOP_ROOT        Project root for preflight/deploy-all (default: ${MAILHOP_ROOT})`);
+  console.log("  MAILHOP_API_TOKEN   API Bearer token (Worker MAILHOP_API_KEY or a `mailhop token` token)");
+  console.log(`  MAILHOP_ROOT        Project root for preflight/deploy-all/dev send (default: ${MAILHOP_ROOT})`);
+  console.log(`  MAILHOP_EMAIL_DEV_URL  Email worker under wrangler dev (default: ${EMAIL_DEV_URL})`);
 }
 
 /**
@@ -485,7 +2146,11 @@ async function main() {
   try {
     switch (command) {
       case "list":
-        await listAliases();
+        await listAliases(args);
+        break;
+
+      case "stale":
+        await staleAliases(args);
         break;
 
       case "find":
@@ -496,10 +2161,7 @@ async function main() {
         break;
 
       case "create":
-        if (!args[0] || !args[1]) {
-          throw new Error("Usage: mailhop create <alias> <forward-to> [notes]");
-        }
-        await createAlias(args[0], args[1], args[2]);
+        await createAlias(args);
         break;
 
       case "delete":
@@ -519,14 +2181,62 @@ async function main() {
       case "update":
         if (!args[0]) {
           throw new Error(
-            "Usage: mailhop update <alias> [--forward-to=] [--allow-plus=] [--notes=]"
+            "Usage: mailhop update <alias> [--forward-to=] [--allow-plus=] [--notes=] [--expires=] [--max-messages=] [--reverse-alias=] [--allowed-tags=] [--tag-route=] [--auth-policy=] [--rate-limit=] [--sender-rate-limit=] [--rate-window=] [--max-size=] [--attachments=] [--fallback=] [--on-failure=] [--subject-prefix=] [--expected-senders=]"
           );
         }
         await updateAlias(args[0], args.slice(1));
         break;
 
+      case "enable":
+      case "disable":
+        if (!args[0]) {
+          throw new Error(
+            command === "enable"
+              ? "Usage: mailhop enable <alias>"
+              : "Usage: mailhop disable <alias> [--drop|--reject]"
+          );
+        }
+        await setAliasEnabled(args[0], command === "enable", args.slice(1));
+        break;
+
+      case "senders":
+        await sendersCommand(args);
+        break;
+
+      case "leaks":
+        await showLeaks();
+        break;
+
       case "logs":
-        await showLogs(args[0]);
+        await showLogs(args);
+        break;
+
+      case "stats":
+        await showStats(args);
+        break;
+
+      case "explain":
+        await explainRoute(args);
+        break;
+
+      case "quarantine":
+        await quarantineCommand(args);
+        break;
+
+      case "webhooks":
+        await webhooksCommand(args);
+        break;
+
+      case "domains":
+        await domainsCommand(args);
+        break;
+
+      case "token":
+        await tokenCommand(args);
+        break;
+
+      case "dev":
+        await devCommand(args);
         break;
 
       case "preflight":
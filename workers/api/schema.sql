@@ -1,7 +1,67 @@
 -- Mailhop D1 (SQLite) schema
 -- --------------------------
+-- Table: domains
+--  - Every zone routed through Mailhop. The email worker accepts mail for
+--    any enabled domain, and aliases can only be created on known domains.
+--  - Upgrading a single-domain install: run this file, then
+--      INSERT INTO domains (domain) VALUES ('example.com');
+
+CREATE TABLE IF NOT EXISTS domains (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  -- The zone name (e.g., "example.com"), stored lowercase.
+  domain TEXT UNIQUE NOT NULL COLLATE NOCASE,
+
+  -- 1 = accept mail for this domain, 0 = reject everything (aliases are kept).
+  enabled INTEGER NOT NULL DEFAULT 1,
+
+  -- Subaddress separator: user<sep>tag@domain routes to user@domain.
+  -- One of "+", "-", ".", "_", "=".
+  -- Existing databases:
+  --   ALTER TABLE domains ADD COLUMN separator TEXT NOT NULL DEFAULT '+';
+  separator TEXT NOT NULL DEFAULT '+',
+
+  -- What to do with mail that fails SPF or DMARC (per Cloudflare's
+  -- Authentication-Results): 'off' = forward as usual, 'tag' = forward with
+  -- an X-Mailhop-Auth header, 'reject' = refuse it. Aliases can override.
+  -- Existing databases:
+  --   ALTER TABLE domains ADD COLUMN auth_policy TEXT NOT NULL DEFAULT 'off';
+  auth_policy TEXT NOT NULL DEFAULT 'off' CHECK (auth_policy IN ('off', 'tag', 'reject')),
+
+  -- Content limits for this domain's aliases (aliases can override):
+  --  - max_size_bytes: larger messages are rejected (result "too-large"); NULL = no limit
+  --  - attachment_policy: what to do with blocked attachment types:
+  --    'allow' = nothing, 'strip' = replace them with a placeholder (needs the
+  --    email worker's SEND_EMAIL binding), 'reject' = refuse the message
+  --  - blocked_attachments: JSON array of content types (globs allowed) and
+  --    file extensions, e.g. ["application/x-msdownload", ".exe"];
+  --    NULL = the email worker's built-in list of executables and scripts
+  -- Existing databases:
+  --   ALTER TABLE domains ADD COLUMN max_size_bytes INTEGER;
+  --   ALTER TABLE domains ADD COLUMN attachment_policy TEXT NOT NULL DEFAULT 'allow';
+  --   ALTER TABLE domains ADD COLUMN blocked_attachments TEXT;
+  max_size_bytes INTEGER,
+  attachment_policy TEXT NOT NULL DEFAULT 'allow' CHECK (attachment_policy IN ('allow', 'strip', 'reject')),
+  blocked_attachments TEXT,
+
+  -- When none of an alias's destinations accept a message (e.g. an unverified
+  -- destination), fallback_to (JSON array of addresses) is tried in order.
+  -- If that fails too: failure_mode 'reject' answers 550, 'defer' answers 451
+  -- so the sending server retries later. Aliases can override both.
+  -- Existing databases:
+  --   ALTER TABLE domains ADD COLUMN fallback_to TEXT;
+  --   ALTER TABLE domains ADD COLUMN failure_mode TEXT NOT NULL DEFAULT 'reject';
+  fallback_to TEXT,
+  failure_mode TEXT NOT NULL DEFAULT 'reject' CHECK (failure_mode IN ('reject', 'defer')),
+
+  -- Optional notes for the user/CLI.
+  notes TEXT,
+
+  created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
 -- Table: aliases
---  - Each row defines a forward rule from an alias (under example.com)
+--  - Each row defines a forward rule from an alias (under one of our domains)
 --    to a real destination address.
 --  - We normalize and compare addresses case-insensitively.
 
@@ -10,6 +70,8 @@ CREATE TABLE IF NOT EXISTS aliases (
 
   -- The full alias address (e.g., "alias@example.com")
   -- Store in lowercase; enforce uniqueness case-insensitively.
+  -- A "*" in the local part makes it a pattern alias ("shop-*@example.com");
+  -- "*@example.com" is the domain's catch-all.
   address TEXT UNIQUE NOT NULL COLLATE NOCASE,
 
   -- The real destination (e.g., "destination@example.net"), stored lowercase as well.
@@ -23,7 +85,103 @@ CREATE TABLE IF NOT EXISTS aliases (
 
   -- NEW (optional): when 1, allow base alias to match plus-address forms.
   -- If you don't need to toggle this per-alias, you can omit this column.
-  allow_plus INTEGER NOT NULL DEFAULT 1
+  allow_plus INTEGER NOT NULL DEFAULT 1,
+
+  -- Burner aliases: optional unix-seconds expiry and cap on forwarded messages.
+  -- Once either limit is reached the email worker rejects mail (result "expired").
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN expires_at INTEGER;
+  --   ALTER TABLE aliases ADD COLUMN max_messages INTEGER;
+  --   ALTER TABLE aliases ADD COLUMN forwarded_count INTEGER NOT NULL DEFAULT 0;
+  expires_at INTEGER,
+  max_messages INTEGER,
+
+  -- Messages successfully forwarded through this alias (counted once per message).
+  forwarded_count INTEGER NOT NULL DEFAULT 0,
+
+  -- 0 = alias is switched off but kept (notes, rules, history stay intact).
+  -- disabled_action decides what happens to its mail meanwhile:
+  --   "reject" → 550 to the sender, "drop" → silently accepted and discarded.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN enabled INTEGER NOT NULL DEFAULT 1;
+  --   ALTER TABLE aliases ADD COLUMN disabled_action TEXT NOT NULL DEFAULT 'reject';
+  enabled INTEGER NOT NULL DEFAULT 1,
+  disabled_action TEXT NOT NULL DEFAULT 'reject' CHECK (disabled_action IN ('reject', 'drop')),
+
+  -- 1 = reverse alias: forwarded mail gets From/Reply-To rewritten to a
+  -- reply-<token>@<domain> address so replies go out from the alias.
+  -- Needs the SEND_EMAIL binding on the email worker.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN reverse_alias INTEGER NOT NULL DEFAULT 0;
+  reverse_alias INTEGER NOT NULL DEFAULT 0,
+
+  -- Subaddress tags (user+tag@…), only used when allow_plus = 1:
+  --  - allowed_tags: JSON array of accepted tags; NULL = any tag
+  --  - tag_routes:   JSON object {"work": "me@work.example"} sending specific
+  --                  tags to other destination(s) instead of forward_to
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN allowed_tags TEXT;
+  --   ALTER TABLE aliases ADD COLUMN tag_routes TEXT;
+  allowed_tags TEXT,
+  tag_routes TEXT,
+
+  -- Sender authentication policy for this alias ('off' | 'tag' | 'reject');
+  -- NULL = use the domain's auth_policy.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN auth_policy TEXT;
+  auth_policy TEXT CHECK (auth_policy IN ('off', 'tag', 'reject')),
+
+  -- Flood protection: at most rate_limit messages per rate_window seconds for
+  -- the alias, and sender_rate_limit per sender; NULL = unlimited. Over-limit
+  -- mail is rejected (result "rate-limited"). Counters live in rate_counters.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN rate_limit INTEGER;
+  --   ALTER TABLE aliases ADD COLUMN sender_rate_limit INTEGER;
+  --   ALTER TABLE aliases ADD COLUMN rate_window INTEGER NOT NULL DEFAULT 3600;
+  rate_limit INTEGER,
+  sender_rate_limit INTEGER,
+  rate_window INTEGER NOT NULL DEFAULT 3600,
+
+  -- Content limits for this alias; NULL = use the domain's. max_size_bytes 0
+  -- lifts a domain limit for this alias.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN max_size_bytes INTEGER;
+  --   ALTER TABLE aliases ADD COLUMN attachment_policy TEXT;
+  max_size_bytes INTEGER,
+  attachment_policy TEXT CHECK (attachment_policy IN ('allow', 'strip', 'reject')),
+
+  -- Fallback destinations (JSON array, tried in order; '[]' = none) and
+  -- failure mode for this alias; NULL = use the domain's.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN fallback_to TEXT;
+  --   ALTER TABLE aliases ADD COLUMN failure_mode TEXT;
+  fallback_to TEXT,
+  failure_mode TEXT CHECK (failure_mode IN ('reject', 'defer')),
+
+  -- Prepended to the subject of forwarded mail; a template with {alias},
+  -- {local}, {domain}, {tag} and {to}, e.g. '[{alias}]'. NULL = unchanged.
+  -- Needs the email worker's SEND_EMAIL binding.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN subject_prefix TEXT;
+  subject_prefix TEXT,
+
+  -- Leak detection: JSON array of the sender domains this alias was given
+  -- to, e.g. ["shop.example"] (subdomains included). Mail from any other
+  -- domain is flagged (email_logs.unexpected_sender). NULL = not tracked.
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN expected_senders TEXT;
+  expected_senders TEXT,
+
+  -- Usage, maintained by the email worker: every message matching the alias
+  -- bumps received_count (and rejected_count if it was refused with a
+  -- 4xx / 5xx) and sets last_received_at (unix seconds).
+  -- Existing databases:
+  --   ALTER TABLE aliases ADD COLUMN received_count INTEGER NOT NULL DEFAULT 0;
+  --   ALTER TABLE aliases ADD COLUMN rejected_count INTEGER NOT NULL DEFAULT 0;
+  --   ALTER TABLE aliases ADD COLUMN last_received_at INTEGER;
+  received_count INTEGER NOT NULL DEFAULT 0,
+  rejected_count INTEGER NOT NULL DEFAULT 0,
+  last_received_at INTEGER
 );
 
 -- Fast lookups by alias address.
@@ -32,6 +190,225 @@ CREATE INDEX IF NOT EXISTS idx_address ON aliases (address);
 -- Helpful when listing all aliases for a destination.
 CREATE INDEX IF NOT EXISTS idx_forward_to ON aliases (forward_to);
 
+-- Table: alias_destinations
+--  - Fan-out: every destination an alias delivers to, in delivery order.
+--  - aliases.forward_to is kept in sync with the first (primary) destination
+--    so older tooling keeps working.
+--  - Aliases without rows here fall back to aliases.forward_to. To backfill an
+--    existing database:
+--      INSERT INTO alias_destinations (alias_id, address, position)
+--        SELECT id, forward_to, 0 FROM aliases;
+
+CREATE TABLE IF NOT EXISTS alias_destinations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  -- Owning alias; destinations go away with their alias.
+  alias_id INTEGER NOT NULL REFERENCES aliases (id) ON DELETE CASCADE,
+
+  -- The real destination (e.g., "destination@example.net"), stored lowercase.
+  address TEXT NOT NULL COLLATE NOCASE,
+
+  -- 0-based delivery order; position 0 mirrors aliases.forward_to.
+  position INTEGER NOT NULL DEFAULT 0,
+
+  UNIQUE (alias_id, address)
+);
+
+-- Helpful when listing all aliases for a destination.
+CREATE INDEX IF NOT EXISTS idx_alias_destinations_address ON alias_destinations (address);
+
+-- Table: alias_sender_rules
+--  - Per-alias sender allowlist / blocklist, checked against the envelope
+--    sender (message.from) before forwarding.
+--  - pattern forms: exact address ("bob@shop.example"), whole domain
+--    ("@spam.example") or a glob ("*@*.spam.example").
+--  - Block rules win. If an alias has any allow rules, only senders matching
+--    one of them get through.
+
+CREATE TABLE IF NOT EXISTS alias_sender_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  -- Owning alias; rules go away with their alias.
+  alias_id INTEGER NOT NULL REFERENCES aliases (id) ON DELETE CASCADE,
+
+  -- "allow" or "block".
+  action TEXT NOT NULL CHECK (action IN ('allow', 'block')),
+
+  -- Sender pattern, stored lowercase.
+  pattern TEXT NOT NULL COLLATE NOCASE,
+
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+
+  UNIQUE (alias_id, action, pattern)
+);
+
+-- Table: alias_sender_domains
+--  - Every sender domain that has written to an alias, maintained by the
+--    email worker (first seen, last seen, message count).
+--  - Compared with aliases.expected_senders to find leaked aliases.
+
+CREATE TABLE IF NOT EXISTS alias_sender_domains (
+  alias_id INTEGER NOT NULL REFERENCES aliases (id) ON DELETE CASCADE,
+
+  -- Envelope sender's domain, lowercase.
+  domain TEXT NOT NULL COLLATE NOCASE,
+
+  first_seen_at INTEGER NOT NULL,
+  last_seen_at  INTEGER NOT NULL,
+  message_count INTEGER NOT NULL DEFAULT 1,
+
+  PRIMARY KEY (alias_id, domain)
+);
+
+-- Table: reverse_aliases
+--  - One generated reply address per (alias address, external contact).
+--  - Mail from one of the alias's destinations to reply_address is re-sent
+--    to contact, appearing to come from alias_address.
+
+CREATE TABLE IF NOT EXISTS reverse_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  -- Generated address on our domain, e.g. "reply-3f9c0a1b2c3d4e5f@example.com".
+  reply_address TEXT UNIQUE NOT NULL COLLATE NOCASE,
+
+  -- Alias whose destinations may use the reply address.
+  alias_id INTEGER NOT NULL REFERENCES aliases (id) ON DELETE CASCADE,
+
+  -- The address the contact originally wrote to (replies are sent from it).
+  alias_address TEXT NOT NULL COLLATE NOCASE,
+
+  -- The external correspondent replies are delivered to.
+  contact TEXT NOT NULL COLLATE NOCASE,
+
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  last_used_at INTEGER,
+
+  UNIQUE (alias_address, contact)
+);
+
+-- Table: rate_counters
+--  - Fixed-window message counters maintained by the email worker.
+--  - key is "alias:<alias id>" or "sender:<alias id>:<sender address>".
+--  - Rows are deleted by the email worker once expires_at has passed.
+
+CREATE TABLE IF NOT EXISTS rate_counters (
+  key TEXT NOT NULL,
+  window_start INTEGER NOT NULL,   -- unix seconds, a multiple of the alias's rate_window
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at INTEGER NOT NULL,     -- window_start + rate_window
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_counters_expires_at ON rate_counters (expires_at);
+
+-- Table: quarantine
+--  - Index of rejected mail whose raw message was kept in the R2 bucket bound
+--    as QUARANTINE (only written when that binding exists).
+--  - Rows past expires_at are removed, with their R2 objects, by the API
+--    worker's daily cron trigger, on sight by GET / release (410), or now by
+--    `mailhop quarantine purge` (POST /quarantine/purge).
+
+CREATE TABLE IF NOT EXISTS quarantine (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  -- R2 object key of the raw message ("quarantine/<uuid>.eml").
+  object_key TEXT UNIQUE NOT NULL,
+
+  message_id TEXT,
+  from_addr TEXT,
+  to_addr TEXT,
+
+  -- Alias the message was meant for; a release delivers to its destinations.
+  -- NULL when no alias matched (a release then needs an explicit address).
+  alias_address TEXT COLLATE NOCASE,
+
+  -- Why it was rejected: the email_logs result (rejected | sender-blocked | auth-failed |
+  -- too-large | attachment-blocked).
+  reason TEXT NOT NULL,
+  error TEXT,
+
+  subject TEXT,
+  size_bytes INTEGER,
+
+  created_at INTEGER NOT NULL,
+
+  -- End of retention (created_at + QUARANTINE_RETENTION_DAYS, default 30 days).
+  expires_at INTEGER,
+
+  -- Set once released; released_to is a comma-separated list of recipients.
+  released_at INTEGER,
+  released_to TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_quarantine_expires_at ON quarantine (expires_at);
+
+-- Table: webhooks
+--  - Subscriptions notified by the email worker for each routing log entry.
+--  - Payloads are JSON, signed with X-Mailhop-Signature: sha256=<hex HMAC-SHA256
+--    of the raw body keyed with secret>.
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  url TEXT NOT NULL,
+
+  -- Shared secret for the signature (generated by the API if not given).
+  secret TEXT NOT NULL,
+
+  -- JSON array of events to send: "forwarded", "rejected" (anything not
+  -- delivered), "deferred" (a 451 the sender retries: deferred or
+  -- rate-limited) and/or "error". NULL = all events.
+  events TEXT,
+
+  -- Only events for this alias (or pattern alias); NULL = every alias.
+  alias_address TEXT COLLATE NOCASE,
+
+  enabled INTEGER NOT NULL DEFAULT 1,
+  description TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+
+  -- Outcome of the most recent delivery, for `mailhop webhooks`.
+  last_status INTEGER,
+  last_error TEXT,
+  last_sent_at INTEGER
+);
+
+-- Table: api_tokens
+--  - Bearer tokens for the API, each with a scope:
+--      admin   → everything, including managing tokens
+--      read    → every GET endpoint (and the POST /route/test dry run)
+--      logs    → GET /logs and GET /stats
+--      aliases → the /aliases routes, limited to aliases on scope_domain
+--                and/or delivering only to scope_destination
+--  - Only a SHA-256 hash of each token is stored; the token itself is shown
+--    once, when it is created. Revoking a token deletes its row.
+--  - The MAILHOP_API_KEY secret keeps working as an admin token (use it to
+--    create the first tokens).
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+
+  -- Hex SHA-256 of the token, and its first characters for `mailhop token list`.
+  token_hash TEXT UNIQUE NOT NULL,
+  prefix TEXT NOT NULL,
+
+  -- Existing databases created this table without the CHECK, and SQLite
+  -- can't add one in place (the API only writes these scopes anyway). To add
+  -- it, rebuild the table, keeping every token:
+  --   ALTER TABLE api_tokens RENAME TO api_tokens_old;
+  --   (this CREATE TABLE)
+  --   INSERT INTO api_tokens SELECT * FROM api_tokens_old;
+  --   DROP TABLE api_tokens_old;
+  scope TEXT NOT NULL CHECK (scope IN ('read', 'logs', 'aliases', 'admin')),
+  scope_domain TEXT COLLATE NOCASE,     -- aliases scope: only aliases on this domain
+  scope_destination TEXT COLLATE NOCASE, -- aliases scope: only aliases delivering only here
+
+  expires_at INTEGER,                   -- unix seconds, NULL = never
+  last_used_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
 -- Persistent, capped email routing logs
 CREATE TABLE IF NOT EXISTS email_logs (
   id          INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -39,12 +416,16 @@ CREATE TABLE IF NOT EXISTS email_logs (
   message_id  TEXT,
   from_addr   TEXT,
   to_addr     TEXT,
-  route       TEXT,                               -- exact | base+tag | none | invalid-domain | exception
-  base_addr   TEXT,                               -- present for base+tag
+  route       TEXT,                               -- exact | base+tag | pattern | catch-all | reverse | none | invalid-domain | exception
+  base_addr   TEXT,                               -- present for base+tag (base alias) and pattern/catch-all (pattern)
+  tag         TEXT,                               -- subaddress tag for base+tag (ALTER TABLE email_logs ADD COLUMN tag TEXT;)
   dest_addr   TEXT,                               -- forward_to when forwarding
-  result      TEXT,                               -- forwarded | rejected | error | loop-rejected
+  result      TEXT,                               -- forwarded | rejected | error | expired | sender-blocked | disabled | dropped | auth-failed | rate-limited | too-large | attachment-blocked | deferred
   size_bytes  INTEGER,
-  error       TEXT                                -- optional error string
+  error       TEXT,                               -- optional error string
+  auth        TEXT,                               -- sender auth verdict "spf=… dkim=… dmarc=…" (ALTER TABLE email_logs ADD COLUMN auth TEXT;)
+  attempt     INTEGER,                            -- 1 = alias destinations, 2+ = fallbacks in order (ALTER TABLE email_logs ADD COLUMN attempt INTEGER;)
+  unexpected_sender INTEGER NOT NULL DEFAULT 0     -- 1 = sender domain not in the alias's expected_senders (ALTER TABLE email_logs ADD COLUMN unexpected_sender INTEGER NOT NULL DEFAULT 0;)
 );
 
 -- Keep only the most recent N rows (change 10000 to your preferred cap)
@@ -57,3 +438,117 @@ BEGIN
   );
 END;
 
+
+-- Table: email_stats_daily
+--  - Per-day routing counts for GET /stats and `mailhop stats`, kept up to
+--    date by the email_logs_stats trigger below, so they outlive the rows
+--    email_logs_cap deletes.
+--  - One row per UTC day, dimension, name and result. Dimensions:
+--      total      name = ""
+--      route      name = the email_logs route
+--      alias      name = the alias (or pattern) the mail was routed by
+--      sender     name = from_addr
+--      recipient  name = to_addr (e.g. for top rejected recipients)
+--  - sender and recipient rows take a row per address, which spam and
+--    catch-all domains grow without bound, so the trigger drops them after
+--    90 days (change '-90 days' below to keep more or fewer; GET /stats
+--    assumes 90). The other dimensions are bounded and stay.
+--  - entries counts email_logs rows: mail fanned out to three destinations,
+--    a fallback attempt or a deferred retry each add one.
+--  - messages counts each message once (same message_id and to_addr), under
+--    its best result so far: forwarded, else deferred, else its first
+--    result. When a later row improves on it (a fallback or a retry got it
+--    through), the count moves from the earlier row's day and result to the
+--    new one's. Rows without a message_id count as one message each.
+--  - Delete old days when you no longer need them, e.g.
+--      DELETE FROM email_stats_daily WHERE day < date('now', '-400 days');
+--  - Existing databases: create the table, view, index and trigger, then
+--    backfill from the logs you still have:
+--      INSERT INTO email_stats_daily (day, dimension, name, result, entries, messages)
+--      SELECT d.day, d.dimension, d.name, d.result, COUNT(*), SUM(NOT EXISTS (
+--          SELECT 1 FROM email_logs p
+--          WHERE p.message_id = l.message_id AND lower(p.to_addr) IS lower(l.to_addr) AND p.id <> l.id
+--            AND (CASE p.result WHEN 'forwarded' THEN 2 WHEN 'deferred' THEN 1 ELSE 0 END,  -p.id)
+--              > (CASE l.result WHEN 'forwarded' THEN 2 WHEN 'deferred' THEN 1 ELSE 0 END, -l.id)))
+--        FROM email_stats_dims d JOIN email_logs l ON l.id = d.id
+--        GROUP BY 1, 2, 3, 4;
+--    Tables created before messages existed: drop the email_logs_stats
+--    trigger, then
+--      ALTER TABLE email_stats_daily ADD COLUMN messages INTEGER NOT NULL DEFAULT 0;
+--    and run this file; days already rolled up keep messages = 0 unless
+--    you empty the table and backfill it as above.
+
+CREATE TABLE IF NOT EXISTS email_stats_daily (
+  day TEXT NOT NULL,                    -- UTC date "YYYY-MM-DD"
+  dimension TEXT NOT NULL,              -- total | route | alias | sender | recipient
+  name TEXT NOT NULL,
+  result TEXT NOT NULL,                 -- email_logs result ("unknown" if unset)
+  entries INTEGER NOT NULL DEFAULT 0,   -- email_logs rows
+  messages INTEGER NOT NULL DEFAULT 0,  -- messages counted under this result (see above)
+  PRIMARY KEY (day, dimension, name, result)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_stats_dimension_day ON email_stats_daily (dimension, day);
+
+-- Finds the earlier rows of a message when rolling up a new one.
+CREATE INDEX IF NOT EXISTS idx_email_logs_message_id ON email_logs (message_id);
+
+-- The email_stats_daily rows (day, dimension, name, result) an email_logs
+-- row counts towards.
+CREATE VIEW IF NOT EXISTS email_stats_dims AS
+  SELECT id, date(ts, 'unixepoch') AS day, 'total' AS dimension, '' AS name,
+         COALESCE(result, 'unknown') AS result
+    FROM email_logs
+  UNION ALL
+  SELECT id, date(ts, 'unixepoch'), 'route', COALESCE(route, 'none'), COALESCE(result, 'unknown')
+    FROM email_logs
+  UNION ALL
+  SELECT id, date(ts, 'unixepoch'), 'alias', lower(COALESCE(base_addr, to_addr)), COALESCE(result, 'unknown')
+    FROM email_logs WHERE route IN ('exact', 'base+tag', 'pattern', 'catch-all', 'reverse')
+  UNION ALL
+  SELECT id, date(ts, 'unixepoch'), 'sender', lower(from_addr), COALESCE(result, 'unknown')
+    FROM email_logs WHERE from_addr IS NOT NULL
+  UNION ALL
+  SELECT id, date(ts, 'unixepoch'), 'recipient', lower(to_addr), COALESCE(result, 'unknown')
+    FROM email_logs WHERE to_addr IS NOT NULL;
+
+-- Roll every new email_logs row into email_stats_daily. The row counts as
+-- a message unless an earlier row of the same message did at least as well
+-- (forwarded > deferred > anything else); if it improves on one, that
+-- earlier row's message count is taken back first. Sender and recipient
+-- rows older than 90 days are dropped as days go by.
+CREATE TRIGGER IF NOT EXISTS email_logs_stats
+AFTER INSERT ON email_logs
+BEGIN
+  DELETE FROM email_stats_daily
+  WHERE dimension IN ('sender', 'recipient') AND day < date(NEW.ts, 'unixepoch', '-90 days');
+
+  UPDATE email_stats_daily SET messages = messages - 1
+  WHERE (day, dimension, name, result) IN (
+      SELECT day, dimension, name, result FROM email_stats_dims
+      WHERE id = (
+        SELECT p.id FROM email_logs p
+        WHERE p.message_id = NEW.message_id AND lower(p.to_addr) IS lower(NEW.to_addr) AND p.id < NEW.id
+        ORDER BY CASE p.result WHEN 'forwarded' THEN 2 WHEN 'deferred' THEN 1 ELSE 0 END DESC, p.id
+        LIMIT 1
+      )
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM email_logs p
+      WHERE p.message_id = NEW.message_id AND lower(p.to_addr) IS lower(NEW.to_addr) AND p.id < NEW.id
+        AND CASE p.result WHEN 'forwarded' THEN 2 WHEN 'deferred' THEN 1 ELSE 0 END
+          >= CASE NEW.result WHEN 'forwarded' THEN 2 WHEN 'deferred' THEN 1 ELSE 0 END
+    );
+
+  INSERT INTO email_stats_daily (day, dimension, name, result, entries, messages)
+  SELECT day, dimension, name, result, 1, NOT EXISTS (
+      SELECT 1 FROM email_logs p
+      WHERE p.message_id = NEW.message_id AND lower(p.to_addr) IS lower(NEW.to_addr) AND p.id < NEW.id
+        AND CASE p.result WHEN 'forwarded' THEN 2 WHEN 'deferred' THEN 1 ELSE 0 END
+          >= CASE NEW.result WHEN 'forwarded' THEN 2 WHEN 'deferred' THEN 1 ELSE 0 END
+    )
+  FROM email_stats_dims
+  WHERE id = NEW.id
+  ON CONFLICT (day, dimension, name, result) DO UPDATE
+    SET entries = entries + 1, messages = messages + excluded.messages;
+END;
@@ -1,23 +1,151 @@
+import { EmailMessage } from "cloudflare:email";
+import {
+  parseJSONColumn,
+  buildDomains,
+  wouldLoop,
+  aliasRefusal,
+  reverseRefusal,
+  senderDomainExpected,
+  planDelivery,
+  resolveRoute,
+} from "../../shared/routing.js";
+import {
+  splitMessage,
+  parseHeaders,
+  headerValue,
+  rewriteHeaders,
+  parseAddressHeader,
+  formatAddress,
+} from "../../shared/mime.js";
+
 /**
  * Mailhop API Worker (Cloudflare Workers + D1/SQLite)
  * ---------------------------------------------------
- * Purpose: CRUD for email aliases used by the email-routing worker,
- *          plus a read-only endpoint for email_logs.
+ * Purpose: CRUD for domains and email aliases used by the email-routing
+ *          worker, plus read-only endpoints for email_logs and their
+ *          daily statistics.
  *
  * Expected D1 schema:
  *
+ *   CREATE TABLE domains (
+ *     id         INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     domain     TEXT UNIQUE NOT NULL COLLATE NOCASE, -- zone (e.g., "example.com")
+ *     enabled    INTEGER NOT NULL DEFAULT 1,           -- 0 = email worker rejects this domain
+ *     separator  TEXT NOT NULL DEFAULT '+',            -- subaddress separator (user<sep>tag@…)
+ *     auth_policy TEXT NOT NULL DEFAULT 'off',         -- SPF/DMARC failures: "off" | "tag" | "reject"
+ *     max_size_bytes INTEGER,                          -- default size limit, NULL = none
+ *     attachment_policy TEXT NOT NULL DEFAULT 'allow', -- "allow" | "strip" | "reject"
+ *     blocked_attachments TEXT,                        -- JSON array, NULL = built-in list
+ *     fallback_to TEXT,                                -- JSON array of fallback destinations
+ *     failure_mode TEXT NOT NULL DEFAULT 'reject',     -- "reject" (550) | "defer" (451)
+ *     notes      TEXT,
+ *     created_at INTEGER                               -- unix seconds
+ *   );
+ *
  *   CREATE TABLE aliases (
  *     id         INTEGER PRIMARY KEY AUTOINCREMENT,
  *     address    TEXT UNIQUE NOT NULL COLLATE NOCASE, -- alias (e.g., "user@example.com")
  *     forward_to TEXT NOT NULL,                        -- destination (e.g., "destination@example.net")
  *     notes      TEXT,
  *     created_at INTEGER NOT NULL,                     -- unix seconds
- *     allow_plus INTEGER NOT NULL DEFAULT 1            -- 1 = user+tag@... allowed
+ *     allow_plus INTEGER NOT NULL DEFAULT 1,           -- 1 = user+tag@... allowed
+ *     expires_at INTEGER,                              -- unix seconds, NULL = never
+ *     max_messages INTEGER,                            -- NULL = unlimited
+ *     forwarded_count INTEGER NOT NULL DEFAULT 0,      -- maintained by the email worker
+ *     enabled INTEGER NOT NULL DEFAULT 1,              -- 0 = keep alias but stop delivering
+ *     disabled_action TEXT NOT NULL DEFAULT 'reject',  -- "reject" (550) | "drop" (accept + discard)
+ *     reverse_alias INTEGER NOT NULL DEFAULT 0,        -- 1 = replies go out from the alias
+ *     allowed_tags TEXT,                               -- JSON array, NULL = any tag
+ *     tag_routes TEXT,                                 -- JSON object {tag: destination(s)}
+ *     auth_policy TEXT,                                -- "off" | "tag" | "reject", NULL = domain's policy
+ *     rate_limit INTEGER,                              -- max messages per rate_window, NULL = unlimited
+ *     sender_rate_limit INTEGER,                       -- max per sender per rate_window, NULL = unlimited
+ *     rate_window INTEGER NOT NULL DEFAULT 3600,       -- seconds
+ *     max_size_bytes INTEGER,                          -- NULL = domain's limit, 0 = no limit
+ *     attachment_policy TEXT,                          -- NULL = domain's policy
+ *     fallback_to TEXT,                                -- JSON array, NULL = domain's, '[]' = none
+ *     failure_mode TEXT,                               -- "reject" | "defer", NULL = domain's
+ *     subject_prefix TEXT,                             -- e.g. "[{alias}]", NULL = none
+ *     expected_senders TEXT,                           -- JSON array of sender domains, NULL = not tracked
+ *     received_count INTEGER NOT NULL DEFAULT 0,       -- maintained by the email worker
+ *     rejected_count INTEGER NOT NULL DEFAULT 0,       -- of those, refused (4xx / 5xx)
+ *     last_received_at INTEGER                         -- unix seconds, NULL = never
  *   );
  *
  *   CREATE INDEX idx_address    ON aliases(address);
  *   CREATE INDEX idx_forward_to ON aliases(forward_to);
  *
+ *   CREATE TABLE alias_destinations (                  -- fan-out targets, in order
+ *     id       INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     alias_id INTEGER NOT NULL REFERENCES aliases(id) ON DELETE CASCADE,
+ *     address  TEXT NOT NULL COLLATE NOCASE,
+ *     position INTEGER NOT NULL DEFAULT 0,             -- 0 mirrors aliases.forward_to
+ *     UNIQUE (alias_id, address)
+ *   );
+ *
+ *   CREATE TABLE alias_sender_rules (                  -- per-alias sender allow/block list
+ *     id         INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     alias_id   INTEGER NOT NULL REFERENCES aliases(id) ON DELETE CASCADE,
+ *     action     TEXT NOT NULL,                        -- "allow" | "block"
+ *     pattern    TEXT NOT NULL COLLATE NOCASE,         -- "a@b.com" | "@b.com" | "*@*.b.com"
+ *     created_at INTEGER,
+ *     UNIQUE (alias_id, action, pattern)
+ *   );
+ *
+ *   CREATE TABLE alias_sender_domains (                -- sender domains seen per alias
+ *     alias_id      INTEGER NOT NULL REFERENCES aliases(id) ON DELETE CASCADE,
+ *     domain        TEXT NOT NULL COLLATE NOCASE,
+ *     first_seen_at INTEGER NOT NULL,                   -- maintained by the email worker
+ *     last_seen_at  INTEGER NOT NULL,
+ *     message_count INTEGER NOT NULL DEFAULT 1,
+ *     PRIMARY KEY (alias_id, domain)
+ *   );
+ *
+ *   CREATE TABLE quarantine (                          -- rejected mail kept in R2 (QUARANTINE)
+ *     id            INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     object_key    TEXT UNIQUE NOT NULL,               -- R2 key of the raw message
+ *     message_id    TEXT,
+ *     from_addr     TEXT,
+ *     to_addr       TEXT,
+ *     alias_address TEXT COLLATE NOCASE,                -- default release target, NULL if none
+ *     reason        TEXT NOT NULL,                      -- email_logs result that caused it
+ *     error         TEXT,
+ *     subject       TEXT,
+ *     size_bytes    INTEGER,
+ *     created_at    INTEGER NOT NULL,
+ *     expires_at    INTEGER,                            -- end of retention
+ *     released_at   INTEGER,
+ *     released_to   TEXT
+ *   );
+ *
+ *   CREATE TABLE webhooks (                            -- routing event subscriptions
+ *     id            INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     url           TEXT NOT NULL,
+ *     secret        TEXT NOT NULL,                      -- HMAC-SHA256 signing key
+ *     events        TEXT,                               -- JSON array, NULL = all events
+ *     alias_address TEXT COLLATE NOCASE,                -- NULL = every alias
+ *     enabled       INTEGER NOT NULL DEFAULT 1,
+ *     description   TEXT,
+ *     created_at    INTEGER,
+ *     last_status   INTEGER,                            -- last delivery's HTTP status
+ *     last_error    TEXT,
+ *     last_sent_at  INTEGER
+ *   );
+ *
+ *   CREATE TABLE api_tokens (                          -- scoped API tokens
+ *     id                INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     name              TEXT NOT NULL,
+ *     token_hash        TEXT UNIQUE NOT NULL,          -- hex SHA-256 of the token
+ *     prefix            TEXT NOT NULL,                 -- first characters, for listings
+ *     scope             TEXT NOT NULL                  -- "admin" | "read" | "logs" | "aliases"
+ *                         CHECK (scope IN ('read', 'logs', 'aliases', 'admin')),
+ *     scope_domain      TEXT COLLATE NOCASE,           -- aliases scope: aliases on this domain
+ *     scope_destination TEXT COLLATE NOCASE,           -- aliases scope: aliases delivering only here
+ *     expires_at        INTEGER,                       -- unix seconds, NULL = never
+ *     last_used_at      INTEGER,
+ *     created_at        INTEGER
+ *   );
+ *
  *   CREATE TABLE email_logs (
  *     id         INTEGER PRIMARY KEY AUTOINCREMENT,
  *     ts         INTEGER NOT NULL,       -- unix seconds
@@ -26,53 +154,383 @@
  *     to_addr    TEXT,
  *     route      TEXT,
  *     base_addr  TEXT,
+ *     tag        TEXT,
  *     dest_addr  TEXT,
  *     result     TEXT,
  *     size_bytes INTEGER,
- *     error      TEXT
+ *     error      TEXT,
+ *     auth       TEXT,                   -- sender auth verdict, e.g. "spf=pass dkim=pass dmarc=pass"
+ *     attempt    INTEGER,                -- 1 = alias destinations, 2+ = fallbacks
+ *     unexpected_sender INTEGER NOT NULL DEFAULT 0 -- 1 = sender outside expected_senders
+ *   );
+ *
+ *   CREATE TABLE email_stats_daily (                   -- filled by the email_logs_stats trigger
+ *     day       TEXT NOT NULL,                         -- UTC "YYYY-MM-DD"
+ *     dimension TEXT NOT NULL,                         -- "total" | "route" | "alias" | "sender" | "recipient"
+ *     name      TEXT NOT NULL,                         -- route / address ("" for total)
+ *     result    TEXT NOT NULL,
+ *     entries   INTEGER NOT NULL DEFAULT 0,            -- email_logs rows
+ *     messages  INTEGER NOT NULL DEFAULT 0,            -- each message once, under its best result
+ *     PRIMARY KEY (day, dimension, name, result)
  *   );
  *
  * Endpoints:
- *   GET    /aliases                               → list all aliases
- *   GET    /aliases/by-destination?email=...      → list aliases by forward_to
+ *   GET    /domains                               → list all domains
+ *   GET    /domains/:domain                       → fetch single domain
+ *   POST   /domains                               → create {domain, enabled?, separator?, auth_policy?,
+ *                                                            max_size_bytes?, attachment_policy?,
+ *                                                            blocked_attachments?, fallback_to?,
+ *                                                            failure_mode?, notes?}
+ *   PATCH  /domains/:domain                       → update {enabled?, separator?, auth_policy?,
+ *                                                            max_size_bytes?, attachment_policy?,
+ *                                                            blocked_attachments?, fallback_to?,
+ *                                                            failure_mode?, notes?}
+ *   DELETE /domains/:domain                       → delete domain (must have no aliases)
+ *   GET    /aliases?q=&domain=&destination=&allow_plus=&sort=&order=&stale_days=&limit=&cursor=
+ *                                                  → list aliases (an array; with limit or
+ *                                                            cursor one page {aliases, total,
+ *                                                            next_cursor}) (q: search address and
+ *                                                            notes; sort: address | created_at |
+ *                                                            last_received_at | received_count |
+ *                                                            rejected_count; stale_days: only
+ *                                                            those without mail for N days)
+ *   GET    /aliases/by-destination?email=...      → list aliases delivering to a destination
  *   GET    /aliases/:address                      → fetch single alias
- *   POST   /aliases                               → create {address, forward_to, notes?, allow_plus?}
- *   PATCH  /aliases/:address                      → update {forward_to?, notes?, allow_plus?}
+ *   POST   /aliases                               → create {address, forward_to, notes?, allow_plus?,
+ *                                                            expires_at?, max_messages?,
+ *                                                            enabled?, disabled_action?, reverse_alias?,
+ *                                                            allowed_tags?, tag_routes?, auth_policy?,
+ *                                                            rate_limit?, sender_rate_limit?, rate_window?,
+ *                                                            max_size_bytes?, attachment_policy?,
+ *                                                            fallback_to?, failure_mode?,
+ *                                                            subject_prefix?, expected_senders?}
+ *                                                   (forward_to may be a string or an array)
+ *   PATCH  /aliases/:address                      → update {forward_to?, notes?, allow_plus?,
+ *                                                            expires_at?, max_messages?,
+ *                                                            enabled?, disabled_action?, reverse_alias?,
+ *                                                            allowed_tags?, tag_routes?, auth_policy?,
+ *                                                            rate_limit?, sender_rate_limit?, rate_window?,
+ *                                                            max_size_bytes?, attachment_policy?,
+ *                                                            fallback_to?, failure_mode?,
+ *                                                            subject_prefix?, expected_senders?}
  *   DELETE /aliases/:address                      → delete alias by address
- *   GET    /logs?limit=50                         → latest email_logs (descending by ts)
+ *   GET    /aliases/:address/senders              → list sender allow/block rules
+ *   POST   /aliases/:address/senders              → add rule {action: "allow"|"block", pattern}
+ *   DELETE /aliases/:address/senders/:id          → remove a rule
+ *   GET    /aliases/:address/senders-seen         → sender domains seen, flagged if unexpected
+ *   GET    /leaks                                 → aliases that got mail from unexpected domains
+ *   GET    /quarantine?limit=50                   → latest quarantined messages (not yet expired)
+ *   GET    /quarantine/:id                        → one entry, with the message headers (410 once
+ *                                                            expired)
+ *   POST   /quarantine/:id/release                → deliver it {to?} (default: the alias's destinations)
+ *   DELETE /quarantine/:id                        → delete entry and stored message
+ *   POST   /quarantine/purge                      → delete expired entries {all?: true for everything}
+ *   GET    /webhooks                              → list webhook subscriptions
+ *   GET    /webhooks/:id                          → fetch one
+ *   POST   /webhooks                              → create {url, secret?, events?, alias_address?,
+ *                                                            enabled?, description?}
+ *   PATCH  /webhooks/:id                          → update any of the above
+ *   DELETE /webhooks/:id                          → delete
+ *   POST   /webhooks/:id/test                     → send a signed "test" event now
+ *   GET    /tokens                                → list API tokens (admin scope; never the tokens themselves)
+ *   POST   /tokens                                → create {name, scope, domain?, destination?, expires_at?}
+ *                                                   (the token is only returned here)
+ *   DELETE /tokens/:id                            → revoke a token
+ *   POST   /route/test                            → dry run {to, from?}: how the email worker would route it
+ *   GET    /logs?since=&until=&result=&route=&to=&from=&message_id=&limit=50&cursor=
+ *                                                  → email_logs, newest first (an array;
+ *                                                            with cursor, empty for the
+ *                                                            first page, {logs, next_cursor});
+ *                                                            with since_id=N only newer
+ *                                                            rows, oldest first (for following)
+ *   GET    /stats?period=day&since=30d&until=&top=10
+ *                                                  → messages per day | week | month,
+ *                                                            by result and route, with top
+ *                                                            aliases, senders and rejected
+ *                                                            recipients (last 90 days)
  *   GET    /                                      → API description
  *
  * Notes:
  * - All emails are normalized to lowercase (case-insensitive behavior).
  * - created_at and ts are stored as unix **seconds**.
- * - allow_plus is an integer 0/1.
+ * - allow_plus, reverse_alias, aliases.enabled and domains.enabled are integers 0/1.
+ * - allowed_tags is an array of tags (null = any); tag_routes maps a tag to
+ *   a destination or list of destinations (null = none).
+ * - reverse_alias needs the email worker's SEND_EMAIL binding; reply
+ *   addresses (reply-<token>@domain) are generated by the email worker.
+ * - disabled_action is "reject" or "drop" and only matters while enabled = 0.
+ * - auth_policy decides what happens to mail failing SPF or DMARC: "off"
+ *   (forward as usual), "tag" (forward with an X-Mailhop-Auth header) or
+ *   "reject". An alias's auth_policy overrides its domain's; null inherits.
+ * - rate_limit / sender_rate_limit cap messages per rate_window (seconds or
+ *   a duration such as "10m" or "1h"; default 1h) for the alias as a whole
+ *   and for each sender; null = unlimited. Over-limit mail is rejected by
+ *   the email worker (result "rate-limited").
+ * - max_size_bytes accepts bytes or a size such as "10MB" or "512KB"; larger
+ *   messages are rejected (result "too-large"). attachment_policy is "allow",
+ *   "strip" (replace blocked attachments with a placeholder; needs the email
+ *   worker's SEND_EMAIL binding) or "reject" (result "attachment-blocked").
+ *   Domains set the defaults and which types are blocked (blocked_attachments:
+ *   content types, globs allowed, and ".ext" names; null = executables and
+ *   scripts); aliases may override the size and policy, null inherits.
+ * - fallback_to (an address or list) is tried in order when none of an
+ *   alias's destinations accept a message; failure_mode then decides between
+ *   a 550 ("reject") and a 451 ("defer", the sender retries). Domains set the
+ *   defaults; an alias's fallback_to null inherits and [] means none.
+ * - subject_prefix is a template prepended to forwarded subjects, with
+ *   {alias}, {local}, {domain}, {tag} and {to} placeholders (e.g. "[{alias}]");
+ *   null or "" removes it. It needs the email worker's SEND_EMAIL binding.
+ *   Forwarded mail always carries X-Mailhop-Alias / -Route / -Tag headers.
+ * - expected_senders lists the sender domains an alias was given to
+ *   ("shop.example"; subdomains match too). Mail from other domains is
+ *   flagged unexpected_sender in the logs and the alias shows up in /leaks.
+ *   null stops tracking.
+ * - expires_at accepts unix seconds, an ISO date or a duration such as
+ *   "30m", "12h", "7d" or "2w" (relative to now); null clears it.
+ * - Alias rows are returned with a `destinations` array; forward_to is the
+ *   first (primary) destination.
+ * - Aliases can only be created on a domain present in the domains table.
+ * - A "*" in an alias's local part makes it a pattern ("shop-*@example.com");
+ *   "*@example.com" is that domain's catch-all. The email worker only uses
+ *   patterns after exact and plus-base lookups miss.
+ * - With the optional ALIAS_CACHE KV binding (the same namespace as the email
+ *   worker's), every domain, alias or sender rule change bumps the email
+ *   worker's lookup cache version, so changes apply to the next message.
+ *   Without it, the email worker's cached lookups expire on their own
+ *   (ALIAS_CACHE_TTL, default 30 seconds).
+ * - POST /route/test runs the email worker's own resolver
+ *   (workers/shared/routing.js) against D1 without sending anything. Checks
+ *   that need the message itself (rate limits, SPF/DMARC, size and
+ *   attachments) are not evaluated.
+ * - Quarantine needs the R2 binding `env.QUARANTINE` (shared with the email
+ *   worker); releasing also needs the `env.SEND_EMAIL` binding. Entries past
+ *   expires_at are deleted by the scheduled() handler (the worker's cron
+ *   trigger), and on sight by GET / release (410).
+ * - Webhook events are "forwarded", "rejected" (anything not delivered),
+ *   "deferred" (a 451 the sender retries) and "error". Secrets are only returned when created or changed; each POST
+ *   carries X-Mailhop-Signature: sha256=<hex HMAC-SHA256 of the body>.
  * - D1 binding must be exposed as `env.DB` in wrangler local config.
- * - API auth is controlled by `env.MAILHOP_API_KEY` (secret).
+ * - Every request needs `Authorization: Bearer <token>`: the MAILHOP_API_KEY
+ *   secret (admin) or an api_tokens token. Scopes: "admin" (everything),
+ *   "read" (GET routes and POST /route/test), "logs" (GET /logs, /stats) and
+ *   "aliases" (the /aliases routes, limited to aliases on a domain and/or
+ *   delivering only to a destination). Tokens are stored as SHA-256 hashes
+ *   and compared in constant time. Auth is only skipped with the explicit
+ *   dev flag MAILHOP_DEV_NO_AUTH = "true"; without a key or tokens every
+ *   request gets a 401.
  */
 
 /// ─────────────────────────────────────────────────────────────────────────────
 /// Authentication
 /// ─────────────────────────────────────────────────────────────────────────────
 
+/** Token scopes, from most to least powerful (see the api_tokens table). */
+const TOKEN_SCOPES = ["admin", "read", "logs", "aliases"];
+
+/** Who is calling: the admin key, dev mode, or one api_tokens row. */
+const ADMIN = { scope: "admin", domain: null, destination: null, token: null };
+
+/** Only bump api_tokens.last_used_at when it is older than this (seconds). */
+const TOKEN_TOUCH_INTERVAL = 60;
+
+/** Hex SHA-256 of a string. */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Compare two strings in time that depends only on their length. */
+function timingSafeEqual(a, b) {
+  const x = new TextEncoder().encode(a);
+  const y = new TextEncoder().encode(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < x.length; i++) {
+    diff |= x[i] ^ (y[i] ?? 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * authenticate(request, env)
+ * --------------------------
+ * Resolves `Authorization: Bearer <token>` to a principal
+ * { scope, domain, destination, token }, or null (→ 401):
+ *
+ *   - env.MAILHOP_DEV_NO_AUTH = "true" → no auth at all, admin (local dev only)
+ *   - the env.MAILHOP_API_KEY secret   → admin
+ *   - an unexpired api_tokens row      → that token's scope
+ *
+ * Tokens are compared by SHA-256 hash, in constant time. Without either the
+ * dev flag, the key or a token, every request is refused.
+ */
+async function authenticate(request, env) {
+  if (env.MAILHOP_DEV_NO_AUTH === "true") return ADMIN;
+
+  const match = (request.headers.get("authorization") || "").match(/^Bearer\s+(\S+)$/);
+  if (!match) return null;
+  const presented = await sha256Hex(match[1]);
+
+  if (env.MAILHOP_API_KEY && timingSafeEqual(presented, await sha256Hex(env.MAILHOP_API_KEY))) {
+    return ADMIN;
+  }
+
+  let row;
+  try {
+    row = await env.DB.prepare(
+      `SELECT id, token_hash, scope, scope_domain, scope_destination, expires_at, last_used_at
+       FROM api_tokens WHERE token_hash = ? LIMIT 1`
+    ).bind(presented).first();
+  } catch {
+    return null; // e.g. api_tokens not created yet: only the admin key works
+  }
+  if (!row || !timingSafeEqual(presented, row.token_hash)) return null;
+
+  const now = nowSecs();
+  if (row.expires_at != null && now >= Number(row.expires_at)) return null;
+
+  if (row.last_used_at == null || now - Number(row.last_used_at) >= TOKEN_TOUCH_INTERVAL) {
+    // Best-effort: usage tracking never blocks a request.
+    await env.DB.prepare("UPDATE api_tokens SET last_used_at = ? WHERE id = ?")
+      .bind(now, row.id)
+      .run()
+      .catch(() => {});
+  }
+
+  return {
+    scope: row.scope,
+    domain: row.scope_domain,
+    destination: row.scope_destination,
+    token: row.id,
+  };
+}
+
+/**
+ * Is an alias (address + destination list) inside an "aliases" token's reach?
+ * - domain:      the alias is on that domain
+ * - destination: the alias delivers to that address and nowhere else
+ */
+function aliasInScope(principal, address, destinations) {
+  if (principal.domain && domainOf(address) !== principal.domain) return false;
+  if (principal.destination && destinations.some((d) => d !== principal.destination)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Every address an alias create / update body (or a stored alias row, with
+ * its JSON columns parsed) would send mail to (forward_to, fallback_to and
+ * tag_routes), for destination-scoped tokens.
+ */
+function bodyDestinations(data) {
+  const values = [data.forward_to, data.fallback_to, ...Object.values(data.tag_routes || {})];
+  return values
+    .flat()
+    .filter((v) => typeof v === "string")
+    .map(toEmail)
+    .filter((v) => v.includes("@"));
+}
+
+/**
+ * SQL condition (and binds) limiting alias listings to an "aliases" token's
+ * reach; an always-true condition for every other scope.
+ */
+function aliasScopeSQL(principal) {
+  const where = ["1 = 1"];
+  const binds = [];
+  if (principal.scope !== "aliases") return { where: where[0], binds };
+
+  if (principal.domain) {
+    where.push("substr(address, instr(address, '@') + 1) = ?");
+    binds.push(principal.domain);
+  }
+  if (principal.destination) {
+    // Fallbacks and tag routes (a destination or a list each) count too.
+    where.push(
+      `NOT EXISTS (SELECT 1 FROM alias_destinations d
+                   WHERE d.alias_id = aliases.id AND d.address != ?)
+       AND forward_to = ?
+       AND NOT EXISTS (SELECT 1 FROM json_each(COALESCE(aliases.fallback_to, '[]'))
+                       WHERE lower(value) != ?)
+       AND NOT EXISTS (SELECT 1 FROM json_tree(COALESCE(aliases.tag_routes, '{}')) t
+                       WHERE t.type = 'text' AND lower(t.value) != ?)`
+    );
+    binds.push(principal.destination, principal.destination, principal.destination, principal.destination);
+  }
+  return { where: where.join(" AND "), binds };
+}
+
 /**
- * checkAuth(request, env)
- * -----------------------
- * Enforces a simple Bearer token check:
+ * authorize(env, principal, request, url)
+ * ---------------------------------------
+ * Throws a 403 unless the principal's scope allows this request:
+ *
+ *   - admin:   everything
+ *   - read:    GET requests (and the POST /route/test dry run), not /tokens
+ *   - logs:    GET /logs and GET /stats
+ *   - aliases: the /aliases routes, for aliases inside the token's domain /
+ *              destination (listings are filtered by the handlers)
  *
- *   - If env.MAILHOP_API_KEY is NOT set → no auth required (dev mode).
- *   - If it IS set → require:
- *         Authorization: Bearer <MAILHOP_API_KEY>
+ * GET / (the API description) is open to every scope.
  */
-function checkAuth(request, env) {
-  const requiredKey = env.MAILHOP_API_KEY;
+async function authorize(env, principal, request, url) {
+  const { method } = request;
+  const path = url.pathname;
+  if (principal.scope === "admin" || path === "/") return;
 
-  // If no key configured, skip auth (useful for local dev).
-  if (!requiredKey) return true;
+  const denied = () =>
+    httpError(403, `Token scope "${principal.scope}" does not allow ${method} ${path}`);
 
-  const authHeader = request.headers.get("authorization") || "";
-  const expected = `Bearer ${requiredKey}`;
+  if (path === "/tokens" || path.startsWith("/tokens/")) throw denied();
 
-  return authHeader === expected;
+  if (principal.scope === "read") {
+    if (method === "GET" || (method === "POST" && path === "/route/test")) return;
+    throw denied();
+  }
+
+  if (principal.scope === "logs") {
+    if (method === "GET" && (path === "/logs" || path === "/stats")) return;
+    throw denied();
+  }
+
+  // "aliases" scope
+  if (method === "GET" && (path === "/aliases" || path === "/aliases/by-destination")) return;
+
+  const match = path.match(/^\/aliases(?:\/([^/]+))?(\/.*)?$/);
+  if (!match || (!match[1] && method !== "POST")) throw denied();
+
+  if (!match[1]) {
+    // POST /aliases: the new alias must be inside the token's reach.
+    const data = await readJSON(request.clone());
+    if (!aliasInScope(principal, toEmail(data.address), bodyDestinations(data))) {
+      throw denied();
+    }
+    return;
+  }
+
+  const address = toEmail(decodeURIComponent(match[1]));
+  const alias = await env.DB.prepare(
+    `SELECT forward_to, fallback_to, tag_routes, (SELECT json_group_array(address) FROM alias_destinations
+       WHERE alias_destinations.alias_id = aliases.id) AS destinations
+     FROM aliases WHERE address = ? LIMIT 1`
+  ).bind(address).first();
+  // Everywhere it sends mail now, fallbacks and tag routes included.
+  const current = alias
+    ? [
+        ...parseJSONColumn(alias.destinations, []).map(toEmail),
+        ...bodyDestinations({
+          forward_to: alias.forward_to,
+          fallback_to: parseJSONColumn(alias.fallback_to, []),
+          tag_routes: parseJSONColumn(alias.tag_routes, {}),
+        }),
+      ]
+    : [];
+  if (!aliasInScope(principal, address, current)) throw denied();
+
+  if (method === "PATCH" && !match[2]) {
+    const data = await readJSON(request.clone());
+    if (!aliasInScope(principal, address, bodyDestinations(data))) throw denied();
+  }
 }
 
 /// ─────────────────────────────────────────────────────────────────────────────
@@ -100,218 +558,2415 @@ function toEmail(s) {
   return (s || "").trim().toLowerCase();
 }
 
-/** Current unix time in **seconds** (D1 stores this as INTEGER). */
-function nowSecs() {
-  return Math.floor(Date.now() / 1000);
+/** Current unix time in **seconds** (D1 stores this as INTEGER). */
+function nowSecs() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/** Return the lowercase domain part of an email address ("" if none). */
+function domainOf(email) {
+  const at = email.lastIndexOf("@");
+  return at < 1 ? "" : email.slice(at + 1);
+}
+
+/** Build an Error carrying an HTTP status for the generic error handler. */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** KV key holding the email worker's lookup cache version. */
+const CACHE_VERSION_KEY = "version";
+
+/**
+ * Retire the email worker's cached domain / alias / reverse-alias lookups
+ * after a change: writes a new version to the ALIAS_CACHE KV namespace
+ * shared with it.
+ * Without that binding, cached entries expire on their own (ALIAS_CACHE_TTL).
+ * Best-effort: never throws, a failed write only delays the change until
+ * the cached entries expire.
+ */
+async function bumpCacheVersion(env) {
+  if (!env.ALIAS_CACHE) return;
+  try {
+    await env.ALIAS_CACHE.put(CACHE_VERSION_KEY, crypto.randomUUID());
+  } catch (err) {
+    console.error(`mailhop: could not bump the alias cache version: ${err}`);
+  }
+}
+
+/** Seconds per unit for duration strings like "7d". */
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parse an expiry value into unix seconds.
+ * Accepts:
+ *   - null / "" / "never"              → null (no expiry)
+ *   - a number                         → unix seconds as-is
+ *   - a duration ("30m", "12h", "7d")  → now + duration
+ *   - an ISO date string               → that instant
+ * Throws a 400 error for anything else.
+ */
+function parseExpiry(value) {
+  if (value === null || value === "" || value === "never") return null;
+
+  if (typeof value === "number" && Number.isFinite(value) && value > 0) {
+    return Math.floor(value);
+  }
+
+  if (typeof value === "string") {
+    const m = value.trim().match(/^(\d+)\s*([smhdw])$/i);
+    if (m) {
+      return nowSecs() + Number(m[1]) * DURATION_UNITS[m[2].toLowerCase()];
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isFinite(parsed)) return Math.floor(parsed / 1000);
+  }
+
+  throw httpError(
+    400,
+    'expires_at must be unix seconds, an ISO date or a duration like "7d"'
+  );
+}
+
+/**
+ * Parse a point in the past (e.g. ?since=) into unix seconds: unix seconds,
+ * an ISO date, or a duration ("30m", "1h", "7d") meaning that long ago.
+ * Throws a 400 error naming `field` for anything else.
+ */
+function parsePastTime(value, field) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const m = text.match(/^(\d+)\s*([smhdw])$/i);
+  if (m) return nowSecs() - Number(m[1]) * DURATION_UNITS[m[2].toLowerCase()];
+
+  const parsed = Date.parse(text);
+  if (Number.isFinite(parsed)) return Math.floor(parsed / 1000);
+
+  throw httpError(400, `${field} must be unix seconds, an ISO date or a duration like "1h" (ago)`);
+}
+
+/** Validate disabled_action ("reject" | "drop"). */
+function parseDisabledAction(value) {
+  const v = toEmail(value);
+  if (v !== "reject" && v !== "drop") {
+    throw httpError(400, 'disabled_action must be "reject" or "drop"');
+  }
+  return v;
+}
+
+/** Sender authentication policies (for SPF/DMARC failures). */
+const AUTH_POLICIES = ["off", "tag", "reject"];
+
+/**
+ * Validate an auth_policy. Aliases may pass null (or "inherit") to use
+ * their domain's policy; domains always need a concrete one.
+ */
+function parseAuthPolicy(value, { allowInherit = false } = {}) {
+  if (allowInherit && (value === null || toEmail(value) === "inherit")) {
+    return null;
+  }
+  const v = toEmail(value);
+  if (!AUTH_POLICIES.includes(v)) {
+    throw httpError(
+      400,
+      `auth_policy must be one of: ${AUTH_POLICIES.join(", ")}${allowInherit ? ", inherit" : ""}`
+    );
+  }
+  return v;
+}
+
+/** Size units accepted by parseMaxSize (binary multiples). */
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parse max_size_bytes: bytes, or a size such as "10MB" or "512KB".
+ * null means "no limit" for domains and "inherit" for aliases; 0 lets an
+ * alias lift its domain's limit.
+ */
+function parseMaxSize(value) {
+  if (value === null) return null;
+
+  const m = String(value).trim().toLowerCase().match(/^(\d+)\s*(b|kb|mb|gb)?$/);
+  const bytes = m ? Number(m[1]) * SIZE_UNITS[m[2] || "b"] : NaN;
+  if (!Number.isSafeInteger(bytes)) {
+    throw httpError(400, 'max_size_bytes must be a number of bytes or a size like "10MB"');
+  }
+
+  return bytes;
+}
+
+/** What to do with blocked attachment types. */
+const ATTACHMENT_POLICIES = ["allow", "strip", "reject"];
+
+/** Validate an attachment_policy; aliases may pass null (or "inherit"). */
+function parseAttachmentPolicy(value, { allowInherit = false } = {}) {
+  if (allowInherit && (value === null || toEmail(value) === "inherit")) {
+    return null;
+  }
+  const v = toEmail(value);
+  if (!ATTACHMENT_POLICIES.includes(v)) {
+    throw httpError(
+      400,
+      `attachment_policy must be one of: ${ATTACHMENT_POLICIES.join(", ")}${allowInherit ? ", inherit" : ""}`
+    );
+  }
+  return v;
+}
+
+/**
+ * Parse blocked_attachments: an array (or comma-separated string) of content
+ * types ("application/x-msdownload", "application/x-ms*") and extensions
+ * (".exe"). Returns a JSON string for storage, or null for the built-in list.
+ */
+function parseBlockedAttachments(value) {
+  if (value === null) return null;
+
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+      ? value.split(",")
+      : null;
+  if (!list || list.some((t) => typeof t !== "string")) {
+    throw httpError(400, "blocked_attachments must be a list of content types / extensions or null");
+  }
+
+  const entries = [...new Set(list.map(toEmail).filter(Boolean))];
+  const invalid = entries.find((e) => !/^\.[a-z0-9]+$/.test(e) && !/^[a-z0-9*.+-]+\/[a-z0-9*.+-]+$/.test(e));
+  if (invalid) {
+    throw httpError(400, `blocked_attachments: "${invalid}" is not a content type or .extension`);
+  }
+
+  return entries.length > 0 ? JSON.stringify(entries) : null;
+}
+
+/**
+ * Parse fallback_to: an address or list of addresses, tried in order.
+ * Returns a JSON string for storage. null clears it (for aliases: inherit
+ * the domain's); with `allowNone`, [] or "none" stores an explicit "none".
+ */
+function parseFallback(value, { allowNone = false } = {}) {
+  if (value === null) return null;
+
+  const none =
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === "string" && toEmail(value) === "none");
+  if (none) return allowNone ? "[]" : null;
+
+  const destinations = parseDestinations(value);
+  if (!destinations) {
+    throw httpError(400, "fallback_to must be a valid email or a list of emails");
+  }
+  return JSON.stringify(destinations);
+}
+
+/** What to answer when no destination (or fallback) accepts a message. */
+const FAILURE_MODES = ["reject", "defer"];
+
+/** Validate a failure_mode; aliases may pass null (or "inherit"). */
+function parseFailureMode(value, { allowInherit = false } = {}) {
+  if (allowInherit && (value === null || toEmail(value) === "inherit")) {
+    return null;
+  }
+  const v = toEmail(value);
+  if (!FAILURE_MODES.includes(v)) {
+    throw httpError(
+      400,
+      `failure_mode must be one of: ${FAILURE_MODES.join(", ")}${allowInherit ? ", inherit" : ""}`
+    );
+  }
+  return v;
+}
+
+/** Longest subject_prefix template accepted. */
+const MAX_SUBJECT_PREFIX = 100;
+
+/** Validate a subject_prefix template; null or "" removes it. */
+function parseSubjectPrefix(value) {
+  if (value === null) return null;
+  if (typeof value !== "string" || /[\r\n]/.test(value)) {
+    throw httpError(400, "subject_prefix must be a single-line string or null");
+  }
+
+  const v = value.trim();
+  if (v.length > MAX_SUBJECT_PREFIX) {
+    throw httpError(400, `subject_prefix must be at most ${MAX_SUBJECT_PREFIX} characters`);
+  }
+  return v || null;
+}
+
+/**
+ * Parse expected_senders: a list (or comma-separated string) of sender
+ * domains; "@shop.example" and "*.shop.example" are accepted as
+ * "shop.example". Returns a JSON string for storage, or null (not tracked).
+ */
+function parseExpectedSenders(value) {
+  if (value === null) return null;
+
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+      ? value.split(",")
+      : null;
+  if (!list || list.some((d) => typeof d !== "string")) {
+    throw httpError(400, "expected_senders must be a list of domains or null");
+  }
+
+  const domains = [
+    ...new Set(list.map((d) => toEmail(d).replace(/^[@*.]+/, "")).filter(Boolean)),
+  ];
+  const invalid = domains.find((d) => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(d));
+  if (invalid) {
+    throw httpError(400, `expected_senders: "${invalid}" is not a domain`);
+  }
+
+  return domains.length > 0 ? JSON.stringify(domains) : null;
+}
+
+/** Subaddress separators a domain may use. */
+const SEPARATORS = ["+", "-", ".", "_", "="];
+
+/** Validate a domain's subaddress separator. */
+function parseSeparator(value) {
+  if (!SEPARATORS.includes(value)) {
+    throw httpError(400, `separator must be one of: ${SEPARATORS.join(" ")}`);
+  }
+  return value;
+}
+
+/**
+ * Parse allowed_tags: an array (or comma-separated string) of tags.
+ * Returns a JSON string for storage, or null for "any tag".
+ */
+function parseAllowedTags(value) {
+  if (value === null) return null;
+
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+      ? value.split(",")
+      : null;
+  if (!list || list.some((t) => typeof t !== "string")) {
+    throw httpError(400, "allowed_tags must be a list of tags or null");
+  }
+
+  const tags = [...new Set(list.map(toEmail).filter(Boolean))];
+  return tags.length > 0 ? JSON.stringify(tags) : null;
+}
+
+/**
+ * Parse tag_routes: {tag: destination or [destinations]}.
+ * Returns a JSON string for storage, or null for "no tag routes".
+ */
+function parseTagRoutes(value) {
+  if (value === null) return null;
+
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw httpError(400, "tag_routes must be an object {tag: destination(s)} or null");
+  }
+
+  const routes = {};
+  for (const [tag, dest] of Object.entries(value)) {
+    const destinations = parseDestinations(dest);
+    if (!toEmail(tag) || !destinations) {
+      throw httpError(400, `tag_routes.${tag} must be a valid email or list of emails`);
+    }
+    routes[toEmail(tag)] = destinations.length === 1 ? destinations[0] : destinations;
+  }
+
+  return Object.keys(routes).length > 0 ? JSON.stringify(routes) : null;
+}
+
+/** Parse max_messages: a positive integer, or null/0 for unlimited. */
+function parseMaxMessages(value) {
+  if (value === null || value === 0) return null;
+
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw httpError(400, "max_messages must be a positive integer or null");
+  }
+
+  return n;
+}
+
+/** Validate a rate limit (messages per window); null or 0 = unlimited. */
+function parseRateLimit(value, field) {
+  if (value === null || value === 0) return null;
+
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw httpError(400, `${field} must be a positive integer or null`);
+  }
+
+  return n;
+}
+
+/** Default rate limit window: one hour. */
+const DEFAULT_RATE_WINDOW = 3600;
+
+/** Parse rate_window: seconds, or a duration such as "10m", "1h" or "1d". */
+function parseRateWindow(value) {
+  if (value === null) return DEFAULT_RATE_WINDOW;
+
+  const m = String(value).trim().match(/^(\d+)([smhdw])?$/);
+  const secs = m ? Number(m[1]) * DURATION_UNITS[m[2] || "s"] : NaN;
+  if (!Number.isInteger(secs) || secs < 60) {
+    throw httpError(400, 'rate_window must be at least 60 seconds (e.g. 3600 or "1h")');
+  }
+
+  return secs;
+}
+
+/**
+ * Safe JSON body reader with a clear 400 error if parsing fails.
+ * Attaches `err.status = 400` so the caller can use it in a generic handler.
+ * With `optional`, an empty body reads as {}.
+ */
+async function readJSON(request, { optional = false } = {}) {
+  const text = await request.text();
+  if (optional && !text.trim()) return {};
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw httpError(400, "Invalid JSON body");
+  }
+}
+
+/**
+ * Normalize a forward_to value (string or array of strings) into a
+ * de-duplicated list of lowercase addresses.
+ * Returns null if the list is empty or any entry is not an email.
+ */
+function parseDestinations(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const out = [];
+
+  for (const item of list) {
+    const email = toEmail(typeof item === "string" ? item : "");
+    if (!email || !email.includes("@")) return null;
+    if (!out.includes(email)) out.push(email);
+  }
+
+  return out.length > 0 ? out : null;
+}
+
+/**
+ * Opaque pagination cursor: the last row's sort key as base64url JSON.
+ * Clients pass it back unchanged as ?cursor= to get the next page.
+ */
+function encodeCursor(values) {
+  const bytes = new TextEncoder().encode(JSON.stringify(values));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/** Decode a ?cursor= value back into its array of key values (400 if mangled). */
+function decodeCursor(raw) {
+  try {
+    const bin = atob(raw.replace(/-/g, "+").replace(/_/g, "/"));
+    const values = JSON.parse(
+      new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)))
+    );
+    if (Array.isArray(values)) return values;
+  } catch {
+    // fall through
+  }
+  throw httpError(400, "Invalid cursor");
+}
+
+/** Escape % and _ (and \) so they match literally in LIKE ... ESCAPE '\'. */
+function likeEscape(text) {
+  return text.replace(/[\\%_]/g, "\\$&");
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handlers: domains
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/** Columns selected for every domain response. */
+const DOMAIN_COLUMNS = `id, domain, enabled, separator, auth_policy,
+  max_size_bytes, attachment_policy, blocked_attachments, fallback_to, failure_mode,
+  notes, created_at`;
+
+/** Turn a raw domain row into its API shape (parses the JSON columns). */
+function hydrateDomain(row) {
+  if (!row) return row;
+  return {
+    ...row,
+    blocked_attachments: parseJSONColumn(row.blocked_attachments, null),
+    fallback_to: parseJSONColumn(row.fallback_to, null),
+  };
+}
+
+/** GET /domains → list all domains. */
+async function listDomains(env) {
+  const result = await env.DB.prepare(
+    `SELECT ${DOMAIN_COLUMNS} FROM domains ORDER BY domain`
+  ).all();
+
+  return json((result.results ?? []).map(hydrateDomain));
+}
+
+/** GET /domains/:domain → fetch a single domain row. */
+async function getDomain(env, url) {
+  const raw = url.pathname.split("/").pop() || "";
+  const domainParam = toEmail(decodeURIComponent(raw));
+  if (!domainParam) {
+    return json({ error: "Domain required" }, { status: 400 });
+  }
+
+  const row = await env.DB.prepare(
+    `SELECT ${DOMAIN_COLUMNS} FROM domains WHERE domain = ? LIMIT 1`
+  ).bind(domainParam).first();
+
+  if (!row) {
+    return json({ error: "Domain not found" }, { status: 404 });
+  }
+
+  return json(hydrateDomain(row));
+}
+
+/** POST /domains → register a new domain. */
+async function createDomain(env, request) {
+  const data = await readJSON(request);
+
+  const domain = toEmail(data.domain);
+  const notes = typeof data.notes === "string" ? data.notes : null;
+  const enabled =
+    typeof data.enabled === "undefined" ? 1 : (data.enabled ? 1 : 0);
+  const separator =
+    typeof data.separator === "undefined" ? "+" : parseSeparator(data.separator);
+  const auth_policy =
+    typeof data.auth_policy === "undefined" ? "off" : parseAuthPolicy(data.auth_policy);
+
+  // Content limits inherited by the domain's aliases.
+  const max_size_bytes =
+    typeof data.max_size_bytes === "undefined" ? null : parseMaxSize(data.max_size_bytes);
+  const attachment_policy =
+    typeof data.attachment_policy === "undefined"
+      ? "allow"
+      : parseAttachmentPolicy(data.attachment_policy);
+  const blocked_attachments =
+    typeof data.blocked_attachments === "undefined"
+      ? null
+      : parseBlockedAttachments(data.blocked_attachments);
+
+  // What happens when no destination accepts a message.
+  const fallback_to =
+    typeof data.fallback_to === "undefined" ? null : parseFallback(data.fallback_to);
+  const failure_mode =
+    typeof data.failure_mode === "undefined" ? "reject" : parseFailureMode(data.failure_mode);
+
+  if (!domain) {
+    return json({ error: "domain is required" }, { status: 400 });
+  }
+
+  // Minimal sanity checks; not full hostname validation.
+  if (domain.includes("@") || !domain.includes(".") || /\s/.test(domain)) {
+    return json({ error: "Invalid domain name" }, { status: 400 });
+  }
+
+  try {
+    await env.DB.prepare(
+      "INSERT INTO domains (domain, enabled, separator, auth_policy, max_size_bytes, attachment_policy, blocked_attachments, fallback_to, failure_mode, notes, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+    )
+      .bind(
+        domain,
+        enabled,
+        separator,
+        auth_policy,
+        max_size_bytes,
+        attachment_policy,
+        blocked_attachments,
+        fallback_to,
+        failure_mode,
+        notes,
+        nowSecs()
+      )
+      .run();
+    await bumpCacheVersion(env);
+
+    return json({
+      success: true,
+      domain: {
+        domain,
+        enabled,
+        separator,
+        auth_policy,
+        max_size_bytes,
+        attachment_policy,
+        blocked_attachments: parseJSONColumn(blocked_attachments, null),
+        fallback_to: parseJSONColumn(fallback_to, null),
+        failure_mode,
+        notes,
+      },
+    });
+  } catch (err) {
+    // Most likely a UNIQUE constraint violation on domain.
+    return json({ error: "Domain already exists" }, { status: 409 });
+  }
+}
+
+/**
+ * PATCH /domains/:domain
+ * Update enabled / separator / auth_policy / max_size_bytes /
+ * attachment_policy / blocked_attachments / fallback_to / failure_mode / notes
+ * for a specific domain.
+ */
+async function updateDomain(env, request, url) {
+  const raw = url.pathname.split("/").pop() || "";
+  const domainParam = toEmail(decodeURIComponent(raw));
+  if (!domainParam) {
+    return json({ error: "Domain required" }, { status: 400 });
+  }
+
+  const data = await readJSON(request);
+
+  const updates = [];
+  const binds = [];
+
+  if (typeof data.enabled !== "undefined") {
+    updates.push("enabled = ?");
+    binds.push(data.enabled ? 1 : 0);
+  }
+
+  if (typeof data.separator !== "undefined") {
+    updates.push("separator = ?");
+    binds.push(parseSeparator(data.separator));
+  }
+
+  if (typeof data.auth_policy !== "undefined") {
+    updates.push("auth_policy = ?");
+    binds.push(parseAuthPolicy(data.auth_policy));
+  }
+
+  if (typeof data.max_size_bytes !== "undefined") {
+    updates.push("max_size_bytes = ?");
+    binds.push(parseMaxSize(data.max_size_bytes));
+  }
+
+  if (typeof data.attachment_policy !== "undefined") {
+    updates.push("attachment_policy = ?");
+    binds.push(parseAttachmentPolicy(data.attachment_policy));
+  }
+
+  if (typeof data.blocked_attachments !== "undefined") {
+    updates.push("blocked_attachments = ?");
+    binds.push(parseBlockedAttachments(data.blocked_attachments));
+  }
+
+  if (typeof data.fallback_to !== "undefined") {
+    updates.push("fallback_to = ?");
+    binds.push(parseFallback(data.fallback_to));
+  }
+
+  if (typeof data.failure_mode !== "undefined") {
+    updates.push("failure_mode = ?");
+    binds.push(parseFailureMode(data.failure_mode));
+  }
+
+  if (typeof data.notes !== "undefined") {
+    updates.push("notes = ?");
+    binds.push(data.notes === null ? null : String(data.notes));
+  }
+
+  if (updates.length === 0) {
+    return json(
+      {
+        error:
+          "No updatable fields provided (enabled, separator, auth_policy, max_size_bytes, attachment_policy, blocked_attachments, fallback_to, failure_mode, notes)",
+      },
+      { status: 400 }
+    );
+  }
+
+  binds.push(domainParam);
+
+  const sql = `UPDATE domains SET ${updates.join(", ")} WHERE domain = ?`;
+  const res = await env.DB.prepare(sql).bind(...binds).run();
+
+  if (res.meta.changes === 0) {
+    return json({ error: "Domain not found" }, { status: 404 });
+  }
+
+  await bumpCacheVersion(env);
+
+  const row = await env.DB.prepare(
+    `SELECT ${DOMAIN_COLUMNS} FROM domains WHERE domain = ? LIMIT 1`
+  ).bind(domainParam).first();
+
+  return json({ success: true, domain: hydrateDomain(row) });
+}
+
+/**
+ * DELETE /domains/:domain → remove a domain.
+ * Refuses while aliases still exist on it, so mail is never orphaned silently.
+ */
+async function deleteDomain(env, url) {
+  const raw = url.pathname.split("/").pop() || "";
+  const domainParam = toEmail(decodeURIComponent(raw));
+  if (!domainParam) {
+    return json({ error: "Domain required" }, { status: 400 });
+  }
+
+  const inUse = await env.DB.prepare(
+    "SELECT COUNT(*) AS n FROM aliases WHERE substr(address, instr(address, '@') + 1) = ?"
+  ).bind(domainParam).first();
+
+  if (inUse && inUse.n > 0) {
+    return json(
+      { error: `Domain still has ${inUse.n} alias(es); delete or move them first` },
+      { status: 409 }
+    );
+  }
+
+  const result = await env.DB.prepare(
+    "DELETE FROM domains WHERE domain = ?"
+  ).bind(domainParam).run();
+
+  if (result.meta.changes === 0) {
+    return json({ error: "Domain not found" }, { status: 404 });
+  }
+  await bumpCacheVersion(env);
+
+  return json({ success: true, deleted: domainParam });
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handlers: aliases
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Columns selected for every alias response.
+ * `destinations` is a JSON array (in delivery order) built from alias_destinations.
+ */
+const ALIAS_COLUMNS = `id, address, forward_to, notes, created_at, allow_plus,
+  expires_at, max_messages, forwarded_count, enabled, disabled_action,
+  reverse_alias, allowed_tags, tag_routes, auth_policy,
+  rate_limit, sender_rate_limit, rate_window, max_size_bytes, attachment_policy,
+  fallback_to, failure_mode, subject_prefix, expected_senders,
+  received_count, rejected_count, last_received_at,
+  (SELECT json_group_array(address) FROM (
+     SELECT address FROM alias_destinations
+     WHERE alias_destinations.alias_id = aliases.id
+     ORDER BY position
+   )) AS destinations`;
+
+/**
+ * Turn a raw alias row into its API shape:
+ * - parses the `destinations`, `allowed_tags`, `tag_routes`, `fallback_to`
+ *   and `expected_senders` JSON columns
+ * - falls back to [forward_to] for aliases created before fan-out existed
+ */
+function hydrateAlias(row) {
+  if (!row) return row;
+
+  const destinations = parseJSONColumn(row.destinations, []);
+
+  return {
+    ...row,
+    destinations: destinations.length > 0 ? destinations : [row.forward_to],
+    allowed_tags: parseJSONColumn(row.allowed_tags, null),
+    tag_routes: parseJSONColumn(row.tag_routes, null),
+    fallback_to: parseJSONColumn(row.fallback_to, null),
+    expected_senders: parseJSONColumn(row.expected_senders, null),
+  };
+}
+
+/**
+ * Statements that replace an alias's destinations with `destinations`.
+ * Meant to run inside env.DB.batch() together with the alias write.
+ */
+function destinationStatements(env, address, destinations) {
+  return [
+    env.DB.prepare(
+      "DELETE FROM alias_destinations WHERE alias_id = (SELECT id FROM aliases WHERE address = ?)"
+    ).bind(address),
+    ...destinations.map((dest, position) =>
+      env.DB.prepare(
+        "INSERT INTO alias_destinations (alias_id, address, position) SELECT id, ?, ? FROM aliases WHERE address = ?"
+      ).bind(dest, position, address)
+    ),
+  ];
+}
+
+/** Columns GET /aliases can sort by. */
+const ALIAS_SORTS = [
+  "address",
+  "created_at",
+  "last_received_at",
+  "received_count",
+  "rejected_count",
+];
+
+/** Page size for GET /aliases (default and cap). */
+const ALIAS_PAGE_SIZE = 100;
+const MAX_ALIAS_PAGE_SIZE = 500;
+
+/**
+ * GET /aliases → list aliases: every match as an array, or with `limit` or
+ * `cursor` one page as {aliases, total, next_cursor}.
+ * - q: text search over address and notes (case-insensitive)
+ * - domain, destination, allow_plus (true | false): exact filters
+ * - sort: one of ALIAS_SORTS (default address); order: asc | desc
+ *   (default asc for address, desc otherwise). Never-used aliases sort last.
+ * - stale_days: only aliases with no mail for that many days (counted from
+ *   creation for aliases that never received any).
+ * - limit (default 100 with a cursor, max 500) and cursor: keyset
+ *   pagination; pass the previous page's next_cursor (null on the last
+ *   page) with the same sort and order. total counts every match, not just
+ *   this page.
+ */
+async function listAliases(env, url, principal) {
+  const params = url.searchParams;
+
+  const sort = params.get("sort") || "address";
+  if (!ALIAS_SORTS.includes(sort)) {
+    throw httpError(400, `sort must be one of: ${ALIAS_SORTS.join(", ")}`);
+  }
+
+  const order = (params.get("order") || (sort === "address" ? "asc" : "desc")).toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw httpError(400, 'order must be "asc" or "desc"');
+  }
+
+  // Without limit or cursor, keep the original unpaged array response.
+  const paged = params.has("limit") || params.has("cursor");
+  let limit = Number.parseInt(params.get("limit") || String(ALIAS_PAGE_SIZE), 10);
+  if (!Number.isFinite(limit) || limit <= 0) limit = ALIAS_PAGE_SIZE;
+  if (limit > MAX_ALIAS_PAGE_SIZE) limit = MAX_ALIAS_PAGE_SIZE;
+
+  const scope = aliasScopeSQL(principal);
+  const where = [scope.where];
+  const binds = [...scope.binds];
+
+  const q = (params.get("q") || "").trim();
+  if (q) {
+    where.push("(address LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\')");
+    binds.push(`%${likeEscape(q)}%`, `%${likeEscape(q)}%`);
+  }
+
+  const domain = toEmail(params.get("domain"));
+  if (domain) {
+    where.push("substr(address, instr(address, '@') + 1) = ?");
+    binds.push(domain);
+  }
+
+  const destination = toEmail(params.get("destination"));
+  if (destination) {
+    where.push(
+      "(forward_to = ? OR id IN (SELECT alias_id FROM alias_destinations WHERE address = ?))"
+    );
+    binds.push(destination, destination);
+  }
+
+  const allowPlus = params.get("allow_plus");
+  if (allowPlus !== null) {
+    if (!["true", "false", "1", "0"].includes(allowPlus)) {
+      throw httpError(400, 'allow_plus must be "true" or "false"');
+    }
+    where.push("allow_plus = ?");
+    binds.push(allowPlus === "true" || allowPlus === "1" ? 1 : 0);
+  }
+
+  const staleDays = params.get("stale_days");
+  if (staleDays !== null) {
+    const days = Number(staleDays);
+    if (!Number.isInteger(days) || days < 0) {
+      throw httpError(400, "stale_days must be a whole number of days");
+    }
+    where.push("COALESCE(last_received_at, created_at) < ?");
+    binds.push(nowSecs() - days * 86400);
+  }
+
+  if (!paged) {
+    const result = await env.DB.prepare(
+      `SELECT ${ALIAS_COLUMNS} FROM aliases
+       WHERE ${where.join(" AND ")}
+       ORDER BY ${sort} IS NULL, ${sort} ${order.toUpperCase()}, address`
+    ).bind(...binds).all();
+    return json((result.results ?? []).map(hydrateAlias));
+  }
+
+  // total ignores the cursor: it is the size of the whole result set.
+  const filters = where.join(" AND ");
+  const filterBinds = [...binds];
+
+  // Keyset pagination: rows strictly after the cursor's (sort value,
+  // address) in ORDER BY order, where NULL sort values come last.
+  const rawCursor = params.get("cursor");
+  if (rawCursor) {
+    const [cSort, cOrder, value, address] = decodeCursor(rawCursor);
+    if (cSort !== sort || cOrder !== order || typeof address !== "string") {
+      throw httpError(400, "cursor does not match this sort and order");
+    }
+    const cmp = order === "asc" ? ">" : "<";
+    if (sort === "address") {
+      where.push(`address ${cmp} ?`);
+      binds.push(address);
+    } else if (value === null) {
+      where.push(`(${sort} IS NULL AND address > ?)`);
+      binds.push(address);
+    } else {
+      where.push(`(${sort} IS NULL OR ${sort} ${cmp} ? OR (${sort} = ? AND address > ?))`);
+      binds.push(value, value, address);
+    }
+  }
+
+  const [page, count] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT ${ALIAS_COLUMNS} FROM aliases
+       WHERE ${where.join(" AND ")}
+       ORDER BY ${sort} IS NULL, ${sort} ${order.toUpperCase()}, address
+       LIMIT ?`
+    ).bind(...binds, limit + 1),
+    env.DB.prepare(`SELECT COUNT(*) AS n FROM aliases WHERE ${filters}`).bind(...filterBinds),
+  ]);
+
+  const rows = page.results ?? [];
+  const more = rows.length > limit;
+  if (more) rows.length = limit;
+  const last = rows[rows.length - 1];
+
+  return json({
+    aliases: rows.map(hydrateAlias),
+    total: count.results?.[0]?.n ?? 0,
+    next_cursor: more ? encodeCursor([sort, order, last[sort], last.address]) : null,
+  });
+}
+
+/** GET /aliases/by-destination?email=... → list aliases delivering to a destination. */
+async function listByDestination(env, url, principal) {
+  const email = toEmail(url.searchParams.get("email"));
+  if (!email) {
+    return json({ error: "email parameter required" }, { status: 400 });
+  }
+
+  const scope = aliasScopeSQL(principal);
+  const result = await env.DB.prepare(
+    `SELECT ${ALIAS_COLUMNS} FROM aliases
+     WHERE (forward_to = ?
+        OR id IN (SELECT alias_id FROM alias_destinations WHERE address = ?))
+       AND ${scope.where}
+     ORDER BY address`
+  ).bind(email, email, ...scope.binds).all();
+
+  return json((result.results ?? []).map(hydrateAlias));
+}
+
+/** GET /aliases/:address → fetch a single alias row. */
+async function getAlias(env, url) {
+  const raw = url.pathname.split("/").pop() || "";
+  const addressParam = toEmail(decodeURIComponent(raw));
+  if (!addressParam) {
+    return json({ error: "Email address required" }, { status: 400 });
+  }
+
+  const row = await env.DB.prepare(
+    `SELECT ${ALIAS_COLUMNS} FROM aliases WHERE address = ? LIMIT 1`
+  ).bind(addressParam).first();
+
+  if (!row) {
+    return json({ error: "Alias not found" }, { status: 404 });
+  }
+
+  return json(hydrateAlias(row));
+}
+
+/** POST /aliases → create a new alias. */
+async function createAlias(env, request) {
+  const data = await readJSON(request);
+
+  const address = toEmail(data.address);
+  const notes = typeof data.notes === "string" ? data.notes : null;
+
+  // allow_plus can be boolean or 0/1; normalize to integer 0 or 1.
+  const allow_plus =
+    typeof data.allow_plus === "undefined" ? 1 : (data.allow_plus ? 1 : 0);
+
+  // Optional burner limits (validated; throw 400 on bad input).
+  const expires_at =
+    typeof data.expires_at === "undefined" ? null : parseExpiry(data.expires_at);
+  const max_messages =
+    typeof data.max_messages === "undefined"
+      ? null
+      : parseMaxMessages(data.max_messages);
+
+  // Aliases can be created switched off (e.g. prepared ahead of time).
+  const enabled =
+    typeof data.enabled === "undefined" ? 1 : (data.enabled ? 1 : 0);
+  const disabled_action =
+    typeof data.disabled_action === "undefined"
+      ? "reject"
+      : parseDisabledAction(data.disabled_action);
+  const reverse_alias = data.reverse_alias ? 1 : 0;
+
+  // Subaddress tag settings (stored as JSON text).
+  const allowed_tags =
+    typeof data.allowed_tags === "undefined"
+      ? null
+      : parseAllowedTags(data.allowed_tags);
+  const tag_routes =
+    typeof data.tag_routes === "undefined"
+      ? null
+      : parseTagRoutes(data.tag_routes);
+
+  // NULL = follow the domain's auth_policy.
+  const auth_policy =
+    typeof data.auth_policy === "undefined"
+      ? null
+      : parseAuthPolicy(data.auth_policy, { allowInherit: true });
+
+  // Flood protection (NULL = unlimited).
+  const rate_limit =
+    typeof data.rate_limit === "undefined"
+      ? null
+      : parseRateLimit(data.rate_limit, "rate_limit");
+  const sender_rate_limit =
+    typeof data.sender_rate_limit === "undefined"
+      ? null
+      : parseRateLimit(data.sender_rate_limit, "sender_rate_limit");
+  const rate_window =
+    typeof data.rate_window === "undefined"
+      ? DEFAULT_RATE_WINDOW
+      : parseRateWindow(data.rate_window);
+
+  // Content limits (NULL = follow the domain's).
+  const max_size_bytes =
+    typeof data.max_size_bytes === "undefined" ? null : parseMaxSize(data.max_size_bytes);
+  const attachment_policy =
+    typeof data.attachment_policy === "undefined"
+      ? null
+      : parseAttachmentPolicy(data.attachment_policy, { allowInherit: true });
+
+  // Delivery failures (NULL = follow the domain's).
+  const fallback_to =
+    typeof data.fallback_to === "undefined"
+      ? null
+      : parseFallback(data.fallback_to, { allowNone: true });
+  const failure_mode =
+    typeof data.failure_mode === "undefined"
+      ? null
+      : parseFailureMode(data.failure_mode, { allowInherit: true });
+
+  const subject_prefix =
+    typeof data.subject_prefix === "undefined"
+      ? null
+      : parseSubjectPrefix(data.subject_prefix);
+
+  // Leak detection (NULL = not tracked).
+  const expected_senders =
+    typeof data.expected_senders === "undefined"
+      ? null
+      : parseExpectedSenders(data.expected_senders);
+
+  // Required field validation.
+  if (!address || typeof data.forward_to === "undefined") {
+    return json(
+      { error: "address and forward_to are required" },
+      { status: 400 }
+    );
+  }
+
+  // Minimal sanity checks; not full RFC validation.
+  const destinations = parseDestinations(data.forward_to);
+  if (!address.includes("@") || !destinations) {
+    return json({ error: "Invalid email address" }, { status: 400 });
+  }
+  const forward_to = destinations[0];
+
+  // Wildcards are only meaningful in the local part.
+  if (domainOf(address).includes("*")) {
+    return json(
+      { error: "Wildcards are only allowed before the @" },
+      { status: 400 }
+    );
+  }
+
+  // The alias must live on a domain we route (see /domains).
+  const domain = domainOf(address);
+  const known = await env.DB.prepare(
+    "SELECT domain FROM domains WHERE domain = ? LIMIT 1"
+  ).bind(domain).first();
+
+  if (!known) {
+    return json(
+      { error: `Unknown domain: ${domain} (add it via POST /domains first)` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    await env.DB.batch([
+      env.DB.prepare(
+        "INSERT INTO aliases (address, forward_to, notes, created_at, allow_plus, expires_at, max_messages, enabled, disabled_action, reverse_alias, allowed_tags, tag_routes, auth_policy, rate_limit, sender_rate_limit, rate_window, max_size_bytes, attachment_policy, fallback_to, failure_mode, subject_prefix, expected_senders) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)"
+      ).bind(
+        address,
+        forward_to,
+        notes,
+        nowSecs(),
+        allow_plus,
+        expires_at,
+        max_messages,
+        enabled,
+        disabled_action,
+        reverse_alias,
+        allowed_tags,
+        tag_routes,
+        auth_policy,
+        rate_limit,
+        sender_rate_limit,
+        rate_window,
+        max_size_bytes,
+        attachment_policy,
+        fallback_to,
+        failure_mode,
+        subject_prefix,
+        expected_senders
+      ),
+      ...destinationStatements(env, address, destinations),
+    ]);
+    await bumpCacheVersion(env);
+
+    return json({
+      success: true,
+      alias: {
+        address,
+        forward_to,
+        destinations,
+        notes,
+        allow_plus,
+        expires_at,
+        max_messages,
+        enabled,
+        disabled_action,
+        reverse_alias,
+        allowed_tags: parseJSONColumn(allowed_tags, null),
+        tag_routes: parseJSONColumn(tag_routes, null),
+        auth_policy,
+        rate_limit,
+        sender_rate_limit,
+        rate_window,
+        max_size_bytes,
+        attachment_policy,
+        fallback_to: parseJSONColumn(fallback_to, null),
+        failure_mode,
+        subject_prefix,
+        expected_senders: parseJSONColumn(expected_senders, null),
+      },
+    });
+  } catch (err) {
+    // Most likely a UNIQUE constraint violation on address.
+    return json({ error: "Alias already exists" }, { status: 409 });
+  }
+}
+
+/**
+ * PATCH /aliases/:address
+ * Update forward_to / notes / allow_plus / expires_at / max_messages /
+ * enabled / disabled_action / reverse_alias / allowed_tags / tag_routes and
+ * the policy, limit, fallback, subject_prefix and expected_senders fields for
+ * a specific alias.
+ * forward_to may be a string or an array; it replaces all destinations.
+ */
+async function updateAlias(env, request, url) {
+  const raw = url.pathname.split("/").pop() || "";
+  const addressParam = toEmail(decodeURIComponent(raw));
+  if (!addressParam) {
+    return json({ error: "Email address required" }, { status: 400 });
+  }
+
+  const data = await readJSON(request);
+
+  const updates = [];
+  const binds = [];
+  let destinations = null;
+
+  if (typeof data.forward_to !== "undefined") {
+    destinations = parseDestinations(data.forward_to);
+    if (!destinations) {
+      return json(
+        { error: "forward_to must be a valid email or a list of emails" },
+        { status: 400 }
+      );
+    }
+    updates.push("forward_to = ?");
+    binds.push(destinations[0]);
+  }
+
+  if (typeof data.notes !== "undefined") {
+    const v = data.notes === null ? null : String(data.notes);
+    updates.push("notes = ?");
+    binds.push(v);
+  }
+
+  if (typeof data.allow_plus !== "undefined") {
+    const v = data.allow_plus ? 1 : 0;
+    updates.push("allow_plus = ?");
+    binds.push(v);
+  }
+
+  if (typeof data.expires_at !== "undefined") {
+    updates.push("expires_at = ?");
+    binds.push(parseExpiry(data.expires_at));
+  }
+
+  if (typeof data.max_messages !== "undefined") {
+    updates.push("max_messages = ?");
+    binds.push(parseMaxMessages(data.max_messages));
+  }
+
+  if (typeof data.enabled !== "undefined") {
+    updates.push("enabled = ?");
+    binds.push(data.enabled ? 1 : 0);
+  }
+
+  if (typeof data.disabled_action !== "undefined") {
+    updates.push("disabled_action = ?");
+    binds.push(parseDisabledAction(data.disabled_action));
+  }
+
+  if (typeof data.reverse_alias !== "undefined") {
+    updates.push("reverse_alias = ?");
+    binds.push(data.reverse_alias ? 1 : 0);
+  }
+
+  if (typeof data.allowed_tags !== "undefined") {
+    updates.push("allowed_tags = ?");
+    binds.push(parseAllowedTags(data.allowed_tags));
+  }
+
+  if (typeof data.tag_routes !== "undefined") {
+    updates.push("tag_routes = ?");
+    binds.push(parseTagRoutes(data.tag_routes));
+  }
+
+  if (typeof data.auth_policy !== "undefined") {
+    updates.push("auth_policy = ?");
+    binds.push(parseAuthPolicy(data.auth_policy, { allowInherit: true }));
+  }
+
+  if (typeof data.rate_limit !== "undefined") {
+    updates.push("rate_limit = ?");
+    binds.push(parseRateLimit(data.rate_limit, "rate_limit"));
+  }
+
+  if (typeof data.sender_rate_limit !== "undefined") {
+    updates.push("sender_rate_limit = ?");
+    binds.push(parseRateLimit(data.sender_rate_limit, "sender_rate_limit"));
+  }
+
+  if (typeof data.rate_window !== "undefined") {
+    updates.push("rate_window = ?");
+    binds.push(parseRateWindow(data.rate_window));
+  }
+
+  if (typeof data.max_size_bytes !== "undefined") {
+    updates.push("max_size_bytes = ?");
+    binds.push(parseMaxSize(data.max_size_bytes));
+  }
+
+  if (typeof data.attachment_policy !== "undefined") {
+    updates.push("attachment_policy = ?");
+    binds.push(parseAttachmentPolicy(data.attachment_policy, { allowInherit: true }));
+  }
+
+  if (typeof data.fallback_to !== "undefined") {
+    updates.push("fallback_to = ?");
+    binds.push(parseFallback(data.fallback_to, { allowNone: true }));
+  }
+
+  if (typeof data.failure_mode !== "undefined") {
+    updates.push("failure_mode = ?");
+    binds.push(parseFailureMode(data.failure_mode, { allowInherit: true }));
+  }
+
+  if (typeof data.subject_prefix !== "undefined") {
+    updates.push("subject_prefix = ?");
+    binds.push(parseSubjectPrefix(data.subject_prefix));
+  }
+
+  if (typeof data.expected_senders !== "undefined") {
+    updates.push("expected_senders = ?");
+    binds.push(parseExpectedSenders(data.expected_senders));
+  }
+
+  if (updates.length === 0) {
+    return json(
+      {
+        error:
+          "No updatable fields provided (forward_to, notes, allow_plus, expires_at, max_messages, enabled, disabled_action, reverse_alias, allowed_tags, tag_routes, auth_policy, rate_limit, sender_rate_limit, rate_window, max_size_bytes, attachment_policy, fallback_to, failure_mode, subject_prefix, expected_senders)",
+      },
+      { status: 400 }
+    );
+  }
+
+  // WHERE condition bind added last.
+  binds.push(addressParam);
+
+  const sql = `UPDATE aliases SET ${updates.join(", ")} WHERE address = ?`;
+  const [res] = await env.DB.batch([
+    env.DB.prepare(sql).bind(...binds),
+    ...(destinations ? destinationStatements(env, addressParam, destinations) : []),
+  ]);
+
+  if (res.meta.changes === 0) {
+    return json({ error: "Alias not found" }, { status: 404 });
+  }
+  await bumpCacheVersion(env);
+
+  // Return the updated row for convenience (CLI / UI friendly).
+  const row = await env.DB.prepare(
+    `SELECT ${ALIAS_COLUMNS} FROM aliases WHERE address = ? LIMIT 1`
+  ).bind(addressParam).first();
+
+  return json({ success: true, alias: hydrateAlias(row) });
+}
+
+/** DELETE /aliases/:address → remove an alias. */
+async function deleteAlias(env, url) {
+  const raw = url.pathname.split("/").pop() || "";
+  const addressParam = toEmail(decodeURIComponent(raw));
+  if (!addressParam) {
+    return json({ error: "Email address required" }, { status: 400 });
+  }
+
+  const result = await env.DB.prepare(
+    "DELETE FROM aliases WHERE address = ?"
+  ).bind(addressParam).run();
+
+  if (result.meta.changes === 0) {
+    return json({ error: "Alias not found" }, { status: 404 });
+  }
+  await bumpCacheVersion(env);
+
+  return json({ success: true, deleted: addressParam });
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handlers: alias sender rules
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Normalize a sender rule pattern.
+ * Accepts an exact address ("a@b.com"), a whole domain ("@b.com") or a glob
+ * containing "*" ("*@*.b.com"). Returns null if it is none of those.
+ */
+function normalizeSenderPattern(raw) {
+  const pattern = toEmail(raw);
+  if (!pattern || /\s/.test(pattern)) return null;
+  if (pattern.includes("*")) return pattern;
+  if (pattern.startsWith("@")) return pattern.length > 1 ? pattern : null;
+  return pattern.indexOf("@") > 0 ? pattern : null;
+}
+
+/** Look up an alias id by address (null if the alias does not exist). */
+async function aliasIdFor(env, address) {
+  const row = await env.DB.prepare(
+    "SELECT id FROM aliases WHERE address = ? LIMIT 1"
+  ).bind(address).first();
+
+  return row ? row.id : null;
+}
+
+/** GET /aliases/:address/senders → list the alias's sender rules. */
+async function listSenderRules(env, address) {
+  const aliasId = await aliasIdFor(env, address);
+  if (!aliasId) {
+    return json({ error: "Alias not found" }, { status: 404 });
+  }
+
+  const result = await env.DB.prepare(
+    "SELECT id, action, pattern, created_at FROM alias_sender_rules WHERE alias_id = ? ORDER BY action, pattern"
+  ).bind(aliasId).all();
+
+  return json(result.results ?? []);
+}
+
+/** POST /aliases/:address/senders → add an allow/block rule. */
+async function addSenderRule(env, request, address) {
+  const data = await readJSON(request);
+
+  const action = toEmail(data.action);
+  const pattern = normalizeSenderPattern(data.pattern);
+
+  if (action !== "allow" && action !== "block") {
+    return json(
+      { error: 'action must be "allow" or "block"' },
+      { status: 400 }
+    );
+  }
+
+  if (!pattern) {
+    return json(
+      { error: 'pattern must be an address, "@domain" or a glob such as "*@*.example.com"' },
+      { status: 400 }
+    );
+  }
+
+  const aliasId = await aliasIdFor(env, address);
+  if (!aliasId) {
+    return json({ error: "Alias not found" }, { status: 404 });
+  }
+
+  try {
+    const row = await env.DB.prepare(
+      "INSERT INTO alias_sender_rules (alias_id, action, pattern, created_at) VALUES (?, ?, ?, ?) RETURNING id, action, pattern, created_at"
+    )
+      .bind(aliasId, action, pattern, nowSecs())
+      .first();
+    await bumpCacheVersion(env);
+
+    return json({ success: true, rule: row });
+  } catch (err) {
+    // Most likely a UNIQUE constraint violation.
+    return json({ error: "Rule already exists" }, { status: 409 });
+  }
+}
+
+/** DELETE /aliases/:address/senders/:id → remove one rule. */
+async function deleteSenderRule(env, address, id) {
+  const result = await env.DB.prepare(
+    "DELETE FROM alias_sender_rules WHERE id = ? AND alias_id = (SELECT id FROM aliases WHERE address = ?)"
+  ).bind(Number(id), address).run();
+
+  if (result.meta.changes === 0) {
+    return json({ error: "Rule not found" }, { status: 404 });
+  }
+  await bumpCacheVersion(env);
+
+  return json({ success: true, deleted: Number(id) });
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handlers: sender domains and leaks
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/** Sender domain rows with an `expected` flag (null if the alias tracks none). */
+function flagSenderDomains(rows, expected) {
+  return rows.map((r) => ({
+    ...r,
+    expected: Array.isArray(expected) ? senderDomainExpected(r.domain, expected) : null,
+  }));
+}
+
+/** GET /aliases/:address/senders-seen → sender domains that wrote to the alias. */
+async function listSendersSeen(env, address) {
+  const alias = await env.DB.prepare(
+    "SELECT id, address, expected_senders FROM aliases WHERE address = ? LIMIT 1"
+  ).bind(address).first();
+  if (!alias) {
+    return json({ error: "Alias not found" }, { status: 404 });
+  }
+
+  const result = await env.DB.prepare(
+    `SELECT domain, first_seen_at, last_seen_at, message_count
+     FROM alias_sender_domains WHERE alias_id = ? ORDER BY first_seen_at, domain`
+  ).bind(alias.id).all();
+
+  const expected = parseJSONColumn(alias.expected_senders, null);
+  return json({
+    address: alias.address,
+    expected_senders: expected,
+    senders: flagSenderDomains(result.results ?? [], expected),
+  });
+}
+
+/**
+ * GET /leaks → aliases with expected_senders that received mail from other
+ * domains, with those domains (most recently seen aliases first).
+ */
+async function listLeaks(env) {
+  const result = await env.DB.prepare(
+    `SELECT a.address, a.expected_senders, d.domain, d.first_seen_at,
+            d.last_seen_at, d.message_count
+     FROM aliases a JOIN alias_sender_domains d ON d.alias_id = a.id
+     WHERE a.expected_senders IS NOT NULL
+     ORDER BY a.address, d.first_seen_at`
+  ).all();
+
+  const leaks = new Map();
+  for (const row of result.results ?? []) {
+    const expected = parseJSONColumn(row.expected_senders, []);
+    if (senderDomainExpected(row.domain, expected)) continue;
+
+    if (!leaks.has(row.address)) {
+      leaks.set(row.address, { address: row.address, expected_senders: expected, unexpected: [] });
+    }
+    const { domain, first_seen_at, last_seen_at, message_count } = row;
+    leaks.get(row.address).unexpected.push({ domain, first_seen_at, last_seen_at, message_count });
+  }
+
+  const lastSeen = (leak) => Math.max(...leak.unexpected.map((d) => d.last_seen_at));
+  return json([...leaks.values()].sort((a, b) => lastSeen(b) - lastSeen(a)));
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handlers: quarantine
+/// ─────────────────────────────────────────────────────────────────────────────
+
+const QUARANTINE_COLUMNS = `id, message_id, from_addr, to_addr, alias_address,
+  reason, error, subject, size_bytes, created_at, expires_at, released_at, released_to`;
+
+/** Fail with 501 unless the bindings a quarantine route needs exist. */
+function requireBindings(env, ...names) {
+  for (const name of names) {
+    if (!env[name]) {
+      throw httpError(501, `Quarantine needs the ${name} binding on the API worker`);
+    }
+  }
+}
+
+/** Is a quarantine row past its retention (expires_at)? */
+function quarantineExpired(row, now = nowSecs()) {
+  return row.expires_at != null && Number(row.expires_at) <= now;
+}
+
+/**
+ * Fetch one quarantine row (including its R2 key), or throw 404. An entry
+ * past its retention is deleted on the spot and answered with 410, unless
+ * `expired` is true (deleting it anyway).
+ */
+async function quarantineRow(env, id, { expired = false } = {}) {
+  const row = await env.DB.prepare(
+    `SELECT ${QUARANTINE_COLUMNS}, object_key FROM quarantine WHERE id = ? LIMIT 1`
+  ).bind(Number(id)).first();
+
+  if (!row) throw httpError(404, "Quarantined message not found");
+  if (!expired && quarantineExpired(row)) {
+    await deleteQuarantineRows(env, [row]);
+    throw httpError(410, "Quarantined message expired and was deleted");
+  }
+  return row;
+}
+
+/** Delete quarantine rows and their stored messages. */
+async function deleteQuarantineRows(env, rows) {
+  if (rows.length === 0) return;
+
+  // R2 deletes up to 1000 keys per call.
+  for (let i = 0; i < rows.length; i += 1000) {
+    await env.QUARANTINE.delete(rows.slice(i, i + 1000).map((r) => r.object_key));
+  }
+  await env.DB.batch(
+    rows.map((r) => env.DB.prepare("DELETE FROM quarantine WHERE id = ?").bind(r.id))
+  );
+}
+
+/**
+ * Delete every quarantine entry past its retention ({all: true}: every
+ * entry). Run by POST /quarantine/purge and the scheduled() handler.
+ * Returns how many were deleted.
+ */
+async function purgeQuarantineRows(env, { all = false } = {}) {
+  const result = all
+    ? await env.DB.prepare("SELECT id, object_key FROM quarantine").all()
+    : await env.DB.prepare(
+        "SELECT id, object_key FROM quarantine WHERE expires_at IS NOT NULL AND expires_at <= ?"
+      ).bind(nowSecs()).all();
+  const rows = result.results ?? [];
+
+  await deleteQuarantineRows(env, rows);
+  return rows.length;
+}
+
+/**
+ * GET /quarantine?limit=50 → newest quarantined messages first, leaving out
+ * entries past their retention (the next purge deletes them).
+ */
+async function listQuarantine(env, url) {
+  let limit = Number.parseInt(url.searchParams.get("limit") || "50", 10);
+  if (!Number.isFinite(limit) || limit <= 0) limit = 50;
+  if (limit > 500) limit = 500;
+
+  const result = await env.DB.prepare(
+    `SELECT ${QUARANTINE_COLUMNS} FROM quarantine
+     WHERE expires_at IS NULL OR expires_at > ?
+     ORDER BY id DESC LIMIT ?`
+  ).bind(nowSecs(), limit).all();
+
+  return json(result.results ?? []);
+}
+
+/**
+ * GET /quarantine/:id → the entry plus `headers`, the stored message's
+ * header block (null if the object is gone from the bucket).
+ */
+async function getQuarantined(env, id) {
+  requireBindings(env, "QUARANTINE");
+  const { object_key, ...row } = await quarantineRow(env, id);
+
+  const object = await env.QUARANTINE.get(object_key);
+  let headers = null;
+  if (object) {
+    const text = await object.text();
+    const end = text.search(/\r?\n\r?\n/);
+    headers = end === -1 ? text : text.slice(0, end);
+  }
+
+  return json({ ...row, headers });
+}
+
+/**
+ * POST /quarantine/:id/release
+ * Re-sends the stored message via SEND_EMAIL to `to` (string or array) or,
+ * by default, to the destinations of the alias it was meant for.
+ * - Sent from quarantine@<recipient domain>, which also becomes the From
+ *   header ("Name via Mailhop") so the copy passes DMARC; replies still go
+ *   to the original sender through Reply-To, and X-Mailhop-Original-From
+ *   keeps the original From. The body is sent byte-for-byte.
+ * - Each delivery is recorded as it succeeds, so if one recipient fails
+ *   (502) released_to lists the ones that already got it.
+ */
+async function releaseQuarantined(env, request, id) {
+  requireBindings(env, "QUARANTINE", "SEND_EMAIL");
+  const data = await readJSON(request, { optional: true });
+  const row = await quarantineRow(env, id);
+
+  let recipients;
+  if (typeof data.to !== "undefined") {
+    recipients = parseDestinations(data.to);
+    if (!recipients) {
+      return json({ error: "to must be an email address or list of addresses" }, { status: 400 });
+    }
+  } else if (row.alias_address) {
+    const alias = await env.DB.prepare(
+      `SELECT ${ALIAS_COLUMNS} FROM aliases WHERE address = ? LIMIT 1`
+    ).bind(row.alias_address).first();
+    recipients = alias ? hydrateAlias(alias).destinations : null;
+  }
+
+  if (!recipients || recipients.length === 0) {
+    return json(
+      { error: "No alias to release to; pass {to} with a destination address" },
+      { status: 400 }
+    );
+  }
+
+  const object = await env.QUARANTINE.get(row.object_key);
+  if (!object) {
+    return json({ error: "Stored message no longer exists" }, { status: 410 });
+  }
+
+  const raw = new Uint8Array(await object.arrayBuffer());
+  const from = `quarantine@${domainOf(row.to_addr)}`;
+  const headers = parseHeaders(splitMessage(raw).headerText);
+  const originalFrom = headerValue(headers, "from");
+  const original = parseAddressHeader(originalFrom);
+  const senderName = original.name || original.address || row.from_addr;
+
+  const bytes = rewriteHeaders(raw, {
+    set: {
+      From: formatAddress(`${senderName} via Mailhop`, from),
+      "Reply-To": headerValue(headers, "reply-to") || originalFrom || row.from_addr,
+      "X-Mailhop-Original-From": originalFrom || row.from_addr,
+      "X-Mailhop-Released": `quarantine #${row.id} at ${new Date().toUTCString()}`,
+    },
+    // The original signature no longer matches, and these would point
+    // replies and bounces back at the quarantine address.
+    remove: ["DKIM-Signature", "Return-Path", "Sender"],
+  });
+
+  const delivered = [];
+  for (const to of recipients) {
+    try {
+      await env.SEND_EMAIL.send(new EmailMessage(from, to, new Response(bytes).body));
+    } catch (err) {
+      return json(
+        {
+          success: false,
+          error: `Release to ${to} failed: ${err?.message || err}`,
+          released: row.id,
+          to: delivered,
+        },
+        { status: 502 }
+      );
+    }
+    delivered.push(to);
+    await env.DB.prepare(
+      "UPDATE quarantine SET released_at = ?, released_to = ? WHERE id = ?"
+    ).bind(nowSecs(), delivered.join(","), row.id).run();
+  }
+
+  return json({ success: true, released: row.id, to: delivered });
+}
+
+/** DELETE /quarantine/:id → remove the entry and its stored message. */
+async function deleteQuarantined(env, id) {
+  requireBindings(env, "QUARANTINE");
+  const row = await quarantineRow(env, id, { expired: true });
+
+  await deleteQuarantineRows(env, [row]);
+
+  return json({ success: true, deleted: row.id });
+}
+
+/**
+ * POST /quarantine/purge
+ * Deletes entries past their retention now ({all: true} deletes everything),
+ * removing the stored messages from R2 as well. The scheduled() handler
+ * does the same on its cron.
+ */
+async function purgeQuarantine(env, request) {
+  requireBindings(env, "QUARANTINE");
+  const data = await readJSON(request, { optional: true });
+
+  return json({ success: true, purged: await purgeQuarantineRows(env, { all: Boolean(data.all) }) });
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handlers: webhooks
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/** Events a webhook can subscribe to (see the email worker's webhookEvent). */
+const WEBHOOK_EVENTS = ["forwarded", "rejected", "deferred", "error"];
+
+/** Columns returned to clients; the secret is deliberately left out. */
+const WEBHOOK_COLUMNS = `id, url, events, alias_address, enabled, description,
+  created_at, last_status, last_error, last_sent_at`;
+
+/** Validate a webhook URL (http or https). */
+function parseWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw httpError(400, "url must be an absolute http(s) URL");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw httpError(400, "url must be an absolute http(s) URL");
+  }
+  return url.toString();
+}
+
+/**
+ * Parse a webhook's events: an array (or comma-separated string) of
+ * WEBHOOK_EVENTS. null, "all" or an empty list means every event.
+ * Returns a JSON string or null.
+ */
+function parseWebhookEvents(value) {
+  if (value === null || value === "all") return null;
+
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const events = [...new Set(list.map(toEmail).filter(Boolean))];
+  const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    throw httpError(400, `events must be one or more of: ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+  return events.length > 0 ? JSON.stringify(events) : null;
+}
+
+/** Validate a webhook's alias filter (null = every alias). */
+function parseWebhookAlias(value) {
+  if (value === null || value === "") return null;
+  const address = toEmail(value);
+  if (address.indexOf("@") < 1) {
+    throw httpError(400, "alias_address must be an alias address or null");
+  }
+  return address;
+}
+
+/** Random signing secret (32 bytes, hex). */
+function generateSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Hex HMAC-SHA256 of `body` with `secret` (same scheme as the email worker). */
+async function hmacHex(secret, body) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(body));
+  return [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Parse the `events` JSON column of a webhook row. */
+function hydrateWebhook(row) {
+  return row && { ...row, events: parseJSONColumn(row.events, null) };
+}
+
+/** Fetch one webhook row (without secret), or throw 404. */
+async function webhookRow(env, id) {
+  const row = await env.DB.prepare(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ? LIMIT 1`
+  ).bind(Number(id)).first();
+
+  if (!row) throw httpError(404, "Webhook not found");
+  return hydrateWebhook(row);
+}
+
+/** GET /webhooks → all subscriptions. */
+async function listWebhooks(env) {
+  const result = await env.DB.prepare(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`
+  ).all();
+
+  return json((result.results ?? []).map(hydrateWebhook));
+}
+
+/** POST /webhooks → create a subscription; the response includes its secret. */
+async function createWebhook(env, request) {
+  const data = await readJSON(request);
+
+  if (typeof data.url === "undefined") {
+    return json({ error: "url is required" }, { status: 400 });
+  }
+
+  const url = parseWebhookUrl(data.url);
+  const secret =
+    typeof data.secret === "string" && data.secret ? data.secret : generateSecret();
+  const events =
+    typeof data.events === "undefined" ? null : parseWebhookEvents(data.events);
+  const alias_address =
+    typeof data.alias_address === "undefined" ? null : parseWebhookAlias(data.alias_address);
+  const enabled =
+    typeof data.enabled === "undefined" ? 1 : (data.enabled ? 1 : 0);
+  const description =
+    typeof data.description === "string" ? data.description : null;
+
+  const row = await env.DB.prepare(
+    `INSERT INTO webhooks (url, secret, events, alias_address, enabled, description, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     RETURNING ${WEBHOOK_COLUMNS}`
+  )
+    .bind(url, secret, events, alias_address, enabled, description, nowSecs())
+    .first();
+
+  return json({ success: true, webhook: { ...hydrateWebhook(row), secret } });
+}
+
+/**
+ * PATCH /webhooks/:id
+ * Update url / secret / events / alias_address / enabled / description.
+ * `secret: true` generates a new one; the new secret is returned.
+ */
+async function updateWebhook(env, request, id) {
+  const data = await readJSON(request);
+
+  const updates = [];
+  const binds = [];
+  let secret;
+
+  if (typeof data.url !== "undefined") {
+    updates.push("url = ?");
+    binds.push(parseWebhookUrl(data.url));
+  }
+
+  if (typeof data.secret !== "undefined") {
+    secret = data.secret === true ? generateSecret() : String(data.secret || "");
+    if (!secret) {
+      return json({ error: "secret must be a non-empty string or true" }, { status: 400 });
+    }
+    updates.push("secret = ?");
+    binds.push(secret);
+  }
+
+  if (typeof data.events !== "undefined") {
+    updates.push("events = ?");
+    binds.push(parseWebhookEvents(data.events));
+  }
+
+  if (typeof data.alias_address !== "undefined") {
+    updates.push("alias_address = ?");
+    binds.push(parseWebhookAlias(data.alias_address));
+  }
+
+  if (typeof data.enabled !== "undefined") {
+    updates.push("enabled = ?");
+    binds.push(data.enabled ? 1 : 0);
+  }
+
+  if (typeof data.description !== "undefined") {
+    updates.push("description = ?");
+    binds.push(data.description === null ? null : String(data.description));
+  }
+
+  if (updates.length === 0) {
+    return json(
+      {
+        error:
+          "No updatable fields provided (url, secret, events, alias_address, enabled, description)",
+      },
+      { status: 400 }
+    );
+  }
+
+  binds.push(Number(id));
+
+  const res = await env.DB.prepare(
+    `UPDATE webhooks SET ${updates.join(", ")} WHERE id = ?`
+  ).bind(...binds).run();
+
+  if (res.meta.changes === 0) {
+    return json({ error: "Webhook not found" }, { status: 404 });
+  }
+
+  const webhook = await webhookRow(env, id);
+  return json({ success: true, webhook: secret ? { ...webhook, secret } : webhook });
+}
+
+/** DELETE /webhooks/:id → remove a subscription. */
+async function deleteWebhook(env, id) {
+  const res = await env.DB.prepare("DELETE FROM webhooks WHERE id = ?")
+    .bind(Number(id))
+    .run();
+
+  if (res.meta.changes === 0) {
+    return json({ error: "Webhook not found" }, { status: 404 });
+  }
+
+  return json({ success: true, deleted: Number(id) });
 }
 
 /**
- * Safe JSON body reader with a clear 400 error if parsing fails.
- * Attaches `err.status = 400` so the caller can use it in a generic handler.
+ * POST /webhooks/:id/test
+ * Sends a signed "test" event right away (even if the webhook is disabled)
+ * and reports the endpoint's response.
  */
-async function readJSON(request) {
+async function testWebhook(env, id) {
+  const hook = await env.DB.prepare(
+    "SELECT id, url, secret FROM webhooks WHERE id = ? LIMIT 1"
+  ).bind(Number(id)).first();
+
+  if (!hook) {
+    return json({ error: "Webhook not found" }, { status: 404 });
+  }
+
+  const body = JSON.stringify({
+    event: "test",
+    result: "test",
+    ts: nowSecs(),
+    webhook_id: hook.id,
+  });
+
+  let status = null;
+  let error = null;
   try {
-    return await request.json();
-  } catch {
-    const err = new Error("Invalid JSON body");
-    err.status = 400;
-    throw err;
+    const res = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "mailhop-webhooks",
+        "x-mailhop-event": "test",
+        "x-mailhop-signature": `sha256=${await hmacHex(hook.secret, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(10000),
+    });
+    status = res.status;
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err) {
+    error = String(err);
   }
+
+  await env.DB.prepare(
+    "UPDATE webhooks SET last_status = ?, last_error = ?, last_sent_at = ? WHERE id = ?"
+  ).bind(status, error, nowSecs(), hook.id).run();
+
+  return json({ success: error === null, status, error });
 }
 
 /// ─────────────────────────────────────────────────────────────────────────────
-/// Route handlers: aliases
+/// Route handlers: API tokens
 /// ─────────────────────────────────────────────────────────────────────────────
 
-/** GET /aliases → list all aliases. */
-async function listAliases(env) {
-  const result = await env.DB.prepare(
-    "SELECT id, address, forward_to, notes, created_at, allow_plus FROM aliases ORDER BY address"
-  ).all();
-
-  return json(result.results ?? []);
-}
+/** Columns returned for a token (never its hash). */
+const TOKEN_COLUMNS = `id, name, prefix, scope, scope_domain, scope_destination,
+  expires_at, last_used_at, created_at`;
 
-/** GET /aliases/by-destination?email=... → list aliases by forward_to. */
-async function listByDestination(env, url) {
-  const email = toEmail(url.searchParams.get("email"));
-  if (!email) {
-    return json({ error: "email parameter required" }, { status: 400 });
-  }
+/** Prefix of every generated token, so leaked ones are easy to grep for. */
+const TOKEN_PREFIX = "mh_";
 
+/** GET /tokens → every token, without secrets. */
+async function listTokens(env) {
   const result = await env.DB.prepare(
-    "SELECT id, address, forward_to, notes, created_at, allow_plus FROM aliases WHERE forward_to = ? ORDER BY address"
-  ).bind(email).all();
+    `SELECT ${TOKEN_COLUMNS} FROM api_tokens ORDER BY id`
+  ).all();
 
   return json(result.results ?? []);
 }
 
-/** GET /aliases/:address → fetch a single alias row. */
-async function getAlias(env, url) {
-  const raw = url.pathname.split("/").pop() || "";
-  const addressParam = toEmail(decodeURIComponent(raw));
-  if (!addressParam) {
-    return json({ error: "Email address required" }, { status: 400 });
+/**
+ * POST /tokens {name, scope, domain?, destination?, expires_at?}
+ * → create a token. The response is the only time the token is shown.
+ * - scope "aliases" needs a domain and/or a destination
+ * - expires_at takes the same forms as an alias's (e.g. "90d")
+ */
+async function createToken(env, request) {
+  const data = await readJSON(request);
+
+  const name = typeof data.name === "string" ? data.name.trim() : "";
+  if (!name) {
+    throw httpError(400, "name is required");
   }
 
-  const row = await env.DB.prepare(
-    "SELECT id, address, forward_to, notes, created_at, allow_plus FROM aliases WHERE address = ? LIMIT 1"
-  ).bind(addressParam).first();
+  const scope = data.scope || "read";
+  if (!TOKEN_SCOPES.includes(scope)) {
+    throw httpError(400, `scope must be one of: ${TOKEN_SCOPES.join(", ")}`);
+  }
 
-  if (!row) {
-    return json({ error: "Alias not found" }, { status: 404 });
+  const domain = toEmail(data.domain) || null;
+  const destination = toEmail(data.destination) || null;
+  if (scope === "aliases" && !domain && !destination) {
+    throw httpError(400, 'scope "aliases" needs a domain and/or a destination');
+  }
+  if (scope !== "aliases" && (domain || destination)) {
+    throw httpError(400, 'domain and destination only apply to scope "aliases"');
+  }
+  if (destination && !destination.includes("@")) {
+    throw httpError(400, "destination must be an email address");
   }
 
-  return json(row);
-}
+  const expires_at =
+    typeof data.expires_at === "undefined" ? null : parseExpiry(data.expires_at);
 
-/** POST /aliases → create a new alias. */
-async function createAlias(env, request) {
-  const data = await readJSON(request);
+  const token = `${TOKEN_PREFIX}${generateSecret()}`;
+  const row = await env.DB.prepare(
+    `INSERT INTO api_tokens
+       (name, token_hash, prefix, scope, scope_domain, scope_destination, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     RETURNING ${TOKEN_COLUMNS}`
+  )
+    .bind(
+      name,
+      await sha256Hex(token),
+      token.slice(0, TOKEN_PREFIX.length + 6),
+      scope,
+      domain,
+      destination,
+      expires_at,
+      nowSecs()
+    )
+    .first();
 
-  const address = toEmail(data.address);
-  const forward_to = toEmail(data.forward_to);
-  const notes = typeof data.notes === "string" ? data.notes : null;
+  return json({ success: true, token: { ...row, token } });
+}
 
-  // allow_plus can be boolean or 0/1; normalize to integer 0 or 1.
-  const allow_plus =
-    typeof data.allow_plus === "undefined" ? 1 : (data.allow_plus ? 1 : 0);
+/** DELETE /tokens/:id → revoke a token. */
+async function deleteToken(env, id) {
+  const res = await env.DB.prepare("DELETE FROM api_tokens WHERE id = ?")
+    .bind(Number(id))
+    .run();
 
-  // Required field validation.
-  if (!address || !forward_to) {
-    return json(
-      { error: "address and forward_to are required" },
-      { status: 400 }
-    );
+  if (res.meta.changes === 0) {
+    return json({ error: "Token not found" }, { status: 404 });
   }
 
-  // Minimal sanity checks; not full RFC validation.
-  if (!address.includes("@") || !forward_to.includes("@")) {
-    return json({ error: "Invalid email address" }, { status: 400 });
-  }
+  return json({ success: true, deleted: Number(id) });
+}
 
-  try {
-    await env.DB.prepare(
-      "INSERT INTO aliases (address, forward_to, notes, created_at, allow_plus) VALUES (?, ?, ?, ?, ?)"
-    )
-      .bind(address, forward_to, notes, nowSecs(), allow_plus)
-      .run();
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handler: route dry run
+/// ─────────────────────────────────────────────────────────────────────────────
 
-    return json({
-      success: true,
-      alias: { address, forward_to, notes, allow_plus },
-    });
-  } catch (err) {
-    // Most likely a UNIQUE constraint violation on address.
-    return json({ error: "Alias already exists" }, { status: 409 });
-  }
-}
+/** Alias columns the email worker routes on: ALIAS_COLUMNS plus sender rules. */
+const ROUTE_ALIAS_COLUMNS = `${ALIAS_COLUMNS},
+  (SELECT json_group_array(json_object('action', action, 'pattern', pattern))
+     FROM alias_sender_rules
+     WHERE alias_sender_rules.alias_id = aliases.id
+  ) AS sender_rules`;
 
 /**
- * PATCH /aliases/:address
- * Update forward_to / notes / allow_plus for a specific alias.
+ * D1 alias lookups for resolveRoute (the same queries the email worker
+ * makes, minus its cache: a dry run always sees the current rows).
  */
-async function updateAlias(env, request, url) {
-  const raw = url.pathname.split("/").pop() || "";
-  const addressParam = toEmail(decodeURIComponent(raw));
-  if (!addressParam) {
-    return json({ error: "Email address required" }, { status: 400 });
-  }
+function routeLookup(env) {
+  return {
+    async aliases(addresses) {
+      const result = await env.DB.prepare(
+        `SELECT ${ROUTE_ALIAS_COLUMNS} FROM aliases
+         WHERE address IN (${addresses.map(() => "?").join(", ")})`
+      ).bind(...addresses).all();
+      const rows = result.results ?? [];
+      return new Map(
+        addresses.map((address) => [address, rows.find((r) => r.address === address) ?? null])
+      );
+    },
+    async reverse(address) {
+      const mapping = await env.DB.prepare(
+        "SELECT id, reply_address, alias_id, alias_address, contact FROM reverse_aliases WHERE reply_address = ? LIMIT 1"
+      ).bind(address).first();
+      if (!mapping) return null;
+      const row = await env.DB.prepare(
+        `SELECT ${ROUTE_ALIAS_COLUMNS} FROM aliases WHERE id = ? LIMIT 1`
+      ).bind(mapping.alias_id).first();
+      return row ? { ...mapping, alias: row } : null;
+    },
+    async patterns(domain) {
+      const result = await env.DB.prepare(
+        `SELECT ${ROUTE_ALIAS_COLUMNS} FROM aliases
+         WHERE instr(address, '*') > 0 AND substr(address, instr(address, '@') + 1) = ?`
+      ).bind(domain).all();
+      return result.results ?? [];
+    },
+  };
+}
 
+/**
+ * POST /route/test {to, from?} → what the email worker would do with mail
+ * from `from` to `to`: the route, the matched alias, where it would go
+ * (action "forward", "reply" or "drop") or why it would be rejected.
+ * There is no message, so a reply's SPF/DMARC check is not part of it.
+ */
+async function testRoute(env, request) {
   const data = await readJSON(request);
+  const to = toEmail(data.to);
+  const from = toEmail(data.from);
+  if (!to) {
+    throw httpError(400, "to is required");
+  }
 
-  const updates = [];
-  const binds = [];
+  const domainRows = await env.DB.prepare(
+    "SELECT domain, enabled, separator, fallback_to, failure_mode FROM domains"
+  ).all();
+  const domains = buildDomains(domainRows.results ?? [], env.DOMAIN);
+  const route = await resolveRoute(to, domains, routeLookup(env));
+
+  const result = {
+    to,
+    from: from || null,
+    route: route.route,
+    alias: route.row?.address ?? null,
+    base: route.base ?? null,
+    tag: route.tag ?? null,
+  };
+  const reject = (reply, reason) => json({ ...result, action: "reject", reply, reason });
+
+  if (route.reject) {
+    return reject(route.reject.reply, route.reject.reason);
+  }
 
-  if (typeof data.forward_to !== "undefined") {
-    const v = toEmail(data.forward_to);
-    if (!v || !v.includes("@")) {
-      return json(
-        { error: "forward_to must be a valid email" },
-        { status: 400 }
+  if (route.reverse) {
+    const { alias_address, contact } = route.reverse;
+    result.alias = alias_address;
+    const refusal = reverseRefusal(route.reverse, from, nowSecs());
+    if (refusal) {
+      return reject(refusal.reply, refusal.reason);
+    }
+    if (wouldLoop(contact, domains)) {
+      return reject(
+        "550 Routing loop detected",
+        "routing loop detected (contact is in one of our own domains)"
       );
     }
-    updates.push("forward_to = ?");
-    binds.push(v);
+    return json({ ...result, action: "reply", destinations: [contact] });
   }
 
-  if (typeof data.notes !== "undefined") {
-    const v = data.notes === null ? null : String(data.notes);
-    updates.push("notes = ?");
-    binds.push(v);
+  const refusal = aliasRefusal(route.row, from, nowSecs());
+  if (refusal && refusal.reply) {
+    return reject(refusal.reply, refusal.reason);
   }
-
-  if (typeof data.allow_plus !== "undefined") {
-    const v = data.allow_plus ? 1 : 0;
-    updates.push("allow_plus = ?");
-    binds.push(v);
+  if (refusal) {
+    return json({ ...result, action: "drop", reason: refusal.reason });
   }
 
-  if (updates.length === 0) {
-    return json(
-      { error: "No updatable fields provided (forward_to, notes, allow_plus)" },
-      { status: 400 }
+  const plan = planDelivery(route.row, domains, route.rcpt.domain);
+  const reachable = [...plan.destinations, ...plan.fallbacks].filter(
+    (dest) => !wouldLoop(dest, domains)
+  );
+  if (reachable.length === 0) {
+    return reject(
+      "550 Routing loop detected",
+      "routing loop detected (destination is in one of our own domains)"
     );
   }
 
-  // WHERE condition bind added last.
-  binds.push(addressParam);
+  return json({
+    ...result,
+    action: "forward",
+    destinations: plan.destinations,
+    loops: plan.loops,
+    fallbacks: plan.fallbacks,
+    failure_mode: plan.mode,
+  });
+}
 
-  const sql = `UPDATE aliases SET ${updates.join(", ")} WHERE address = ?`;
-  const res = await env.DB.prepare(sql).bind(...binds).run();
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Route handler: stats
+/// ─────────────────────────────────────────────────────────────────────────────
 
-  if (res.meta.changes === 0) {
-    return json({ error: "Alias not found" }, { status: 404 });
-  }
+/** GET /stats periods and the default ?since= for each. */
+const STATS_PERIODS = { day: "30d", week: "12w", month: "365d" };
 
-  // Return the updated row for convenience (CLI / UI friendly).
-  const row = await env.DB.prepare(
-    "SELECT id, address, forward_to, notes, created_at, allow_plus FROM aliases WHERE address = ? LIMIT 1"
-  ).bind(addressParam).first();
+/**
+ * Days of sender and recipient rows email_stats_daily keeps (the
+ * email_logs_stats trigger drops older ones, see schema.sql).
+ */
+const STATS_ADDRESS_DAYS = 90;
 
-  return json({ success: true, alias: row });
+/** Most buckets one GET /stats response may hold (a year of days). */
+const MAX_STATS_BUCKETS = 366;
+
+/**
+ * Per-outcome message counts over email_stats_daily rows: forwarded, error,
+ * and rejected for everything else (refused, dropped, deferred …).
+ */
+const OUTCOME_SUMS = `SUM(messages) AS total,
+  SUM(CASE WHEN result = 'forwarded' THEN messages ELSE 0 END) AS forwarded,
+  SUM(CASE WHEN result NOT IN ('forwarded', 'error') THEN messages ELSE 0 END) AS rejected,
+  SUM(CASE WHEN result = 'error' THEN messages ELSE 0 END) AS error`;
+
+/** UTC "YYYY-MM-DD" for unix seconds. */
+function isoDay(secs) {
+  return new Date(secs * 1000).toISOString().slice(0, 10);
 }
 
-/** DELETE /aliases/:address → remove an alias. */
-async function deleteAlias(env, url) {
-  const raw = url.pathname.split("/").pop() || "";
-  const addressParam = toEmail(decodeURIComponent(raw));
-  if (!addressParam) {
-    return json({ error: "Email address required" }, { status: 400 });
+/** First day of the bucket holding `day` (weeks start on Monday). */
+function statsBucket(day, period) {
+  if (period === "day") return day;
+  if (period === "month") return `${day.slice(0, 7)}-01`;
+
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/** Every bucket from the one holding `since` through `until`, in order. */
+function statsBuckets(since, until, period) {
+  const buckets = [];
+  const d = new Date(`${statsBucket(since, period)}T00:00:00Z`);
+
+  while (d.toISOString().slice(0, 10) <= until) {
+    if (buckets.length === MAX_STATS_BUCKETS) {
+      throw httpError(400, `Too many ${period} buckets; shorten the range or use a longer period`);
+    }
+    buckets.push(d.toISOString().slice(0, 10));
+    if (period === "day") d.setUTCDate(d.getUTCDate() + 1);
+    else if (period === "week") d.setUTCDate(d.getUTCDate() + 7);
+    else d.setUTCMonth(d.getUTCMonth() + 1);
   }
 
-  const result = await env.DB.prepare(
-    "DELETE FROM aliases WHERE address = ?"
-  ).bind(addressParam).run();
+  return buckets;
+}
 
-  if (result.meta.changes === 0) {
-    return json({ error: "Alias not found" }, { status: 404 });
+/**
+ * GET /stats → routing volumes from email_stats_daily (which outlives the
+ * capped email_logs table).
+ * - period: day | week | month (default day); buckets are UTC, weeks start
+ *   on Monday. Empty buckets are included, so series is continuous.
+ * - since / until: unix seconds, ISO date or a duration ago ("30d"); since
+ *   defaults to 30d / 12w / 365d by period, until to today.
+ * - top: length of the top lists (default 10, max 100). Top senders and
+ *   rejected recipients only reach back STATS_ADDRESS_DAYS; addresses_since
+ *   is the first day they cover.
+ * Counts are messages: each message once under its best result (forwarded,
+ * else deferred, else its first), however many destinations, fallbacks or
+ * retries it took.
+ */
+async function getStats(env, url) {
+  const params = url.searchParams;
+
+  const period = params.get("period") || "day";
+  if (!STATS_PERIODS[period]) {
+    throw httpError(400, `period must be one of: ${Object.keys(STATS_PERIODS).join(", ")}`);
   }
 
-  return json({ success: true, deleted: addressParam });
+  const since = isoDay(parsePastTime(params.get("since") || STATS_PERIODS[period], "since"));
+  const until = params.get("until") ? isoDay(parsePastTime(params.get("until"), "until")) : isoDay(nowSecs());
+  if (since > until) {
+    throw httpError(400, "since must not be after until");
+  }
+
+  let top = Number.parseInt(params.get("top") || "10", 10);
+  if (!Number.isFinite(top) || top <= 0) top = 10;
+  if (top > 100) top = 100;
+
+  const buckets = statsBuckets(since, until, period);
+  const range = "day >= ? AND day <= ?";
+  const kept = isoDay(nowSecs() - STATS_ADDRESS_DAYS * 86400);
+  const addressesSince = since > kept ? since : kept;
+  const topOf = (dimension, as, from) =>
+    env.DB.prepare(
+      `SELECT name AS ${as}, ${OUTCOME_SUMS} FROM email_stats_daily
+       WHERE dimension = ? AND ${range}
+       GROUP BY name HAVING total > 0 ORDER BY total DESC, name LIMIT ?`
+    ).bind(dimension, from, until, top);
+
+  const [days, results, routes, aliases, senders, recipients] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT day, ${OUTCOME_SUMS} FROM email_stats_daily
+       WHERE dimension = 'total' AND ${range} GROUP BY day`
+    ).bind(since, until),
+    env.DB.prepare(
+      `SELECT result, SUM(messages) AS messages FROM email_stats_daily
+       WHERE dimension = 'total' AND ${range}
+       GROUP BY result HAVING messages > 0 ORDER BY messages DESC, result`
+    ).bind(since, until),
+    env.DB.prepare(
+      `SELECT name AS route, ${OUTCOME_SUMS} FROM email_stats_daily
+       WHERE dimension = 'route' AND ${range}
+       GROUP BY name HAVING total > 0 ORDER BY total DESC, name`
+    ).bind(since, until),
+    topOf("alias", "alias", since),
+    topOf("sender", "sender", addressesSince),
+    env.DB.prepare(
+      `SELECT name AS recipient, SUM(messages) AS rejected FROM email_stats_daily
+       WHERE dimension = 'recipient' AND ${range}
+         AND result NOT IN ('forwarded', 'error')
+       GROUP BY name HAVING rejected > 0 ORDER BY rejected DESC, name LIMIT ?`
+    ).bind(addressesSince, until, top),
+  ]);
+
+  const series = new Map(
+    buckets.map((bucket) => [bucket, { bucket, total: 0, forwarded: 0, rejected: 0, error: 0 }])
+  );
+  const totals = { total: 0, forwarded: 0, rejected: 0, error: 0 };
+  for (const row of days.results ?? []) {
+    const bucket = series.get(statsBucket(row.day, period));
+    for (const key of Object.keys(totals)) {
+      bucket[key] += row[key];
+      totals[key] += row[key];
+    }
+  }
+
+  return json({
+    period,
+    since,
+    until,
+    totals,
+    results: Object.fromEntries((results.results ?? []).map((r) => [r.result, r.messages])),
+    series: [...series.values()],
+    routes: routes.results ?? [],
+    top_aliases: aliases.results ?? [],
+    addresses_since: addressesSince,
+    top_senders: senders.results ?? [],
+    top_rejected_recipients: recipients.results ?? [],
+  });
 }
 
 /// ─────────────────────────────────────────────────────────────────────────────
 /// Route handler: logs
 /// ─────────────────────────────────────────────────────────────────────────────
 
+/** Comma-separated query value → trimmed, non-empty entries. */
+function listParam(value) {
+  return String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
 /**
- * GET /logs?limit=50
- * Returns latest email_logs rows in reverse chronological order.
- * Intended for CLI consumption (mailhop logs N).
+ * GET /logs → email_logs rows, newest first: an array, or with `cursor` one
+ * page as {logs, next_cursor}.
+ * Filters (all optional, combined with AND):
+ *   - since / until: unix seconds, ISO date or a duration ago ("1h", "7d")
+ *   - result, route: one value or a comma-separated list
+ *   - to: an alias; matches mail addressed to it and base+tag / pattern
+ *     matches that resolved to it (base_addr)
+ *   - from: a sender address, or "@domain" for any sender on that domain
+ *   - message_id: with or without the angle brackets
+ * Paging: limit (a positive integer, default 50, capped at 500) and
+ * cursor (empty for the first page, then the previous page's next_cursor,
+ * null on the last page). Without cursor the response stays the original
+ * bare array. Intended for `mailhop logs`.
+ *
+ * Following: since_id=N returns only rows with id > N, oldest first (an
+ * array), so a poller prints them in order and passes the last id back as
+ * since_id; poll again for the rest.
  */
 async function listEmailLogs(env, url) {
-  const rawLimit = url.searchParams.get("limit");
-  let limit = Number.parseInt(rawLimit || "50", 10);
+  const params = url.searchParams;
 
-  if (!Number.isFinite(limit) || limit <= 0) limit = 50;
-  if (limit > 500) limit = 500; // safety cap
+  const rawLimit = params.get("limit");
+  if (rawLimit !== null && !/^[1-9]\d*$/.test(rawLimit)) {
+    throw httpError(400, "limit must be a positive integer");
+  }
+  const limit = Math.min(Number(rawLimit || "50"), 500); // safety cap
 
-  const result = await env.DB.prepare(
-    "SELECT id, ts, message_id, from_addr, to_addr, route, base_addr, dest_addr, result, size_bytes, error FROM email_logs ORDER BY ts DESC, id DESC LIMIT ?"
-  ).bind(limit).all();
+  const where = ["1 = 1"];
+  const binds = [];
 
-  return json(result.results ?? []);
+  if (params.get("since")) {
+    where.push("ts >= ?");
+    binds.push(parsePastTime(params.get("since"), "since"));
+  }
+  if (params.get("until")) {
+    where.push("ts <= ?");
+    binds.push(parsePastTime(params.get("until"), "until"));
+  }
+
+  for (const column of ["result", "route"]) {
+    const values = listParam(params.get(column) || "");
+    if (values.length > 0) {
+      where.push(`${column} IN (${values.map(() => "?").join(", ")})`);
+      binds.push(...values);
+    }
+  }
+
+  const to = toEmail(params.get("to"));
+  if (to) {
+    where.push("(to_addr = ? COLLATE NOCASE OR base_addr = ? COLLATE NOCASE)");
+    binds.push(to, to);
+  }
+
+  const from = toEmail(params.get("from"));
+  if (from) {
+    if (from.startsWith("@")) {
+      where.push("from_addr LIKE ? ESCAPE '\\'");
+      binds.push(`%${likeEscape(from)}`);
+    } else {
+      where.push("from_addr = ? COLLATE NOCASE");
+      binds.push(from);
+    }
+  }
+
+  const messageId = (params.get("message_id") || "").trim().replace(/^<|>$/g, "");
+  if (messageId) {
+    where.push("message_id IN (?, ?)");
+    binds.push(messageId, `<${messageId}>`);
+  }
+
+  const rawCursor = params.get("cursor");
+  const paged = rawCursor !== null;
+  const sinceId = params.get("since_id");
+  if (paged && sinceId !== null) {
+    throw httpError(400, "cursor and since_id can't be combined");
+  }
+
+  if (rawCursor) {
+    const [beforeId] = decodeCursor(rawCursor);
+    if (!Number.isInteger(beforeId)) throw httpError(400, "Invalid cursor");
+    where.push("id < ?");
+    binds.push(beforeId);
+  }
+
+  if (sinceId !== null) {
+    if (!/^\d+$/.test(sinceId)) {
+      throw httpError(400, "since_id must be a log entry id (0 for all)");
+    }
+    where.push("id > ?");
+    binds.push(Number(sinceId));
+  }
+
+  const result = await env.DB.prepare(
+    `SELECT id, ts, message_id, from_addr, to_addr, route, base_addr, tag, dest_addr, result, size_bytes, error, auth, attempt, unexpected_sender
+     FROM email_logs
+     WHERE ${where.join(" AND ")}
+     ORDER BY id ${sinceId === null ? "DESC" : "ASC"}
+     LIMIT ?`
+  ).bind(...binds, limit + 1).all();
+
+  const logs = result.results ?? [];
+  const more = logs.length > limit;
+  if (more) logs.length = limit;
+  if (!paged) return json(logs);
+
+  return json({
+    logs,
+    next_cursor: more ? encodeCursor([logs[logs.length - 1].id]) : null,
+  });
 }
 
 /// ─────────────────────────────────────────────────────────────────────────────
@@ -323,7 +2978,11 @@ export default {
    * Entry point for all HTTP requests.
    * The `env` parameter contains:
    *   - env.DB               → D1 binding (SQLite)
-   *   - env.MAILHOP_API_KEY  → optional API auth secret
+   *   - env.MAILHOP_API_KEY  → admin API key (secret); scoped tokens live in api_tokens
+   *   - env.MAILHOP_DEV_NO_AUTH → "true" turns auth off (local dev only)
+   *   - env.QUARANTINE       → optional R2 bucket of quarantined mail
+   *   - env.SEND_EMAIL       → optional send_email binding (quarantine release)
+   *   - env.ALIAS_CACHE      → optional KV namespace of the email worker's lookup cache
    */
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -334,7 +2993,8 @@ export default {
     }
 
     // Authentication check for all non-preflight routes.
-    if (!checkAuth(request, env)) {
+    const principal = await authenticate(request, env);
+    if (!principal) {
       return new Response("Unauthorized", {
         status: 401,
         headers: { "content-type": "text/plain" },
@@ -342,11 +3002,77 @@ export default {
     }
 
     try {
+      // Scope check (403) before any route runs.
+      await authorize(env, principal, request, url);
+
+      // --- Domains routes ---
+
+      // GET /domains
+      if (request.method === "GET" && url.pathname === "/domains") {
+        return await listDomains(env);
+      }
+
+      // GET /domains/:domain
+      if (request.method === "GET" && url.pathname.startsWith("/domains/")) {
+        return await getDomain(env, url);
+      }
+
+      // POST /domains
+      if (request.method === "POST" && url.pathname === "/domains") {
+        return await createDomain(env, request);
+      }
+
+      // PATCH /domains/:domain
+      if (request.method === "PATCH" && url.pathname.startsWith("/domains/")) {
+        return await updateDomain(env, request, url);
+      }
+
+      // DELETE /domains/:domain
+      if (request.method === "DELETE" && url.pathname.startsWith("/domains/")) {
+        return await deleteDomain(env, url);
+      }
+
+      // --- Alias sender rules and sender domains (must match before /aliases/:address) ---
+
+      // GET /aliases/:address/senders-seen
+      const seen = url.pathname.match(/^\/aliases\/([^/]+)\/senders-seen$/);
+      if (seen && request.method === "GET") {
+        return await listSendersSeen(env, toEmail(decodeURIComponent(seen[1])));
+      }
+
+      // GET /leaks
+      if (request.method === "GET" && url.pathname === "/leaks") {
+        return await listLeaks(env);
+      }
+
+      const senders = url.pathname.match(/^\/aliases\/([^/]+)\/senders(?:\/(\d+))?$/);
+      if (senders) {
+        const address = toEmail(decodeURIComponent(senders[1]));
+        const ruleId = senders[2];
+
+        // GET /aliases/:address/senders
+        if (request.method === "GET" && !ruleId) {
+          return await listSenderRules(env, address);
+        }
+
+        // POST /aliases/:address/senders
+        if (request.method === "POST" && !ruleId) {
+          return await addSenderRule(env, request, address);
+        }
+
+        // DELETE /aliases/:address/senders/:id
+        if (request.method === "DELETE" && ruleId) {
+          return await deleteSenderRule(env, address, ruleId);
+        }
+
+        return new Response("Not found", { status: 404 });
+      }
+
       // --- Aliases routes ---
 
       // GET /aliases
       if (request.method === "GET" && url.pathname === "/aliases") {
-        return await listAliases(env);
+        return await listAliases(env, url, principal);
       }
 
       // GET /aliases/by-destination?email=...
@@ -354,7 +3080,7 @@ export default {
         request.method === "GET" &&
         url.pathname === "/aliases/by-destination"
       ) {
-        return await listByDestination(env, url);
+        return await listByDestination(env, url, principal);
       }
 
       // GET /aliases/:address
@@ -381,39 +3107,182 @@ export default {
         return await deleteAlias(env, url);
       }
 
+      // --- Quarantine routes ---
+
+      // GET /quarantine
+      if (request.method === "GET" && url.pathname === "/quarantine") {
+        return await listQuarantine(env, url);
+      }
+
+      // POST /quarantine/purge
+      if (request.method === "POST" && url.pathname === "/quarantine/purge") {
+        return await purgeQuarantine(env, request);
+      }
+
+      const quarantined = url.pathname.match(/^\/quarantine\/(\d+)(\/release)?$/);
+      if (quarantined) {
+        const [, id, release] = quarantined;
+
+        // GET /quarantine/:id
+        if (request.method === "GET" && !release) {
+          return await getQuarantined(env, id);
+        }
+
+        // POST /quarantine/:id/release
+        if (request.method === "POST" && release) {
+          return await releaseQuarantined(env, request, id);
+        }
+
+        // DELETE /quarantine/:id
+        if (request.method === "DELETE" && !release) {
+          return await deleteQuarantined(env, id);
+        }
+
+        return new Response("Not found", { status: 404 });
+      }
+
+      // --- Webhooks routes ---
+
+      // GET /webhooks
+      if (request.method === "GET" && url.pathname === "/webhooks") {
+        return await listWebhooks(env);
+      }
+
+      // POST /webhooks
+      if (request.method === "POST" && url.pathname === "/webhooks") {
+        return await createWebhook(env, request);
+      }
+
+      const webhook = url.pathname.match(/^\/webhooks\/(\d+)(\/test)?$/);
+      if (webhook) {
+        const [, id, test] = webhook;
+
+        // GET /webhooks/:id
+        if (request.method === "GET" && !test) {
+          return json(await webhookRow(env, id));
+        }
+
+        // PATCH /webhooks/:id
+        if (request.method === "PATCH" && !test) {
+          return await updateWebhook(env, request, id);
+        }
+
+        // DELETE /webhooks/:id
+        if (request.method === "DELETE" && !test) {
+          return await deleteWebhook(env, id);
+        }
+
+        // POST /webhooks/:id/test
+        if (request.method === "POST" && test) {
+          return await testWebhook(env, id);
+        }
+
+        return new Response("Not found", { status: 404 });
+      }
+
+      // --- API tokens (admin scope only) ---
+
+      // GET /tokens
+      if (request.method === "GET" && url.pathname === "/tokens") {
+        return await listTokens(env);
+      }
+
+      // POST /tokens
+      if (request.method === "POST" && url.pathname === "/tokens") {
+        return await createToken(env, request);
+      }
+
+      // DELETE /tokens/:id
+      const tokenPath = url.pathname.match(/^\/tokens\/(\d+)$/);
+      if (tokenPath && request.method === "DELETE") {
+        return await deleteToken(env, tokenPath[1]);
+      }
+
+      // --- Route dry run ---
+
+      // POST /route/test
+      if (request.method === "POST" && url.pathname === "/route/test") {
+        return await testRoute(env, request);
+      }
+
       // --- Logs route ---
 
-      // GET /logs?limit=N
+      // GET /logs?limit=N&…filters
       if (request.method === "GET" && url.pathname === "/logs") {
         return await listEmailLogs(env, url);
       }
 
+      // GET /stats?period=day&since=30d
+      if (request.method === "GET" && url.pathname === "/stats") {
+        return await getStats(env, url);
+      }
+
       // --- Root route ---
 
       if (url.pathname === "/") {
         return json({
           name: "mailhop API",
           description:
-            "Manage Mailhop email aliases and inspect email routing logs.",
+            "Manage Mailhop domains, email aliases and webhooks, release quarantined mail and inspect email routing logs.",
           auth: {
             type: "Bearer token",
             env_var: "MAILHOP_API_KEY",
-            header_example: "Authorization: Bearer <MAILHOP_API_KEY>",
+            header_example: "Authorization: Bearer <MAILHOP_API_KEY or API token>",
+            scopes: TOKEN_SCOPES,
+            your_scope: principal.scope,
           },
           endpoints: {
-            "GET /aliases":
-              "List all aliases (id, address, forward_to, notes, created_at, allow_plus)",
+            "GET /domains": "List all domains (id, domain, enabled, separator, auth_policy, max_size_bytes, attachment_policy, blocked_attachments, fallback_to, failure_mode, notes, created_at)",
+            "GET /domains/:domain": "Fetch a single domain",
+            "POST /domains": "Register domain {domain, enabled?, separator? (+ - . _ =), auth_policy? (off | tag | reject), max_size_bytes? (e.g. \"10MB\"), attachment_policy? (allow | strip | reject), blocked_attachments? (content types / .ext), fallback_to? (email or array), failure_mode? (reject | defer), notes?}",
+            "PATCH /domains/:domain": "Update fields (enabled, separator, auth_policy, max_size_bytes, attachment_policy, blocked_attachments, fallback_to, failure_mode, notes)",
+            "DELETE /domains/:domain":
+              "Delete domain (refused while it still has aliases)",
+            "GET /aliases?q=&domain=&destination=&allow_plus=&sort=&order=&stale_days=&limit=&cursor=":
+              "List aliases as an array, or one page at a time as {aliases, total, next_cursor} when limit or cursor is given. q searches address and notes; domain, destination and allow_plus (true | false) filter; limit is at most 500 (100 if only a cursor is given); pass next_cursor back as cursor (same sort and order) for the next page. Each alias has (id, address, forward_to, destinations, notes, created_at, allow_plus, expires_at, max_messages, forwarded_count, enabled, disabled_action, reverse_alias, allowed_tags, tag_routes, auth_policy, rate_limit, sender_rate_limit, rate_window, max_size_bytes, attachment_policy, fallback_to, failure_mode, subject_prefix, expected_senders, received_count, rejected_count, last_received_at); sort by address | created_at | last_received_at | received_count | rejected_count; stale_days=N keeps aliases without mail for N days",
             "GET /aliases/:address":
               "Fetch a single alias by its full address",
             "GET /aliases/by-destination?email=…":
-              "Find aliases pointing at a specific forward_to address",
+              "Find aliases delivering to a specific destination address",
             "POST /aliases":
-              "Create alias {address, forward_to, notes?, allow_plus?}",
+              "Create alias {address, forward_to (string or array), notes?, allow_plus?, expires_at? (e.g. \"7d\"), max_messages?, enabled?, disabled_action?, reverse_alias?, allowed_tags?, tag_routes?, auth_policy? (off | tag | reject | inherit), rate_limit?, sender_rate_limit?, rate_window? (e.g. \"1h\"), max_size_bytes? (e.g. \"10MB\", 0 = no limit), attachment_policy? (allow | strip | reject | inherit), fallback_to? (email or array; [] = none), failure_mode? (reject | defer | inherit), subject_prefix? (e.g. \"[{alias}]\"), expected_senders? (sender domains)}",
             "PATCH /aliases/:address":
-              "Update fields (forward_to, notes, allow_plus)",
+              "Update fields (forward_to (string or array), notes, allow_plus, expires_at, max_messages, enabled, disabled_action (\"reject\" | \"drop\"), reverse_alias, allowed_tags, tag_routes, auth_policy (or \"inherit\"), rate_limit, sender_rate_limit, rate_window, max_size_bytes, attachment_policy (or \"inherit\"), fallback_to, failure_mode (or \"inherit\"), subject_prefix, expected_senders)",
             "DELETE /aliases/:address": "Delete alias by address",
-            "GET /logs?limit=50":
-              "Fetch the most recent email_logs entries (for debugging / CLI)",
+            "GET /aliases/:address/senders":
+              "List the alias's sender allow/block rules",
+            "POST /aliases/:address/senders":
+              'Add sender rule {action: "allow"|"block", pattern: "a@b.com" | "@b.com" | "*@*.b.com"}',
+            "DELETE /aliases/:address/senders/:id": "Remove a sender rule",
+            "GET /aliases/:address/senders-seen":
+              "Sender domains that wrote to the alias (first/last seen, count), flagged against expected_senders",
+            "GET /leaks": "Aliases that received mail from domains outside their expected_senders",
+            "GET /quarantine?limit=50": "List quarantined (rejected) messages, newest first (entries past their retention are left out)",
+            "GET /quarantine/:id":
+              "Fetch a quarantined message's details and headers; an entry past its retention is deleted and answered with 410, as is releasing one",
+            "POST /quarantine/:id/release":
+              "Deliver a quarantined message {to? (string or array)}; defaults to its alias's destinations",
+            "DELETE /quarantine/:id": "Delete a quarantined message",
+            "POST /quarantine/purge":
+              "Delete quarantined messages past their retention now {all?: true to delete everything}; the worker's cron trigger does this daily",
+            "GET /webhooks": "List webhook subscriptions (secrets are not shown)",
+            "GET /webhooks/:id": "Fetch a single webhook",
+            "POST /webhooks":
+              'Create webhook {url, secret? (generated if omitted), events? (["forwarded", "rejected", "deferred", "error"]), alias_address?, enabled?, description?}',
+            "PATCH /webhooks/:id":
+              "Update fields (url, secret (true = regenerate), events, alias_address, enabled, description)",
+            "DELETE /webhooks/:id": "Delete a webhook",
+            "POST /webhooks/:id/test": "Send a signed test event and report the response",
+            "GET /tokens": "List API tokens (admin scope; the tokens themselves are never shown again)",
+            "POST /tokens":
+              'Create a token {name, scope? (admin | read | logs | aliases; default read), domain? / destination? (required for "aliases"), expires_at? (e.g. "90d")}; the response holds the token, once',
+            "DELETE /tokens/:id": "Revoke a token",
+            "POST /route/test":
+              "Dry-run routing {to, from?}: route, alias, destinations / fallbacks, or the reject reply and reason the email worker would use (rate limits, SPF/DMARC, size and attachments are not evaluated)",
+            "GET /logs?since=&until=&result=&route=&to=&from=&message_id=&limit=50&cursor=&since_id=":
+              'Fetch email_logs entries, newest first, as an array; pass cursor (empty for the first page) to get {logs, next_cursor} pages instead. since / until take unix seconds, an ISO date or a duration ago ("1h"); result and route take comma-separated lists; to matches the alias including base+tag / pattern matches; from takes an address or "@domain"; pass next_cursor back as cursor for older entries. since_id=N returns only entries with a higher id, oldest first, for polling (mailhop logs --follow)',
+            "GET /stats?period=day&since=30d&until=&top=10":
+              'Messages per day | week | month (UTC; since / until like /logs, default the last 30d / 12w / 365d), each counted once under its best result however many destinations, fallbacks or retries it took: totals and series split into forwarded / rejected / error, counts per result and route, top aliases, senders and rejected recipients (those two only for the last 90 days, from addresses_since). Counted from a daily rollup of email_logs, so it covers more than the 10,000 kept log rows',
           },
         });
       }
@@ -430,4 +3299,19 @@ export default {
       return json({ error: message }, { status });
     }
   },
+
+  /**
+   * Cron trigger (see wrangler.example.jsonc): deletes quarantined mail
+   * past its retention, so QUARANTINE_RETENTION_DAYS holds without anyone
+   * running `mailhop quarantine purge`. Nothing to do without the bucket.
+   */
+  async scheduled(controller, env, ctx) {
+    if (!env.QUARANTINE) return;
+
+    ctx.waitUntil(
+      purgeQuarantineRows(env).catch((err) => {
+        console.error(`mailhop: could not purge expired quarantine entries: ${err}`);
+      })
+    );
+  },
 };
\ No newline at end of file
@@ -1,20 +1,763 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
+import { env, SELF, createExecutionContext, createScheduledController, waitOnExecutionContext } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
+/** Put a quarantined message in R2 and D1; `expiresIn` seconds from now (negative = expired). */
+async function quarantine(key, expiresIn) {
+	const now = Math.floor(Date.now() / 1000);
+	await env.QUARANTINE.put(key, 'Subject: Spring sale\r\n\r\nEverything is 20% off.\r\n');
+	const { meta } = await env.DB.prepare(
+		"INSERT INTO quarantine (object_key, from_addr, to_addr, reason, created_at, expires_at) VALUES (?, 'news@shop.example', 'nobody@example.com', 'rejected', ?, ?)",
+	)
+		.bind(key, now, now + expiresIn)
+		.run();
+	return meta.last_row_id;
+}
+
+/** Call the API as the admin (or with `token`) and return { status, body }. */
+async function api(method, path, body, token = 'test-admin-key') {
+	const response = await SELF.fetch(`http://mailhop.test${path}`, {
+		method,
+		headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+	const text = await response.text();
+	let parsed;
+	try {
+		parsed = JSON.parse(text);
+	} catch {
+		parsed = text;
+	}
+	return { status: response.status, body: parsed };
+}
+
+/** A SEND_EMAIL stand-in recording { from, to, raw }; refuses addresses in `refuse`. */
+function sendEmailStub(refuse = []) {
+	const sent = [];
+	return {
+		sent,
+		async send(message) {
+			if (refuse.includes(message.to)) throw new Error(`destination address not verified: ${message.to}`);
+			const raw = await new Response(message['EmailMessage::raw']).text();
+			sent.push({ from: message.from, to: message.to, raw });
+		},
+	};
+}
+
+/** POST /quarantine/:id/release straight to the worker, with `sendEmail` bound as SEND_EMAIL. */
+async function release(id, sendEmail, body) {
+	const request = new Request(`http://mailhop.test/quarantine/${id}/release`, {
+		method: 'POST',
+		headers: { authorization: 'Bearer test-admin-key', 'content-type': 'application/json' },
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, { ...env, SEND_EMAIL: sendEmail }, ctx);
+	await waitOnExecutionContext(ctx);
+	return { status: response.status, body: await response.json() };
+}
+
+describe('Mailhop API worker', () => {
+	it('refuses requests without a valid key', async () => {
+		expect((await api('GET', '/domains', undefined, 'wrong')).status).toBe(401);
+	});
+
+	it('creates a domain and an alias, and lists them', async () => {
+		expect((await api('POST', '/domains', { domain: 'example.com' })).status).toBe(200);
+		const created = await api('POST', '/aliases', { address: 'Hello@Example.com', forward_to: 'me@inbox.example.net' });
+		expect(created.status).toBe(200);
+		expect(created.body.alias.address).toBe('hello@example.com');
+
+		const { body } = await api('GET', '/aliases');
+		expect(body.map((a) => [a.address, a.destinations])).toEqual([['hello@example.com', ['me@inbox.example.net']]]);
+		expect((await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'x@y.net' })).status).toBe(409);
+	});
+
+	it('only creates aliases on known domains, and keeps a domain while it has aliases', async () => {
+		const unknown = await api('POST', '/aliases', { address: 'hello@example.org', forward_to: 'me@inbox.example.net' });
+		expect(unknown.status).toBe(400);
+		expect(unknown.body.error).toBe('Unknown domain: example.org (add it via POST /domains first)');
+
+		await api('POST', '/domains', { domain: 'example.org' });
+		await api('POST', '/aliases', { address: 'hello@example.org', forward_to: 'me@inbox.example.net' });
+		expect((await api('DELETE', '/domains/example.org')).status).toBe(409);
+
+		await api('DELETE', '/aliases/hello@example.org');
+		expect((await api('DELETE', '/domains/example.org')).body).toEqual({ success: true, deleted: 'example.org' });
+	});
+
+	it('keeps an ordered list of destinations per alias', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		const created = await api('POST', '/aliases', {
+			address: 'family@example.com',
+			forward_to: ['Me@inbox.example.net', 'you@inbox.example.net'],
+		});
+		expect(created.body.alias).toMatchObject({
+			forward_to: 'me@inbox.example.net',
+			destinations: ['me@inbox.example.net', 'you@inbox.example.net'],
+		});
+
+		const byDestination = await api('GET', '/aliases/by-destination?email=you@inbox.example.net');
+		expect(byDestination.body.map((a) => a.address)).toEqual(['family@example.com']);
+
+		await api('PATCH', '/aliases/family@example.com', { forward_to: ['you@inbox.example.net', 'them@inbox.example.net'] });
+		const { body } = await api('GET', '/aliases/family@example.com');
+		expect(body).toMatchObject({ forward_to: 'you@inbox.example.net', destinations: ['you@inbox.example.net', 'them@inbox.example.net'] });
+		expect((await api('POST', '/aliases', { address: 'bad@example.com', forward_to: ['me@inbox.example.net', 'nope'] })).status).toBe(400);
+	});
+
+	it('accepts pattern and catch-all aliases', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		expect((await api('POST', '/aliases', { address: 'shop-*@example.com', forward_to: 'shops@inbox.example.net' })).status).toBe(200);
+		expect((await api('POST', '/aliases', { address: '*@example.com', forward_to: 'rest@inbox.example.net' })).status).toBe(200);
+
+		expect((await api('POST', '/route/test', { to: 'shop-amazon@example.com' })).body).toMatchObject({
+			route: 'pattern',
+			alias: 'shop-*@example.com',
+			destinations: ['shops@inbox.example.net'],
+		});
+		expect((await api('POST', '/route/test', { to: 'anything@example.com' })).body).toMatchObject({
+			route: 'catch-all',
+			alias: '*@example.com',
+		});
+	});
+
+	it('creates burner aliases with an expiry and a message cap', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		const before = Math.floor(Date.now() / 1000);
+		const { body } = await api('POST', '/aliases', {
+			address: 'burner@example.com',
+			forward_to: 'me@inbox.example.net',
+			expires_at: '7d',
+			max_messages: 3,
+		});
+		expect(body.alias.expires_at - before).toBeGreaterThanOrEqual(7 * 86400);
+		expect(body.alias.expires_at - before).toBeLessThan(7 * 86400 + 60);
+		expect(body.alias.max_messages).toBe(3);
+
+		await api('PATCH', '/aliases/burner@example.com', { expires_at: null, max_messages: 0 });
+		expect((await api('GET', '/aliases/burner@example.com')).body).toMatchObject({ expires_at: null, max_messages: null });
+
+		const bad = await api('PATCH', '/aliases/burner@example.com', { expires_at: 'soon' });
+		expect(bad.status).toBe(400);
+		expect((await api('PATCH', '/aliases/burner@example.com', { max_messages: -1 })).status).toBe(400);
+	});
+
+	it('manages sender rules and applies them in the route dry run', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net' });
+
+		const added = await api('POST', '/aliases/hello@example.com/senders', { action: 'block', pattern: '@Spam.example' });
+		expect(added.body.rule).toMatchObject({ action: 'block', pattern: '@spam.example' });
+		expect((await api('POST', '/aliases/hello@example.com/senders', { action: 'block', pattern: '@spam.example' })).status).toBe(409);
+		expect((await api('POST', '/aliases/hello@example.com/senders', { action: 'block', pattern: 'spam' })).status).toBe(400);
+		expect((await api('POST', '/aliases/hello@example.com/senders', { action: 'mute', pattern: '@spam.example' })).status).toBe(400);
+
+		const blocked = await api('POST', '/route/test', { to: 'hello@example.com', from: 'x@spam.example' });
+		expect(blocked.body).toMatchObject({ action: 'reject', reply: '550 5.7.1 Sender not allowed' });
+		expect((await api('POST', '/route/test', { to: 'hello@example.com', from: 'x@ok.example' })).body.action).toBe('forward');
+
+		expect((await api('DELETE', `/aliases/hello@example.com/senders/${added.body.rule.id}`)).status).toBe(200);
+		expect((await api('GET', '/aliases/hello@example.com/senders')).body).toEqual([]);
+	});
+
+	it('disables an alias without deleting it', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net' });
+
+		const patched = await api('PATCH', '/aliases/hello@example.com', { enabled: false, disabled_action: 'drop' });
+		expect(patched.status).toBe(200);
+		expect((await api('GET', '/aliases/hello@example.com')).body).toMatchObject({ enabled: 0, disabled_action: 'drop' });
+		expect((await api('POST', '/route/test', { to: 'hello@example.com' })).body).toMatchObject({ action: 'drop' });
+		expect((await api('PATCH', '/aliases/hello@example.com', { disabled_action: 'bounce' })).status).toBe(400);
+
+		await api('PATCH', '/aliases/hello@example.com', { enabled: true });
+		expect((await api('POST', '/route/test', { to: 'hello@example.com' })).body.action).toBe('forward');
+	});
+
+	it('validates separators, allowed tags and tag routes', async () => {
+		await api('POST', '/domains', { domain: 'example.com', separator: '-' });
+		expect((await api('PATCH', '/domains/example.com', { separator: '#' })).status).toBe(400);
+		await api('POST', '/aliases', {
+			address: 'hello@example.com',
+			forward_to: 'me@inbox.example.net',
+			allowed_tags: ['Work'],
+			tag_routes: { work: 'work@inbox.example.net' },
+		});
+
+		expect((await api('POST', '/route/test', { to: 'hello-work@example.com' })).body).toMatchObject({
+			route: 'base+tag',
+			tag: 'work',
+			destinations: ['work@inbox.example.net'],
+		});
+		expect((await api('POST', '/route/test', { to: 'hello-spam@example.com' })).body.action).toBe('reject');
+		expect((await api('PATCH', '/aliases/hello@example.com', { tag_routes: { work: 'not-an-address' } })).status).toBe(400);
+	});
+
+	it('validates auth policies, letting an alias inherit its domain policy', async () => {
+		expect((await api('POST', '/domains', { domain: 'example.com', auth_policy: 'quarantine' })).status).toBe(400);
+		await api('POST', '/domains', { domain: 'example.com', auth_policy: 'Reject' });
+		expect((await api('GET', '/domains/example.com')).body.auth_policy).toBe('reject');
+		expect((await api('PATCH', '/domains/example.com', { auth_policy: null })).status).toBe(400);
+
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net', auth_policy: 'tag' });
+		expect((await api('GET', '/aliases/hello@example.com')).body.auth_policy).toBe('tag');
+		expect((await api('PATCH', '/aliases/hello@example.com', { auth_policy: 'bounce' })).status).toBe(400);
+		await api('PATCH', '/aliases/hello@example.com', { auth_policy: 'inherit' });
+		expect((await api('GET', '/aliases/hello@example.com')).body.auth_policy).toBeNull();
+	});
+
+	it('sets rate limits and their window on an alias', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net' });
+
+		const patched = await api('PATCH', '/aliases/hello@example.com', { rate_limit: 100, sender_rate_limit: 5, rate_window: '1d' });
+		expect(patched.status).toBe(200);
+		expect((await api('GET', '/aliases/hello@example.com')).body).toMatchObject({
+			rate_limit: 100,
+			sender_rate_limit: 5,
+			rate_window: 86400,
+		});
+
+		expect((await api('PATCH', '/aliases/hello@example.com', { rate_limit: 1.5 })).status).toBe(400);
+		expect((await api('PATCH', '/aliases/hello@example.com', { rate_window: '30s' })).status).toBe(400);
+
+		await api('PATCH', '/aliases/hello@example.com', { rate_limit: 0, rate_window: null });
+		expect((await api('GET', '/aliases/hello@example.com')).body).toMatchObject({ rate_limit: null, rate_window: 3600 });
+	});
+
+	it('parses size limits and validates attachment policies', async () => {
+		await api('POST', '/domains', {
+			domain: 'example.com',
+			max_size_bytes: '10MB',
+			attachment_policy: 'strip',
+			blocked_attachments: '.EXE, application/x-ms*',
+		});
+		expect((await api('GET', '/domains/example.com')).body).toMatchObject({
+			max_size_bytes: 10 * 1024 * 1024,
+			attachment_policy: 'strip',
+			blocked_attachments: ['.exe', 'application/x-ms*'],
+		});
+		expect((await api('PATCH', '/domains/example.com', { max_size_bytes: '10 furlongs' })).status).toBe(400);
+		expect((await api('PATCH', '/domains/example.com', { blocked_attachments: ['exe'] })).status).toBe(400);
+
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net', max_size_bytes: '512KB' });
+		expect((await api('GET', '/aliases/hello@example.com')).body).toMatchObject({ max_size_bytes: 524288, attachment_policy: null });
+		expect((await api('PATCH', '/aliases/hello@example.com', { attachment_policy: 'quarantine' })).status).toBe(400);
+		await api('PATCH', '/aliases/hello@example.com', { attachment_policy: 'reject' });
+		expect((await api('GET', '/aliases/hello@example.com')).body.attachment_policy).toBe('reject');
+	});
+
+	it("plans fallbacks and the failure mode, an alias's own before its domain's", async () => {
+		await api('POST', '/domains', { domain: 'example.com', fallback_to: 'backup@inbox.example.net', failure_mode: 'defer' });
+		expect((await api('PATCH', '/domains/example.com', { failure_mode: 'retry' })).status).toBe(400);
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net' });
+
+		expect((await api('POST', '/route/test', { to: 'hello@example.com' })).body).toMatchObject({
+			destinations: ['me@inbox.example.net'],
+			fallbacks: ['backup@inbox.example.net'],
+			failure_mode: 'defer',
+		});
+
+		await api('PATCH', '/aliases/hello@example.com', { fallback_to: 'none', failure_mode: 'reject' });
+		expect((await api('GET', '/aliases/hello@example.com')).body.fallback_to).toEqual([]);
+		expect((await api('POST', '/route/test', { to: 'hello@example.com' })).body).toMatchObject({ fallbacks: [], failure_mode: 'reject' });
+		expect((await api('PATCH', '/aliases/hello@example.com', { fallback_to: ['not-an-address'] })).status).toBe(400);
+
+		await api('PATCH', '/aliases/hello@example.com', { fallback_to: null, failure_mode: 'inherit' });
+		expect((await api('POST', '/route/test', { to: 'hello@example.com' })).body).toMatchObject({
+			fallbacks: ['backup@inbox.example.net'],
+			failure_mode: 'defer',
+		});
+	});
+
+	it('sets and clears a subject prefix template on an alias', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net', subject_prefix: ' [{alias}] ' });
+		expect((await api('GET', '/aliases/hello@example.com')).body.subject_prefix).toBe('[{alias}]');
+
+		expect((await api('PATCH', '/aliases/hello@example.com', { subject_prefix: '[a]\r\nBcc: x@evil.example' })).status).toBe(400);
+		expect((await api('PATCH', '/aliases/hello@example.com', { subject_prefix: 'x'.repeat(500) })).status).toBe(400);
+
+		await api('PATCH', '/aliases/hello@example.com', { subject_prefix: '' });
+		expect((await api('GET', '/aliases/hello@example.com')).body.subject_prefix).toBeNull();
+	});
+
+	it('lists the sender domains seen per alias and the aliases leaking to unexpected ones', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', {
+			address: 'shop@example.com',
+			forward_to: 'me@inbox.example.net',
+			expected_senders: '@Shop.example, *.shop.example',
+		});
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net' });
+		expect((await api('GET', '/aliases/shop@example.com')).body.expected_senders).toEqual(['shop.example']);
+		expect((await api('PATCH', '/aliases/hello@example.com', { expected_senders: ['localhost'] })).status).toBe(400);
+
+		await env.DB.prepare(
+			`INSERT INTO alias_sender_domains (alias_id, domain, first_seen_at, last_seen_at, message_count)
+			 SELECT id, 'mail.shop.example', 100, 200, 3 FROM aliases WHERE address = 'shop@example.com'
+			 UNION ALL SELECT id, 'tracker.example', 150, 300, 2 FROM aliases WHERE address = 'shop@example.com'
+			 UNION ALL SELECT id, 'tracker.example', 150, 300, 1 FROM aliases WHERE address = 'hello@example.com'`,
+		).run();
+
+		const seen = await api('GET', '/aliases/shop@example.com/senders-seen');
+		expect(seen.body).toMatchObject({
+			address: 'shop@example.com',
+			expected_senders: ['shop.example'],
+			senders: [
+				{ domain: 'mail.shop.example', message_count: 3, expected: true },
+				{ domain: 'tracker.example', message_count: 2, expected: false },
+			],
+		});
+		expect((await api('GET', '/aliases/hello@example.com/senders-seen')).body.senders).toMatchObject([
+			{ domain: 'tracker.example', expected: null },
+		]);
+		expect((await api('GET', '/aliases/nobody@example.com/senders-seen')).status).toBe(404);
+
+		expect((await api('GET', '/leaks')).body).toEqual([
+			{
+				address: 'shop@example.com',
+				expected_senders: ['shop.example'],
+				unexpected: [{ domain: 'tracker.example', first_seen_at: 150, last_seen_at: 300, message_count: 2 }],
+			},
+		]);
+	});
+
+	it("bumps the email worker's cache version whenever routing data changes", async () => {
+		const versions = [];
+		const bumped = async () => {
+			versions.push(await env.ALIAS_CACHE.get('version'));
+			return new Set(versions).size === versions.length;
+		};
+
+		await api('POST', '/domains', { domain: 'example.com' });
+		expect(await bumped()).toBe(true);
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net' });
+		expect(await bumped()).toBe(true);
+		await api('PATCH', '/aliases/hello@example.com', { forward_to: 'new@inbox.example.net' });
+		expect(await bumped()).toBe(true);
+		await api('POST', '/aliases/hello@example.com/senders', { action: 'block', pattern: '@shop.example' });
+		expect(await bumped()).toBe(true);
+		await api('DELETE', '/aliases/hello@example.com');
+		expect(await bumped()).toBe(true);
+
+		await api('GET', '/aliases');
+		expect(await bumped()).toBe(false);
+		expect(versions[0]).not.toBeNull();
+	});
+
+	it('pages through aliases when a limit is given', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		for (const local of ['a', 'b', 'c']) {
+			await api('POST', '/aliases', { address: `${local}@example.com`, forward_to: 'me@inbox.example.net' });
+		}
+
+		const first = await api('GET', '/aliases?limit=2');
+		expect(first.body.aliases.map((a) => a.address)).toEqual(['a@example.com', 'b@example.com']);
+		expect(first.body.total).toBe(3);
+
+		const second = await api('GET', `/aliases?limit=2&cursor=${encodeURIComponent(first.body.next_cursor)}`);
+		expect(second.body.aliases.map((a) => a.address)).toEqual(['c@example.com']);
+		expect(second.body.next_cursor).toBeNull();
+	});
+
+	it('sorts aliases by their usage counters and lists stale ones', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		for (const local of ['busy', 'quiet', 'unused']) {
+			await api('POST', '/aliases', { address: `${local}@example.com`, forward_to: 'me@inbox.example.net' });
+		}
+		const now = Math.floor(Date.now() / 1000);
+		await env.DB.batch([
+			env.DB.prepare("UPDATE aliases SET created_at = ? WHERE address <> 'unused@example.com'").bind(now - 400 * 86400),
+			env.DB.prepare(
+				"UPDATE aliases SET received_count = 40, rejected_count = 2, last_received_at = ? WHERE address = 'busy@example.com'",
+			).bind(now - 3600),
+			env.DB.prepare(
+				"UPDATE aliases SET received_count = 3, rejected_count = 3, last_received_at = ? WHERE address = 'quiet@example.com'",
+			).bind(now - 200 * 86400),
+		]);
+
+		const addresses = async (query) => (await api('GET', `/aliases?${query}`)).body.map((a) => a.address);
+		expect(await addresses('sort=received_count')).toEqual(['busy@example.com', 'quiet@example.com', 'unused@example.com']);
+		expect(await addresses('sort=rejected_count&order=asc')).toEqual(['unused@example.com', 'busy@example.com', 'quiet@example.com']);
+		expect(await addresses('sort=last_received_at')).toEqual(['busy@example.com', 'quiet@example.com', 'unused@example.com']);
+		expect(await addresses('stale_days=90')).toEqual(['quiet@example.com']);
+		expect((await api('GET', '/aliases?sort=forwarded')).status).toBe(400);
+		expect((await api('GET', '/aliases?stale_days=soon')).status).toBe(400);
+	});
+
+	it('searches and filters aliases by address, notes, domain, destination and plus addressing', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/domains', { domain: 'example.org' });
+		await api('POST', '/aliases', { address: 'shop@example.com', forward_to: 'me@inbox.example.net', notes: 'Online shop' });
+		await api('POST', '/aliases', {
+			address: 'bank@example.com',
+			forward_to: 'you@inbox.example.net',
+			notes: '100% safe',
+			allow_plus: false,
+		});
+		await api('POST', '/aliases', { address: 'news@example.org', forward_to: ['me@inbox.example.net', 'you@inbox.example.net'] });
+
+		const addresses = async (query) => (await api('GET', `/aliases?${query}`)).body.map((a) => a.address);
+		expect(await addresses('q=SHOP')).toEqual(['shop@example.com']);
+		expect(await addresses('q=100%25')).toEqual(['bank@example.com']);
+		expect(await addresses('q=_')).toEqual([]);
+		expect(await addresses('domain=example.org')).toEqual(['news@example.org']);
+		expect(await addresses('destination=you@inbox.example.net')).toEqual(['bank@example.com', 'news@example.org']);
+		expect(await addresses('allow_plus=false')).toEqual(['bank@example.com']);
+		expect(await addresses('domain=example.com&destination=me@inbox.example.net')).toEqual(['shop@example.com']);
+		expect((await api('GET', '/aliases?allow_plus=maybe')).status).toBe(400);
+	});
+
+	it('keeps its sort order across pages, ties broken by address', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		for (const local of ['a', 'b', 'c', 'd']) {
+			await api('POST', '/aliases', { address: `${local}@example.com`, forward_to: 'me@inbox.example.net' });
+		}
+		await env.DB.batch([
+			env.DB.prepare("UPDATE aliases SET created_at = 100 WHERE address IN ('a@example.com', 'c@example.com')"),
+			env.DB.prepare("UPDATE aliases SET created_at = 200 WHERE address IN ('b@example.com', 'd@example.com')"),
+		]);
+
+		const pages = [];
+		let cursor = '';
+		do {
+			const { body } = await api('GET', `/aliases?sort=created_at&limit=3&cursor=${encodeURIComponent(cursor)}`);
+			expect(body.total).toBe(4);
+			pages.push(body.aliases.map((a) => a.address));
+			cursor = body.next_cursor;
+		} while (cursor);
+		expect(pages).toEqual([['b@example.com', 'd@example.com', 'a@example.com'], ['c@example.com']]);
+
+		const first = await api('GET', '/aliases?sort=created_at&limit=1');
+		const mismatched = await api('GET', `/aliases?limit=1&cursor=${encodeURIComponent(first.body.next_cursor)}`);
+		expect(mismatched.status).toBe(400);
+	});
+
+	it('dry-runs routing with the email worker resolver', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net' });
+
+		const tagged = await api('POST', '/route/test', { to: 'hello+shop@example.com' });
+		expect(tagged.body).toMatchObject({
+			route: 'base+tag',
+			alias: 'hello@example.com',
+			tag: 'shop',
+			action: 'forward',
+			destinations: ['me@inbox.example.net'],
+		});
+
+		const unknown = await api('POST', '/route/test', { to: 'nobody@example.com' });
+		expect(unknown.body).toMatchObject({ route: 'none', action: 'reject' });
+	});
+
+	it('dry-runs domain checks, plus addressing, loops and reply addresses', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/domains', { domain: 'example.org', enabled: false });
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: 'me@inbox.example.net', allow_plus: false });
+		await api('POST', '/aliases', { address: 'loop@example.com', forward_to: 'hello@example.com' });
+		await env.DB.prepare(
+			`INSERT INTO reverse_aliases (reply_address, alias_id, alias_address, contact)
+			 SELECT 'reply-1@example.com', id, address, 'news@shop.example' FROM aliases WHERE address = 'hello@example.com'`,
+		).run();
+		const route = async (to, from) => (await api('POST', '/route/test', { to, from })).body;
+
+		expect(await route('hello@example.org')).toMatchObject({
+			route: 'invalid-domain',
+			action: 'reject',
+			reply: '550 Invalid recipient for this domain',
+		});
+		expect(await route('hello+shop@example.com')).toMatchObject({ action: 'reject', reply: '550 No such user at example.com' });
+		expect(await route('loop@example.com')).toMatchObject({ action: 'reject', reply: '550 Routing loop detected' });
+
+		expect(await route('reply-1@example.com', 'me@inbox.example.net')).toMatchObject({
+			route: 'reverse',
+			alias: 'hello@example.com',
+			action: 'reply',
+			destinations: ['news@shop.example'],
+		});
+		expect(await route('reply-1@example.com', 'someone@elsewhere.example')).toMatchObject({
+			action: 'reject',
+			reply: '550 5.7.1 Not allowed to use this reply address',
+		});
+		expect((await api('POST', '/route/test', { from: 'me@inbox.example.net' })).status).toBe(400);
+	});
+
+	it('lists logs as an array, or as pages when a cursor is given', async () => {
+		const insert = env.DB.prepare("INSERT INTO email_logs (ts, to_addr, route, result) VALUES (?, ?, 'exact', 'forwarded')");
+		await env.DB.batch(['a', 'b', 'c'].map((local, i) => insert.bind(1000 + i, `${local}@example.com`)));
+
+		const all = await api('GET', '/logs');
+		expect(all.body.map((l) => l.to_addr)).toEqual(['c@example.com', 'b@example.com', 'a@example.com']);
+		expect((await api('GET', '/logs?limit=2')).body).toHaveLength(2);
+
+		const first = await api('GET', '/logs?limit=2&cursor=');
+		expect(first.body.logs.map((l) => l.to_addr)).toEqual(['c@example.com', 'b@example.com']);
+		const second = await api('GET', `/logs?limit=2&cursor=${encodeURIComponent(first.body.next_cursor)}`);
+		expect(second.body.logs.map((l) => l.to_addr)).toEqual(['a@example.com']);
+		expect(second.body.next_cursor).toBeNull();
+	});
+
+	it('filters logs by time, result, route, alias, sender and message id', async () => {
+		const now = Math.floor(Date.now() / 1000);
+		const insert = env.DB.prepare(
+			'INSERT INTO email_logs (ts, message_id, from_addr, to_addr, route, base_addr, result) VALUES (?, ?, ?, ?, ?, ?, ?)',
+		);
+		await env.DB.batch([
+			insert.bind(now - 7200, '<old@shop.example>', 'news@shop.example', 'hello@example.com', 'exact', null, 'forwarded'),
+			insert.bind(
+				now - 60,
+				'<tag@shop.example>',
+				'Orders@Shop.example',
+				'hello+shop@example.com',
+				'base+tag',
+				'hello@example.com',
+				'forwarded',
+			),
+			insert.bind(now - 30, '<spam@bad.example>', 'spam@bad.example', 'nobody@example.com', 'none', null, 'rejected'),
+			insert.bind(now - 10, '<late@bad.example>', 'late@bad.example', 'hello@example.com', 'exact', null, 'rate-limited'),
+		]);
+		const ids = async (query) => (await api('GET', `/logs?${query}`)).body.map((l) => l.message_id);
+
+		expect(await ids('since=1h')).toEqual(['<late@bad.example>', '<spam@bad.example>', '<tag@shop.example>']);
+		expect(await ids(`until=${now - 3600}`)).toEqual(['<old@shop.example>']);
+		expect(await ids('result=rejected,rate-limited')).toEqual(['<late@bad.example>', '<spam@bad.example>']);
+		expect(await ids('route=base%2Btag')).toEqual(['<tag@shop.example>']);
+		expect(await ids('to=Hello@example.com')).toEqual(['<late@bad.example>', '<tag@shop.example>', '<old@shop.example>']);
+		expect(await ids('from=@shop.example')).toEqual(['<tag@shop.example>', '<old@shop.example>']);
+		expect(await ids('from=orders@shop.example')).toEqual(['<tag@shop.example>']);
+		expect(await ids('message_id=spam@bad.example')).toEqual(['<spam@bad.example>']);
+		expect(await ids('to=hello@example.com&result=forwarded&since=1h')).toEqual(['<tag@shop.example>']);
+		expect((await api('GET', '/logs?since=yesterday-ish')).status).toBe(400);
+	});
+
+	it('rejects a logs limit that is not a positive integer, and caps it', async () => {
+		for (const limit of ['abc', '0', '-5', '2.5']) {
+			const { status, body } = await api('GET', `/logs?limit=${limit}`);
+			expect(status).toBe(400);
+			expect(body.error).toBe('limit must be a positive integer');
+		}
+		expect((await api('GET', '/logs?limit=100000')).status).toBe(200);
+	});
+
+	it('follows logs with since_id, oldest first', async () => {
+		const insert = env.DB.prepare("INSERT INTO email_logs (ts, to_addr, route, result) VALUES (?, ?, 'exact', 'forwarded')");
+		await env.DB.batch(['a', 'b', 'c'].map((local, i) => insert.bind(1000 + i, `${local}@example.com`)));
+
+		const [newest] = (await api('GET', '/logs?limit=1')).body;
+		expect((await api('GET', `/logs?since_id=${newest.id}`)).body).toEqual([]);
+
+		await insert.bind(2000, 'd@example.com').run();
+		await insert.bind(2001, 'e@example.com').run();
+		const polled = await api('GET', `/logs?since_id=${newest.id}`);
+		expect(polled.body.map((l) => l.to_addr)).toEqual(['d@example.com', 'e@example.com']);
+
+		const all = await api('GET', '/logs?since_id=0&limit=2');
+		expect(all.body.map((l) => l.to_addr)).toEqual(['a@example.com', 'b@example.com']);
+		expect((await api('GET', '/logs?since_id=latest')).status).toBe(400);
+		expect((await api('GET', '/logs?since_id=1&cursor=')).status).toBe(400);
+	});
+
+	it('counts each message once in the stats, under its best result', async () => {
+		const now = Math.floor(Date.now() / 1000);
+		const insert = env.DB.prepare(
+			"INSERT INTO email_logs (ts, message_id, from_addr, to_addr, route, result) VALUES (?, ?, 'news@shop.example', ?, 'exact', ?)",
+		);
+		await env.DB.batch([
+			// fanned out to two destinations
+			insert.bind(now, '<fan@shop.example>', 'hello@example.com', 'forwarded'),
+			insert.bind(now, '<fan@shop.example>', 'hello@example.com', 'forwarded'),
+			// accepted by a fallback
+			insert.bind(now, '<fallback@shop.example>', 'hello@example.com', 'error'),
+			insert.bind(now, '<fallback@shop.example>', 'hello@example.com', 'forwarded'),
+			// deferred, then delivered on the sender's retry
+			insert.bind(now, '<retry@shop.example>', 'other@example.com', 'error'),
+			insert.bind(now, '<retry@shop.example>', 'other@example.com', 'deferred'),
+			insert.bind(now, '<retry@shop.example>', 'other@example.com', 'forwarded'),
+			// still deferred
+			insert.bind(now, '<stuck@shop.example>', 'other@example.com', 'deferred'),
+		]);
+
+		const { body } = await api('GET', '/stats');
+		expect(body.totals).toEqual({ total: 4, forwarded: 3, rejected: 1, error: 0 });
+		expect(body.results).toEqual({ forwarded: 3, deferred: 1 });
+		expect(body.top_aliases.map((a) => [a.alias, a.total])).toEqual([
+			['hello@example.com', 2],
+			['other@example.com', 2],
+		]);
+	});
+
+	it('keeps sender and recipient stats for 90 days only', async () => {
+		const now = Math.floor(Date.now() / 1000);
+		const insert = env.DB.prepare(
+			"INSERT INTO email_logs (ts, from_addr, to_addr, route, result) VALUES (?, ?, 'hello@example.com', 'exact', 'forwarded')",
+		);
+		await insert.bind(now - 120 * 86400, 'old@shop.example').run();
+		await insert.bind(now, 'new@shop.example').run();
+
+		const { results } = await env.DB.prepare(
+			"SELECT dimension, name FROM email_stats_daily WHERE dimension IN ('alias', 'sender') ORDER BY dimension, day",
+		).all();
+		expect(results).toEqual([
+			{ dimension: 'alias', name: 'hello@example.com' },
+			{ dimension: 'alias', name: 'hello@example.com' },
+			{ dimension: 'sender', name: 'new@shop.example' },
+		]);
+
+		const { body } = await api('GET', '/stats?period=month');
+		expect(body.totals.total).toBe(2);
+		expect(body.top_aliases).toMatchObject([{ alias: 'hello@example.com', total: 2 }]);
+		expect(body.top_senders.map((s) => s.sender)).toEqual(['new@shop.example']);
+		expect(body.addresses_since > body.since).toBe(true);
+	});
+
+	it('keeps a destination-scoped token off aliases whose fallback or tag route goes elsewhere', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', { address: 'mine@example.com', forward_to: 'me@inbox.example.net' });
+		await api('POST', '/aliases', {
+			address: 'fallback@example.com',
+			forward_to: 'me@inbox.example.net',
+			fallback_to: 'backup@elsewhere.example',
+		});
+		await api('POST', '/aliases', {
+			address: 'tagged@example.com',
+			forward_to: 'me@inbox.example.net',
+			tag_routes: { work: ['me@inbox.example.net', 'boss@elsewhere.example'] },
+		});
+		const { body } = await api('POST', '/tokens', { name: 'mine', scope: 'aliases', destination: 'me@inbox.example.net' });
+		const token = body.token.token;
+
+		expect((await api('GET', '/aliases', undefined, token)).body.map((a) => a.address)).toEqual(['mine@example.com']);
+		expect((await api('PATCH', '/aliases/mine@example.com', { notes: 'ok' }, token)).status).toBe(200);
+		for (const address of ['fallback@example.com', 'tagged@example.com']) {
+			expect((await api('PATCH', `/aliases/${address}`, { notes: 'mine now' }, token)).status).toBe(403);
+			expect((await api('DELETE', `/aliases/${address}`, undefined, token)).status).toBe(403);
+		}
+	});
+
+	it('subscribes webhooks to known events only', async () => {
+		const created = await api('POST', '/webhooks', { url: 'https://hooks.example.net/mail', events: ['deferred', 'error'] });
+		expect(created.status).toBe(200);
+		expect(created.body.webhook.events).toEqual(['deferred', 'error']);
+
+		const unknown = await api('POST', '/webhooks', { url: 'https://hooks.example.net/mail', events: ['bounced'] });
+		expect(unknown.status).toBe(400);
+		expect(unknown.body.error).toBe('events must be one or more of: forwarded, rejected, deferred, error');
+	});
+
+	it('deletes quarantined mail past its retention instead of showing or releasing it', async () => {
+		const kept = await quarantine('quarantine/kept', 3600);
+		const expired = await quarantine('quarantine/expired', -60);
+
+		expect((await api('GET', '/quarantine')).body.map((q) => q.id)).toEqual([kept]);
+		expect((await api('GET', `/quarantine/${kept}`)).body.headers).toBe('Subject: Spring sale');
+
+		const gone = await api('GET', `/quarantine/${expired}`);
+		expect(gone.status).toBe(410);
+		expect(await env.QUARANTINE.head('quarantine/expired')).toBeNull();
+		expect((await api('GET', `/quarantine/${expired}`)).status).toBe(404);
+	});
+
+	it("releases quarantined mail to its alias's destinations, rewriting the sender", async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/aliases', { address: 'hello@example.com', forward_to: ['me@inbox.example.net', 'you@inbox.example.net'] });
+		const id = await quarantine('quarantine/sale', 3600);
+		await env.DB.prepare("UPDATE quarantine SET to_addr = 'hello@example.com', alias_address = 'hello@example.com'").run();
+
+		expect((await api('POST', `/quarantine/${id}/release`)).status).toBe(501);
+
+		const failing = await release(id, sendEmailStub(['you@inbox.example.net']));
+		expect(failing.status).toBe(502);
+		expect(failing.body.to).toEqual(['me@inbox.example.net']);
+
+		const sendEmail = sendEmailStub();
+		const { status, body } = await release(id, sendEmail);
+		expect(status).toBe(200);
+		expect(body).toEqual({ success: true, released: id, to: ['me@inbox.example.net', 'you@inbox.example.net'] });
+		expect(sendEmail.sent.map((m) => [m.from, m.to])).toEqual([
+			['quarantine@example.com', 'me@inbox.example.net'],
+			['quarantine@example.com', 'you@inbox.example.net'],
+		]);
+		expect(sendEmail.sent[0].raw).toContain('From: "news@shop.example via Mailhop" <quarantine@example.com>');
+		expect(sendEmail.sent[0].raw).toContain('Reply-To: news@shop.example');
+		expect(sendEmail.sent[0].raw).toContain('Everything is 20% off.');
+
+		const other = await release(id, sendEmailStub(), { to: 'other@inbox.example.net' });
+		expect(other.body.to).toEqual(['other@inbox.example.net']);
+		expect((await api('GET', `/quarantine/${id}`)).body).toMatchObject({ released_to: 'other@inbox.example.net' });
+	});
+
+	it('purges expired quarantine entries on its cron trigger', async () => {
+		const kept = await quarantine('quarantine/kept', 3600);
+		await quarantine('quarantine/expired', -60);
+
 		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
+		await worker.scheduled(createScheduledController({ cron: '17 3 * * *' }), env, ctx);
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+
+		const { results } = await env.DB.prepare('SELECT id FROM quarantine').all();
+		expect(results.map((r) => r.id)).toEqual([kept]);
+		expect(await env.QUARANTINE.head('quarantine/expired')).toBeNull();
+		expect(await env.QUARANTINE.head('quarantine/kept')).not.toBeNull();
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('lets a logs token read logs and stats only, and tracks its use', async () => {
+		const created = await api('POST', '/tokens', { name: 'grafana', scope: 'logs', expires_at: '90d' });
+		const { token, id } = created.body.token;
+		expect(token).toMatch(/^mh_/);
+
+		expect((await api('GET', '/logs', undefined, token)).status).toBe(200);
+		expect((await api('GET', '/stats', undefined, token)).status).toBe(200);
+		expect((await api('GET', '/aliases', undefined, token)).status).toBe(403);
+
+		const [listed] = (await api('GET', '/tokens')).body;
+		expect(listed).toMatchObject({ id, name: 'grafana', scope: 'logs' });
+		expect(listed.last_used_at).toBeGreaterThan(0);
+		expect(JSON.stringify(listed)).not.toContain(token);
+	});
+
+	it('refuses expired and revoked tokens', async () => {
+		const expired = (await api('POST', '/tokens', { name: 'old', scope: 'read' })).body.token;
+		await env.DB.prepare('UPDATE api_tokens SET expires_at = ? WHERE id = ?').bind(Math.floor(Date.now() / 1000) - 1, expired.id).run();
+		expect((await api('GET', '/aliases', undefined, expired.token)).status).toBe(401);
+
+		const revoked = (await api('POST', '/tokens', { name: 'leaked', scope: 'read' })).body.token;
+		expect((await api('GET', '/aliases', undefined, revoked.token)).status).toBe(200);
+		expect((await api('DELETE', `/tokens/${revoked.id}`)).status).toBe(200);
+		expect((await api('GET', '/aliases', undefined, revoked.token)).status).toBe(401);
+		expect((await api('DELETE', `/tokens/${revoked.id}`)).status).toBe(404);
+	});
+
+	it('keeps a domain-scoped token to aliases on its domain', async () => {
+		await api('POST', '/domains', { domain: 'example.com' });
+		await api('POST', '/domains', { domain: 'example.org' });
+		await api('POST', '/aliases', { address: 'other@example.org', forward_to: 'me@inbox.example.net' });
+		expect((await api('POST', '/tokens', { name: 'bad', scope: 'aliases' })).status).toBe(400);
+		const { token } = (await api('POST', '/tokens', { name: 'team', scope: 'aliases', domain: 'example.com' })).body.token;
+
+		const create = (address) => api('POST', '/aliases', { address, forward_to: 'me@inbox.example.net' }, token);
+		expect((await create('team@example.com')).status).toBe(200);
+		expect((await create('team@example.org')).status).toBe(403);
+		expect((await api('GET', '/aliases', undefined, token)).body.map((a) => a.address)).toEqual(['team@example.com']);
+		expect((await api('DELETE', '/aliases/other@example.org', undefined, token)).status).toBe(403);
+		expect((await api('GET', '/domains', undefined, token)).status).toBe(403);
+	});
+
+	it('only skips authentication with the explicit dev flag', async () => {
+		const request = () => new Request('http://mailhop.test/aliases');
+		const noKey = { ...env, MAILHOP_API_KEY: undefined };
+
+		expect((await worker.fetch(request(), noKey, createExecutionContext())).status).toBe(401);
+		expect((await worker.fetch(request(), { ...noKey, MAILHOP_DEV_NO_AUTH: 'true' }, createExecutionContext())).status).toBe(200);
+	});
+
+	it('limits a read token to reads', async () => {
+		const { body } = await api('POST', '/tokens', { name: 'dashboard', scope: 'read' });
+		const token = body.token.token;
+
+		expect((await api('GET', '/aliases', undefined, token)).status).toBe(200);
+		expect((await api('POST', '/domains', { domain: 'example.com' }, token)).status).toBe(403);
+		expect((await api('GET', '/tokens', undefined, token)).status).toBe(403);
 	});
 });
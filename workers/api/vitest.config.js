@@ -1,11 +1,18 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// Apply schema.sql to the local D1 before each test file.
+	const migrations = await readD1Migrations(import.meta.dirname);
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.js'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.test.jsonc' },
+					miniflare: { bindings: { TEST_MIGRATIONS: migrations } },
+				},
 			},
 		},
-	},
+	};
 });
@@ -1,26 +1,210 @@
+import { EmailMessage } from "cloudflare:email";
+import {
+  norm,
+  parseJSONColumn,
+  buildDomains,
+  splitAddress,
+  wouldLoop,
+  globToRegExp,
+  aliasRefusal,
+  reverseRefusal,
+  senderDomainExpected,
+  planDelivery,
+  resolveRoute,
+} from "../../shared/routing.js";
+import {
+  splitMessage,
+  parseHeaders,
+  headerValue,
+  rewriteHeaders,
+  parseAddressHeader,
+  encodeWord,
+  formatAddress,
+} from "../../shared/mime.js";
+
 /**
  * Mailhop Email Worker
  * --------------------
- * Routes inbound mail for a single domain based on aliases stored in D1.
+ * Routes inbound mail for every enabled domain based on aliases stored in D1.
  *
  * Key ideas:
- * - We only accept mail for ONE domain (env.DOMAIN).
+ * - We accept mail for any ENABLED domain in the D1 `domains` table.
+ *   (If that table is empty we fall back to the legacy single env.DOMAIN.)
  * - We support:
  *    - exact aliases:   user@example.com
  *    - plus addressing: user+tag@example.com  → user@example.com (if allow_plus=1)
+ *      (the separator is configurable per domain: "+", "-", "." …; per alias,
+ *      allowed_tags restricts accepted tags and tag_routes sends specific
+ *      tags to other destinations)
+ *    - fan-out:         one alias → several destinations (alias_destinations)
+ *    - patterns:        shop-*@example.com, and *@example.com as a per-domain catch-all
+ *    - burner limits:   expires_at / max_messages; once reached, mail is rejected
+ *    - sender rules:    per-alias allow/block list checked against message.from
+ *    - rate limits:     per-alias and per-sender caps per window (rate_counters)
+ *    - size/attachments: max_size_bytes and attachment_policy (allow / strip /
+ *      reject) per domain, overridable per alias; stripping needs SEND_EMAIL
+ *    - fallbacks:       if no destination accepts a message, fallback_to (per
+ *      alias, else per domain) is tried in order; if that fails too,
+ *      failure_mode "defer" answers 451 so the sender retries instead of 550
+ *    - tagging:         forwarded copies carry X-Mailhop-Alias / -Route / -Tag
+ *      headers; subject_prefix (e.g. "[{alias}]") needs SEND_EMAIL, as the
+ *      subject can only be changed on a re-sent copy
+ *    - leak detection:  each sender domain writing to an alias is recorded in
+ *      alias_sender_domains; with expected_senders set, mail from any other
+ *      domain is flagged (email_logs.unexpected_sender)
+ *    - usage counters:  received_count / rejected_count / last_received_at on
+ *      the matched alias, for every message (see `mailhop stale`)
+ *    - lookup cache:    domain and alias lookups are cached per isolate (and
+ *      in the optional ALIAS_CACHE KV namespace) for ALIAS_CACHE_TTL seconds;
+ *      the API bumps a version key on changes. Logged as "cache" (console only).
+ *    - disabled aliases: enabled=0 → reject (550) or silently drop, per disabled_action
+ *    - reverse aliases: with reverse_alias=1 (and a SEND_EMAIL binding) forwarded
+ *      mail is re-sent with From/Reply-To pointing at reply-<token>@<domain>;
+ *      replies from the alias's own destinations to that address (SPF or
+ *      DMARC passed, alias enabled and not expired) are re-sent to the
+ *      original correspondent, appearing to come from the alias.
+ *    - sender auth:     SPF/DKIM/DMARC results from Cloudflare's headers are
+ *      logged; auth_policy (per alias, else per domain) tags or rejects
+ *      mail failing SPF or DMARC.
+ *    - quarantine:      with a QUARANTINE (R2) binding, mail rejected because
+ *      nothing matched, the tag or sender was refused, authentication failed,
+ *      or the size / attachment policy refused it is stored (raw) before
+ *      rejecting, so it can be released via the API.
+ *    - webhooks:        every log entry is also POSTed (HMAC-signed, via
+ *      ctx.waitUntil) to the matching subscriptions in the `webhooks` table.
+ *
+ * Match precedence (first hit wins):
+ *   0. reverse-alias reply address (reply-<token>@domain)
+ *   1. exact alias
+ *   2. base alias of user+tag (if allow_plus=1)
+ *   3. pattern aliases, most specific first (most literal characters,
+ *      then fewest wildcards, then alphabetical)
+ *   4. the domain catch-all *@domain
+ *   5. reject
+ *   (resolveRoute in workers/shared/routing.js; the API's POST /route/test
+ *   dry run uses the same resolver)
  * - We log every message to:
  *    - console as structured JSON
  *    - D1 email_logs table (best-effort)
  *
  * Expected D1 schema (simplified):
  *
+ *   CREATE TABLE domains (
+ *     id         INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     domain     TEXT UNIQUE NOT NULL,   -- e.g. "example.com"
+ *     enabled    INTEGER NOT NULL DEFAULT 1,
+ *     separator  TEXT NOT NULL DEFAULT '+', -- subaddress separator for user<sep>tag
+ *     auth_policy TEXT NOT NULL DEFAULT 'off', -- "off" | "tag" | "reject"
+ *     max_size_bytes INTEGER,            -- default size limit for its aliases, NULL = none
+ *     attachment_policy TEXT NOT NULL DEFAULT 'allow', -- "allow" | "strip" | "reject"
+ *     blocked_attachments TEXT,          -- JSON array of types / ".ext", NULL = built-in list
+ *     fallback_to TEXT,                  -- JSON array of fallback destinations, NULL = none
+ *     failure_mode TEXT NOT NULL DEFAULT 'reject', -- "reject" (550) | "defer" (451)
+ *     notes      TEXT,
+ *     created_at INTEGER
+ *   );
+ *
  *   CREATE TABLE aliases (
  *     id         INTEGER PRIMARY KEY AUTOINCREMENT,
  *     address    TEXT UNIQUE NOT NULL,   -- alias (e.g., "user@example.com")
  *     forward_to TEXT NOT NULL,          -- destination (e.g., "destination@example.net")
  *     notes      TEXT,
  *     created_at INTEGER NOT NULL,
- *     allow_plus INTEGER NOT NULL DEFAULT 1  -- 1 = plus-addressing enabled
+ *     allow_plus INTEGER NOT NULL DEFAULT 1, -- 1 = plus-addressing enabled
+ *     expires_at INTEGER,                -- unix seconds, NULL = never
+ *     max_messages INTEGER,              -- NULL = unlimited
+ *     forwarded_count INTEGER NOT NULL DEFAULT 0,
+ *     enabled INTEGER NOT NULL DEFAULT 1,
+ *     disabled_action TEXT NOT NULL DEFAULT 'reject', -- "reject" | "drop"
+ *     reverse_alias INTEGER NOT NULL DEFAULT 0, -- 1 = rewrite From/Reply-To to a reply address
+ *     allowed_tags TEXT,                 -- JSON array of accepted tags, NULL = any
+ *     tag_routes TEXT,                   -- JSON object {tag: destination(s)}, NULL = none
+ *     auth_policy TEXT,                  -- "off" | "tag" | "reject", NULL = domain's policy
+ *     rate_limit INTEGER,                -- max messages per rate_window, NULL = unlimited
+ *     sender_rate_limit INTEGER,         -- max per sender per rate_window, NULL = unlimited
+ *     rate_window INTEGER NOT NULL DEFAULT 3600, -- seconds
+ *     max_size_bytes INTEGER,            -- NULL = domain's limit, 0 = no limit
+ *     attachment_policy TEXT,            -- NULL = domain's policy
+ *     fallback_to TEXT,                  -- JSON array, NULL = domain's fallbacks
+ *     failure_mode TEXT,                 -- "reject" | "defer", NULL = domain's
+ *     subject_prefix TEXT,               -- template, e.g. "[{alias}]", NULL = none
+ *     expected_senders TEXT,             -- JSON array of sender domains, NULL = not tracked
+ *     received_count INTEGER NOT NULL DEFAULT 0, -- messages that matched this alias
+ *     rejected_count INTEGER NOT NULL DEFAULT 0, -- of those, refused (4xx / 5xx)
+ *     last_received_at INTEGER           -- unix seconds
+ *   );
+ *
+ *   CREATE TABLE alias_destinations (
+ *     id       INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     alias_id INTEGER NOT NULL REFERENCES aliases(id) ON DELETE CASCADE,
+ *     address  TEXT NOT NULL,            -- one destination per row
+ *     position INTEGER NOT NULL DEFAULT 0 -- delivery order
+ *   );
+ *
+ *   CREATE TABLE alias_sender_rules (
+ *     id       INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     alias_id INTEGER NOT NULL REFERENCES aliases(id) ON DELETE CASCADE,
+ *     action   TEXT NOT NULL,            -- "allow" | "block"
+ *     pattern  TEXT NOT NULL             -- "a@b.com" | "@b.com" | "*@*.b.com"
+ *   );
+ *
+ *   CREATE TABLE alias_sender_domains (
+ *     alias_id      INTEGER NOT NULL REFERENCES aliases(id) ON DELETE CASCADE,
+ *     domain        TEXT NOT NULL,       -- envelope sender's domain
+ *     first_seen_at INTEGER NOT NULL,
+ *     last_seen_at  INTEGER NOT NULL,
+ *     message_count INTEGER NOT NULL DEFAULT 1,
+ *     PRIMARY KEY (alias_id, domain)
+ *   );
+ *
+ *   CREATE TABLE reverse_aliases (
+ *     id            INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     reply_address TEXT UNIQUE NOT NULL, -- "reply-<token>@example.com"
+ *     alias_id      INTEGER NOT NULL REFERENCES aliases(id) ON DELETE CASCADE,
+ *     alias_address TEXT NOT NULL,        -- address the contact wrote to (replies come from it)
+ *     contact       TEXT NOT NULL,        -- external correspondent replies go back to
+ *     created_at    INTEGER,
+ *     last_used_at  INTEGER,
+ *     UNIQUE (alias_address, contact)
+ *   );
+ *
+ *   CREATE TABLE rate_counters (
+ *     key          TEXT NOT NULL,         -- "alias:<id>" | "sender:<id>:<address>"
+ *     window_start INTEGER NOT NULL,
+ *     count        INTEGER NOT NULL DEFAULT 0,
+ *     expires_at   INTEGER NOT NULL,
+ *     PRIMARY KEY (key, window_start)
+ *   );
+ *
+ *   CREATE TABLE quarantine (
+ *     id            INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     object_key    TEXT UNIQUE NOT NULL, -- R2 key of the raw message
+ *     message_id    TEXT,
+ *     from_addr     TEXT,
+ *     to_addr       TEXT,
+ *     alias_address TEXT,                 -- matched alias (release target), NULL if none
+ *     reason        TEXT NOT NULL,        -- the email_logs result, e.g. "sender-blocked"
+ *     error         TEXT,
+ *     subject       TEXT,
+ *     size_bytes    INTEGER,
+ *     created_at    INTEGER NOT NULL,
+ *     expires_at    INTEGER,              -- end of retention (QUARANTINE_RETENTION_DAYS)
+ *     released_at   INTEGER,
+ *     released_to   TEXT
+ *   );
+ *
+ *   CREATE TABLE webhooks (
+ *     id            INTEGER PRIMARY KEY AUTOINCREMENT,
+ *     url           TEXT NOT NULL,
+ *     secret        TEXT NOT NULL,        -- HMAC-SHA256 key for X-Mailhop-Signature
+ *     events        TEXT,                 -- JSON array of "forwarded" | "rejected" | "deferred" | "error", NULL = all
+ *     alias_address TEXT,                 -- only this alias (or pattern), NULL = all
+ *     enabled       INTEGER NOT NULL DEFAULT 1,
+ *     description   TEXT,
+ *     created_at    INTEGER,
+ *     last_status   INTEGER,              -- HTTP status of the last delivery
+ *     last_error    TEXT,
+ *     last_sent_at  INTEGER
  *   );
  *
  *   CREATE TABLE email_logs (
@@ -29,12 +213,19 @@
  *     message_id TEXT,
  *     from_addr  TEXT,
  *     to_addr    TEXT,
- *     route      TEXT,                   -- "exact" | "base+tag" | "none" | "invalid-domain" | "exception"
- *     base_addr  TEXT,                   -- base alias for plus addressing
- *     dest_addr  TEXT,                   -- final destination address
- *     result     TEXT,                   -- "forwarded" | "rejected" | "error"
+ *     route      TEXT,                   -- "exact" | "base+tag" | "pattern" | "catch-all" | "reverse"
+ *                                        -- | "none" | "invalid-domain" | "exception"
+ *     base_addr  TEXT,                   -- base alias for plus addressing, or the matching pattern
+ *     tag        TEXT,                   -- subaddress tag for base+tag routes
+ *     dest_addr  TEXT,                   -- final destination address (one row per destination)
+ *     result     TEXT,                   -- "forwarded" | "rejected" | "error" | "expired" | "sender-blocked"
+ *                                        -- | "disabled" | "dropped" | "auth-failed" | "rate-limited"
+ *                                        -- | "too-large" | "attachment-blocked" | "deferred"
  *     size_bytes INTEGER,
- *     error      TEXT
+ *     error      TEXT,
+ *     auth       TEXT,                   -- "spf=pass dkim=pass dmarc=pass"
+ *     attempt    INTEGER,                -- delivery attempts: 1 = destinations, 2+ = fallbacks
+ *     unexpected_sender INTEGER NOT NULL DEFAULT 0 -- 1 = sender domain not in expected_senders
  *   );
  */
 
@@ -42,47 +233,22 @@
 /// Utilities
 /// ─────────────────────────────────────────────────────────────────────────────
 
-/** Normalize arbitrary strings (emails, domains) to lowercase with no surrounding spaces. */
-function norm(s) {
-  return (s || "").trim().toLowerCase();
-}
-
 /**
- * Get the domain this worker is responsible for.
- * - Comes from Wrangler vars: env.DOMAIN
- * - Falls back to "example.com" if not set (so misconfig is obvious in logs).
+ * Load the domains this worker is responsible for from the D1 `domains`
+ * table (legacy env.DOMAIN if it is empty), through the lookup cache.
+ * See buildDomains in workers/shared/routing.js for the returned shape.
  */
-function getDomain(env) {
-  const configured = env && env.DOMAIN ? norm(env.DOMAIN) : "";
-  return configured || "example.com";
-}
-
-/**
- * Split an email address into { local, domain, full } parts.
- * If not valid (no "@"), returns empty local/domain but keeps full.
- */
-function splitAddress(raw) {
-  const full = norm(raw);
-  const at = full.lastIndexOf("@");
-  if (at < 1) {
-    return { local: "", domain: "", full };
-  }
-  return {
-    local: full.slice(0, at),
-    domain: full.slice(at + 1),
-    full,
-  };
-}
-
-/** Return true if addr is in the same domain as env.DOMAIN. */
-function isOurDomain(addr, env) {
-  const { domain } = splitAddress(addr);
-  return domain === getDomain(env);
-}
-
-/** Prevent routing loops: never forward back into our own domain. */
-function wouldLoop(forwardTo, env) {
-  return isOurDomain(forwardTo, env);
+async function loadDomains(env, cache) {
+  const rows = await cached(cache, "domains", async () => {
+    const result = await env.DB.prepare(
+      `SELECT domain, enabled, separator, auth_policy,
+              max_size_bytes, attachment_policy, blocked_attachments,
+              fallback_to, failure_mode
+       FROM domains`
+    ).all();
+    return result.results ?? [];
+  });
+  return buildDomains(rows, env.DOMAIN);
 }
 
 /**
@@ -107,8 +273,8 @@ async function persistLog(env, entry) {
   try {
     await env.DB.prepare(
       `INSERT INTO email_logs
-       (ts, message_id, from_addr, to_addr, route, base_addr, dest_addr, result, size_bytes, error)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+       (ts, message_id, from_addr, to_addr, route, base_addr, tag, dest_addr, result, size_bytes, error, auth, attempt, unexpected_sender)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     )
       .bind(
         Math.floor(Date.now() / 1000),
@@ -117,10 +283,14 @@ async function persistLog(env, entry) {
         entry.to || null,
         entry.route || null,
         entry.base || null,
+        entry.tag || null,
         entry.dest || null,
         entry.result || null,
         Number(entry.size ?? 0),
-        entry.error ? String(entry.error).slice(0, 2000) : null
+        entry.error ? String(entry.error).slice(0, 2000) : null,
+        entry.auth || null,
+        entry.attempt ?? null,
+        entry.unexpected ? 1 : 0
       )
       .run();
   } catch {
@@ -128,6 +298,1258 @@ async function persistLog(env, entry) {
   }
 }
 
+/** Log one event to console and D1, and queue matching webhooks. */
+async function record(env, ctx, entry) {
+  logEvent(entry);
+  await persistLog(env, entry);
+  queueWebhooks(env, ctx, entry);
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Webhooks
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Webhook event for a log result: "forwarded", "error", "deferred" for a
+ * temporary 451 the sender will retry (deferred, rate-limited), or
+ * "rejected" for everything else that was not delivered (rejected, expired,
+ * sender-blocked, disabled, dropped, auth-failed).
+ */
+function webhookEvent(result) {
+  if (result === "forwarded" || result === "error" || result === "deferred") return result;
+  if (result === "rate-limited") return "deferred";
+  return "rejected";
+}
+
+/** Enabled webhook rows, loaded once per invocation (keyed by ctx). */
+const webhookCache = new WeakMap();
+
+function loadWebhooks(env, ctx) {
+  if (!webhookCache.has(ctx)) {
+    webhookCache.set(
+      ctx,
+      env.DB.prepare(
+        "SELECT id, url, secret, events, alias_address FROM webhooks WHERE enabled = 1"
+      )
+        .all()
+        .then((r) => r.results ?? [])
+        .catch(() => []) // e.g. table not created yet
+    );
+  }
+  return webhookCache.get(ctx);
+}
+
+/** Hex HMAC-SHA256 of `body` with `secret`. */
+async function hmacHex(secret, body) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, encoder.encode(body));
+  return [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * POST one signed event to one webhook and store the outcome on its row.
+ * Headers: X-Mailhop-Event and X-Mailhop-Signature ("sha256=<hex HMAC of body>").
+ */
+async function sendWebhook(env, hook, payload) {
+  const body = JSON.stringify(payload);
+  let status = null;
+  let error = null;
+
+  try {
+    const res = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "mailhop-webhooks",
+        "x-mailhop-event": payload.event,
+        "x-mailhop-signature": `sha256=${await hmacHex(hook.secret, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(10000),
+    });
+    status = res.status;
+    if (!res.ok) error = `HTTP ${res.status}`;
+  } catch (err) {
+    error = String(err);
+  }
+
+  try {
+    await env.DB.prepare(
+      "UPDATE webhooks SET last_status = ?, last_error = ?, last_sent_at = ? WHERE id = ?"
+    )
+      .bind(status, error, Math.floor(Date.now() / 1000), hook.id)
+      .run();
+  } catch {
+    // Bookkeeping only
+  }
+}
+
+/**
+ * Fire every webhook subscribed to this log entry, after the response
+ * (ctx.waitUntil) so mail flow never waits on a slow endpoint.
+ * A hook matches if its events list (JSON array, NULL = all) contains the
+ * entry's event and its alias_address (NULL = any) is the recipient or
+ * matched base alias / pattern.
+ */
+function queueWebhooks(env, ctx, entry) {
+  if (!ctx || typeof ctx.waitUntil !== "function") return;
+
+  const event = webhookEvent(entry.result);
+  const recipient = norm(entry.to);
+
+  ctx.waitUntil(
+    loadWebhooks(env, ctx).then((hooks) => {
+      const matching = hooks.filter((hook) => {
+        const events = parseJSONColumn(hook.events, null);
+        if (Array.isArray(events) && !events.includes(event)) return false;
+        const alias = norm(hook.alias_address);
+        return !alias || alias === recipient || alias === norm(entry.base);
+      });
+      if (matching.length === 0) return;
+
+      const payload = {
+        event,
+        result: entry.result,
+        ts: Math.floor(Date.now() / 1000),
+        message_id: entry.id || null,
+        from: entry.from || null,
+        to: entry.to || null,
+        route: entry.route || null,
+        base: entry.base || null,
+        tag: entry.tag || null,
+        dest: entry.dest || null,
+        error: entry.error || null,
+        auth: entry.auth || null,
+        size_bytes: Number(entry.size ?? 0),
+        attempt: entry.attempt ?? null,
+        unexpected_sender: Boolean(entry.unexpected),
+      };
+
+      return Promise.all(matching.map((hook) => sendWebhook(env, hook, payload)));
+    })
+  );
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Sender authentication (SPF / DKIM / DMARC)
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Read the SPF / DKIM / DMARC results Cloudflare recorded on receipt.
+ * - Authentication-Results: "mx.cloudflare.net; dkim=pass …; spf=pass …; dmarc=pass …"
+ * - Received-SPF: "Pass (mx.cloudflare.net: …)" (used if the above has no spf=)
+ * Cloudflare prepends its headers, and headers.get() joins repeats in
+ * order, so the first result per method is Cloudflare's own (a sender can
+ * forge further Authentication-Results headers below it).
+ *
+ * Returns { spf, dkim, dmarc, failed, summary }; missing results are "none".
+ * `failed` is true when DMARC or SPF explicitly failed.
+ */
+function authResults(message) {
+  const found = {};
+  const header = norm(message.headers.get("Authentication-Results"));
+  for (const [, method, result] of header.matchAll(/\b(spf|dkim|dmarc)=([a-z]+)/g)) {
+    found[method] = found[method] || result;
+  }
+
+  if (!found.spf) {
+    const receivedSpf = norm(message.headers.get("Received-SPF")).match(/^[a-z]+/);
+    if (receivedSpf) found.spf = receivedSpf[0];
+  }
+
+  const spf = found.spf || "none";
+  const dkim = found.dkim || "none";
+  const dmarc = found.dmarc || "none";
+
+  return {
+    spf,
+    dkim,
+    dmarc,
+    failed: dmarc === "fail" || spf === "fail",
+    summary: `spf=${spf} dkim=${dkim} dmarc=${dmarc}`,
+  };
+}
+
+/** Effective auth_policy for an alias: its own, else its domain's, else "off". */
+function authPolicyFor(row, domains, domain) {
+  return row.auth_policy || domains.authPolicies.get(domain) || "off";
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// MIME helpers (for mail we re-send instead of forwarding as-is)
+/// ─────────────────────────────────────────────────────────────────────────────
+// Header parsing and rewriting live in ../../shared/mime.js.
+
+const encoder = new TextEncoder();
+
+/** message.raw can only be read once, so keep the bytes per message. */
+const rawCache = new WeakMap();
+
+/** Read the full RFC 822 message as bytes (cached per message). */
+function rawBytes(message) {
+  if (!rawCache.has(message)) {
+    rawCache.set(
+      message,
+      new Response(message.raw).arrayBuffer().then((buf) => new Uint8Array(buf))
+    );
+  }
+  return rawCache.get(message);
+}
+
+/**
+ * Bytes ↔ "binary" strings (one char per byte), so MIME offsets found in the
+ * string are byte offsets and bodies survive the round trip unchanged.
+ */
+function bytesToBinary(bytes) {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function binaryToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * Split a structured header value into its lowercase main value and
+ * parameters: "multipart/mixed; boundary=\"x\"" → { value, params }.
+ */
+function headerParams(value) {
+  const [main, ...rest] = (value || "").split(";");
+  const params = {};
+  for (const part of rest) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim().toLowerCase().replace(/\*$/, "");
+    params[name] = part.slice(eq + 1).trim().replace(/^"(.*)"$/, "$1");
+  }
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Collect the attachments of a MIME entity (a binary string, see above):
+ * leaf parts with Content-Disposition: attachment or a file name.
+ * Returns [{ contentType, filename, start, end }] where start/end are the
+ * offsets of the whole part, headers included.
+ */
+function findAttachments(text, start = 0, end = text.length, out = []) {
+  const blank = text.slice(start, end).search(/\r?\n\r?\n/);
+  const headerEnd = blank === -1 ? end : start + blank;
+  const headers = parseHeaders(text.slice(start, headerEnd));
+  const type = headerParams(headerValue(headers, "content-type") || "text/plain");
+
+  if (type.value.startsWith("multipart/") && type.params.boundary) {
+    const delimiter = `--${type.params.boundary}`;
+    let pos = text.indexOf(`\n${delimiter}`, headerEnd);
+
+    while (pos !== -1 && pos < end) {
+      const after = pos + 1 + delimiter.length;
+      if (text.startsWith("--", after)) break; // closing delimiter
+      const lineEnd = text.indexOf("\n", after);
+      if (lineEnd === -1 || lineEnd >= end) break;
+
+      let next = text.indexOf(`\n${delimiter}`, lineEnd);
+      if (next === -1 || next > end) next = end;
+      const partEnd = text[next - 1] === "\r" ? next - 1 : next;
+
+      findAttachments(text, lineEnd + 1, partEnd, out);
+      pos = next < end ? next : -1;
+    }
+    return out;
+  }
+
+  const disposition = headerParams(headerValue(headers, "content-disposition"));
+  const filename = disposition.params.filename || type.params.name || "";
+  if (disposition.value === "attachment" || filename) {
+    out.push({ contentType: type.value, filename, start, end });
+  }
+  return out;
+}
+
+/**
+ * Render an alias's subject_prefix template. Placeholders:
+ * {alias} (the matched alias, or pattern), {local} and {domain} (its parts),
+ * {tag} (the subaddress tag, or empty) and {to} (the recipient).
+ */
+function renderSubjectPrefix(template, row, meta) {
+  const alias = splitAddress(row.address);
+  const values = {
+    alias: alias.full,
+    local: alias.local,
+    domain: alias.domain,
+    tag: meta.tag || "",
+    to: norm(meta.to),
+  };
+  return template
+    .replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Put `prefix` in front of a raw message's Subject, RFC 2047-encoded if
+ * needed, unless it is already there (e.g. on a reply).
+ */
+function prefixSubject(bytes, prefix) {
+  const subject = headerValue(parseHeaders(splitMessage(bytes).headerText), "subject");
+  const encoded = encodeWord(prefix);
+  if (!prefix || subject.includes(prefix) || subject.includes(encoded)) return bytes;
+  return rewriteHeaders(bytes, {
+    set: { Subject: subject ? `${encoded} ${subject}` : encoded },
+  });
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Quarantine (optional R2 bucket for rejected mail)
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/** Days a quarantined message is kept unless QUARANTINE_RETENTION_DAYS says otherwise. */
+const QUARANTINE_DEFAULT_DAYS = 30;
+
+/**
+ * Store the raw message in the QUARANTINE bucket and index it in D1.
+ * Best-effort like logging: returns the quarantine id, or null if there is
+ * no bucket or storing failed (the message is still rejected either way).
+ */
+async function quarantine(message, env, entry, aliasAddress) {
+  if (!env.QUARANTINE) return null;
+
+  try {
+    const key = `quarantine/${crypto.randomUUID()}.eml`;
+    await env.QUARANTINE.put(key, await rawBytes(message), {
+      httpMetadata: { contentType: "message/rfc822" },
+      customMetadata: { from: entry.from || "", to: entry.to || "", reason: entry.result },
+    });
+
+    const days = Number(env.QUARANTINE_RETENTION_DAYS) || QUARANTINE_DEFAULT_DAYS;
+    const now = Math.floor(Date.now() / 1000);
+    const row = await env.DB.prepare(
+      `INSERT INTO quarantine
+       (object_key, message_id, from_addr, to_addr, alias_address, reason, error, subject, size_bytes, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING id`
+    )
+      .bind(
+        key,
+        entry.id || null,
+        entry.from || null,
+        entry.to || null,
+        aliasAddress || null,
+        entry.result,
+        entry.error ? String(entry.error).slice(0, 2000) : null,
+        (message.headers.get("Subject") || "").slice(0, 500) || null,
+        Number(entry.size ?? 0),
+        now,
+        now + days * 86400
+      )
+      .first();
+
+    return row ? row.id : null;
+  } catch (err) {
+    logEvent({ ...entry, event: "quarantine-failed", error: String(err) });
+    return null;
+  }
+}
+
+/**
+ * Reject a message, quarantining a copy first.
+ * `entry` is the log entry (result + error); `aliasAddress` is the alias a
+ * release should deliver to by default.
+ */
+async function rejectAndQuarantine(message, env, ctx, entry, reply, aliasAddress) {
+  const id = await quarantine(message, env, entry, aliasAddress);
+  await record(
+    env,
+    ctx,
+    id ? { ...entry, error: `${entry.error} (quarantined #${id})` } : entry
+  );
+  await message.setReject(reply);
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Reverse aliases
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/** Local-part prefix of generated reply addresses. */
+const REPLY_PREFIX = "reply-";
+
+/**
+ * Headers that would leak the real inbox (or no longer verify) when a reply
+ * is re-sent from the alias.
+ */
+const REPLY_STRIP_HEADERS = [
+  "Received",
+  "Return-Path",
+  "Sender",
+  "Reply-To",
+  "DKIM-Signature",
+  "ARC-Seal",
+  "ARC-Message-Signature",
+  "ARC-Authentication-Results",
+  "Authentication-Results",
+  "X-Originating-IP",
+];
+
+/** Random token for reply addresses (16 hex chars). */
+function replyToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Get (or create) the reply address that stands in for `contact` when they
+ * write to `aliasAddress`. One reply address per (alias address, contact).
+ */
+async function replyAddressFor(env, row, aliasAddress, contact) {
+  const { domain } = splitAddress(aliasAddress);
+  const now = Math.floor(Date.now() / 1000);
+
+  const mapping = await env.DB.prepare(
+    `INSERT INTO reverse_aliases (reply_address, alias_id, alias_address, contact, created_at, last_used_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (alias_address, contact) DO UPDATE SET last_used_at = excluded.last_used_at
+     RETURNING reply_address`
+  )
+    .bind(`${REPLY_PREFIX}${replyToken()}@${domain}`, row.id, aliasAddress, contact, now, now)
+    .first();
+
+  return mapping.reply_address;
+}
+
+/**
+ * Prepare the re-sent copy of an inbound message for a reverse alias:
+ * From and Reply-To point at the reply address (keeping the correspondent's
+ * name), so hitting "reply" in the destination inbox goes back through us.
+ * `extraHeaders` (e.g. X-Mailhop-Auth) are added to the copy; `source`
+ * replaces the original bytes (e.g. with attachments stripped).
+ * Returns { from, bytes } for EmailMessage.
+ */
+async function prepareReverseForward(message, env, row, extraHeaders, source) {
+  const aliasAddress = norm(message.to);
+  const original = parseAddressHeader(
+    message.headers.get("Reply-To") || message.headers.get("From") || message.from
+  );
+  const contact = original.address || norm(message.from);
+  const replyAddress = await replyAddressFor(env, row, aliasAddress, contact);
+
+  const bytes = rewriteHeaders(source || (await rawBytes(message)), {
+    set: {
+      From: formatAddress(`${original.name || contact} via Mailhop`, replyAddress),
+      "Reply-To": replyAddress,
+      "X-Mailhop-Original-From": message.headers.get("From") || message.from,
+      ...extraHeaders,
+    },
+    remove: ["DKIM-Signature", "Return-Path", "Sender"],
+  });
+
+  return { from: replyAddress, bytes };
+}
+
+/**
+ * Fetch a reverse-alias mapping by reply address, with its owning alias row
+ * attached as `alias` (cached like alias rows; the API's version bump on
+ * alias changes covers it). Returns null if the address is not a reply
+ * address.
+ */
+async function findReverseAlias(env, cache, address) {
+  if (!splitAddress(address).local.startsWith(REPLY_PREFIX)) return null;
+
+  return cached(cache, `reverse:${address}`, async () => {
+    const mapping = await env.DB.prepare(
+      "SELECT id, reply_address, alias_id, alias_address, contact FROM reverse_aliases WHERE reply_address = ? LIMIT 1"
+    )
+      .bind(address)
+      .first();
+    if (!mapping) return null;
+
+    const alias = await env.DB.prepare(
+      `SELECT ${ALIAS_COLUMNS} FROM aliases WHERE id = ? LIMIT 1`
+    )
+      .bind(mapping.alias_id)
+      .first();
+
+    return alias ? { ...mapping, alias } : null;
+  });
+}
+
+/**
+ * Handle mail sent to a reply address.
+ * Only the alias's own destinations may use it, and only while the alias is
+ * enabled and not expired (see reverseRefusal); the message is re-sent to the original
+ * correspondent From the alias address, with headers that would reveal the
+ * real inbox removed.
+ * The envelope sender alone can be forged, so the reply must also have
+ * passed SPF or DMARC (see authResults) with no explicit failure.
+ */
+async function handleReverseReply(message, env, ctx, domains, meta, mapping) {
+  const replyMeta = { ...meta, route: "reverse", base: mapping.alias_address };
+  const sender = norm(message.from);
+
+  const refusal = reverseRefusal(mapping, sender, Math.floor(Date.now() / 1000));
+  if (refusal) {
+    await record(env, ctx, { ...replyMeta, result: refusal.result, error: refusal.reason });
+    await message.setReject(refusal.reply);
+    return;
+  }
+
+  const auth = authResults(message);
+  if (auth.failed || (auth.spf !== "pass" && auth.dmarc !== "pass")) {
+    await record(env, ctx, {
+      ...replyMeta,
+      result: "auth-failed",
+      error: `reply from ${sender} was not authenticated (${auth.summary})`,
+    });
+    await message.setReject("550 5.7.26 Message failed sender authentication");
+    return;
+  }
+
+  if (!env.SEND_EMAIL) {
+    await record(env, ctx, {
+      ...replyMeta,
+      result: "error",
+      error: "SEND_EMAIL binding not configured; cannot send reverse-alias replies",
+    });
+    await message.setReject("550 Reverse aliases are not configured");
+    return;
+  }
+
+  if (wouldLoop(mapping.contact, domains)) {
+    await record(env, ctx, {
+      ...replyMeta,
+      dest: mapping.contact,
+      result: "rejected",
+      error: "routing loop detected (contact is in one of our own domains)",
+    });
+    await message.setReject("550 Routing loop detected");
+    return;
+  }
+
+  try {
+    const bytes = rewriteHeaders(await rawBytes(message), {
+      set: { From: mapping.alias_address, To: mapping.contact },
+      remove: REPLY_STRIP_HEADERS,
+    });
+    await env.SEND_EMAIL.send(
+      new EmailMessage(mapping.alias_address, mapping.contact, new Response(bytes).body)
+    );
+  } catch (err) {
+    await record(env, ctx, {
+      ...replyMeta,
+      dest: mapping.contact,
+      result: "error",
+      error: String(err),
+    });
+    await message.setReject("550 Could not send reply");
+    return;
+  }
+
+  // The reply is already out: bookkeeping errors must not turn into a 550.
+  await record(env, ctx, { ...replyMeta, dest: mapping.contact, result: "forwarded" });
+  try {
+    await env.DB.prepare(
+      "UPDATE reverse_aliases SET last_used_at = ? WHERE id = ?"
+    )
+      .bind(Math.floor(Date.now() / 1000), mapping.id)
+      .run();
+  } catch (err) {
+    logEvent({ event: "reverse-alias-touch-failed", alias: mapping.alias_address, error: String(err) });
+  }
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Lookup cache (per-isolate LRU, optional KV)
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Domain rows, alias rows (misses included), pattern rows and reverse-alias
+ * mappings are cached, so most messages are routed without a D1 query:
+ * - per isolate, in an LRU of CACHE_MAX_ENTRIES entries
+ * - with an ALIAS_CACHE KV namespace, also in KV, shared by all isolates
+ * Entries live ALIAS_CACHE_TTL seconds (default 30, at least 60 in KV;
+ * 0 turns caching off). The API writes a new "version" key to ALIAS_CACHE
+ * whenever domains, aliases or sender rules change, and entries of an older
+ * version are ignored, so changes apply right away; without KV they apply
+ * once entries expire. Aliases with max_messages are never cached, as their
+ * forwarded_count changes with every message.
+ */
+
+/** Cache lifetime in seconds when ALIAS_CACHE_TTL is unset. */
+const DEFAULT_CACHE_TTL = 30;
+
+/** Entries kept per isolate before the least recently used are evicted. */
+const CACHE_MAX_ENTRIES = 1000;
+
+/** KV's minimum expirationTtl, in seconds. */
+const KV_MIN_TTL = 60;
+
+/** KV key holding the current cache version (written by the API). */
+const CACHE_VERSION_KEY = "version";
+
+/** key → { value, version, expires }; Map order doubles as recency order. */
+const lru = new Map();
+
+/**
+ * Open the lookup cache for one message, reading the current version from
+ * KV if bound. `hits` / `misses` count lookups for the log entry.
+ */
+async function openCache(env, ctx) {
+  const configured = Number.parseInt(env.ALIAS_CACHE_TTL ?? "", 10);
+  const ttl = Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_CACHE_TTL;
+  const cache = { ttl, kv: null, version: "0", ctx, hits: 0, misses: 0 };
+
+  if (ttl > 0 && env.ALIAS_CACHE) {
+    try {
+      cache.version = (await env.ALIAS_CACHE.get(CACHE_VERSION_KEY)) || "0";
+      cache.kv = env.ALIAS_CACHE;
+    } catch (err) {
+      logEvent({ event: "cache-version-failed", error: String(err) });
+    }
+  }
+  return cache;
+}
+
+/** Cache outcome for the log entry: "hit", "miss", "partial" or "off". */
+function cacheStatus(cache) {
+  if (!cache.ttl) return "off";
+  if (cache.misses === 0) return "hit";
+  return cache.hits === 0 ? "miss" : "partial";
+}
+
+/** Store `value` in the LRU, evicting the least recently used entries. */
+function lruSet(cache, key, value) {
+  lru.delete(key);
+  lru.set(key, { value, version: cache.version, expires: Date.now() + cache.ttl * 1000 });
+  while (lru.size > CACHE_MAX_ENTRIES) {
+    lru.delete(lru.keys().next().value);
+  }
+}
+
+/** Look `key` up in the LRU, then KV. Returns { value } or null on a miss. */
+async function cacheGet(cache, key) {
+  if (!cache.ttl) return null;
+
+  const entry = lru.get(key);
+  if (entry && entry.version === cache.version && entry.expires > Date.now()) {
+    lru.delete(key);
+    lru.set(key, entry);
+    return { value: entry.value };
+  }
+
+  if (cache.kv) {
+    try {
+      const stored = await cache.kv.get(`${cache.version}:${key}`, "json");
+      if (stored) {
+        lruSet(cache, key, stored.value);
+        return stored;
+      }
+    } catch {
+      // treat as a miss
+    }
+  }
+  return null;
+}
+
+/**
+ * Cache `value` (a row, a list of rows, a reverse mapping or null). Rows
+ * with max_messages, and mappings whose alias has it, are skipped; KV writes
+ * finish after the response (ctx.waitUntil).
+ */
+function cachePut(cache, key, value) {
+  if (!cache.ttl) return;
+  const rows = [].concat(value ?? []).map((v) => v.alias ?? v);
+  if (rows.some((row) => row.max_messages != null)) return;
+
+  lruSet(cache, key, value);
+
+  if (cache.kv && cache.ctx && typeof cache.ctx.waitUntil === "function") {
+    cache.ctx.waitUntil(
+      cache.kv
+        .put(`${cache.version}:${key}`, JSON.stringify({ value }), {
+          expirationTtl: Math.max(cache.ttl, KV_MIN_TTL),
+        })
+        .catch(() => {})
+    );
+  }
+}
+
+/** Read-through: the cached value for `key`, else load() it and cache it. */
+async function cached(cache, key, load) {
+  const hit = await cacheGet(cache, key);
+  if (hit) {
+    cache.hits++;
+    return hit.value;
+  }
+  cache.misses++;
+  const value = await load();
+  cachePut(cache, key, value);
+  return value;
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Alias lookup + delivery
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Columns we need from an alias row, including its destinations
+ * (as a JSON array in delivery order) and its sender rules
+ * (as a JSON array of {action, pattern}).
+ */
+const ALIAS_COLUMNS = `id, address, forward_to, allow_plus,
+  expires_at, max_messages, forwarded_count, enabled, disabled_action,
+  reverse_alias, allowed_tags, tag_routes, auth_policy,
+  rate_limit, sender_rate_limit, rate_window, max_size_bytes, attachment_policy,
+  fallback_to, failure_mode, subject_prefix, expected_senders,
+  (SELECT json_group_array(address) FROM (
+     SELECT address FROM alias_destinations
+     WHERE alias_destinations.alias_id = aliases.id
+     ORDER BY position
+   )) AS destinations,
+  (SELECT json_group_array(json_object('action', action, 'pattern', pattern))
+     FROM alias_sender_rules
+     WHERE alias_sender_rules.alias_id = aliases.id
+  ) AS sender_rules`;
+
+/**
+ * Fetch alias rows by full address (e.g. the exact and plus-base candidates),
+ * from the cache or else in one D1 query.
+ * Returns a Map of address → row, or null if there is no such alias.
+ */
+async function findAliases(env, cache, addresses) {
+  const rows = new Map();
+  const missing = [];
+
+  for (const address of addresses) {
+    const hit = await cacheGet(cache, `alias:${address}`);
+    if (hit) {
+      cache.hits++;
+      rows.set(address, hit.value);
+    } else {
+      cache.misses++;
+      missing.push(address);
+    }
+  }
+  if (missing.length === 0) return rows;
+
+  const result = await env.DB
+    .prepare(
+      `SELECT ${ALIAS_COLUMNS} FROM aliases
+       WHERE address IN (${missing.map(() => "?").join(", ")})`
+    )
+    .bind(...missing)
+    .all();
+
+  for (const address of missing) {
+    const row = (result.results ?? []).find((r) => norm(r.address) === address) ?? null;
+    rows.set(address, row);
+    cachePut(cache, `alias:${address}`, row);
+  }
+  return rows;
+}
+
+/** Fetch the pattern aliases (addresses containing "*") on one domain. */
+async function findPatternAliases(env, cache, domain) {
+  return cached(cache, `patterns:${domain}`, async () => {
+    const result = await env.DB
+      .prepare(
+        `SELECT ${ALIAS_COLUMNS} FROM aliases
+         WHERE instr(address, '*') > 0 AND substr(address, instr(address, '@') + 1) = ?`
+      )
+      .bind(domain)
+      .all();
+    return result.results ?? [];
+  });
+}
+
+/** Cached, D1-backed alias lookups for resolveRoute. */
+function routeLookup(env, cache) {
+  return {
+    reverse: (address) => findReverseAlias(env, cache, address),
+    aliases: (addresses) => findAliases(env, cache, addresses),
+    patterns: (domain) => findPatternAliases(env, cache, domain),
+  };
+}
+
+
+/**
+ * Forward a message to every destination of a matched alias.
+ * - Each destination gets its own log row.
+ * - Destinations inside our own domains are skipped as routing loops.
+ * - The message is only rejected if NO destination accepted it.
+ * - Reverse aliases (reverse_alias=1 + SEND_EMAIL binding) re-send a
+ *   rewritten copy instead of calling message.forward().
+ *
+ * `meta` carries the shared log fields (msgMeta + route/base).
+ * Options:
+ * - headers: added to every forwarded copy (X-* headers only)
+ * - bytes:   a modified raw message (attachments stripped, subject prefixed)
+ *            to re-send via SEND_EMAIL from the alias address instead of
+ *            forwarding
+ * - note:    logged with each delivery (e.g. what was stripped)
+ * If no destination accepts the message, the fallback destinations (alias's
+ * fallback_to, else its domain's) are tried in order until one does; each
+ * try is logged with its attempt number. If all fail, failure_mode "defer"
+ * answers 451 (the sender retries later), "reject" answers 550.
+ * Returns the number of destinations that accepted the message.
+ */
+async function forwardToAll(
+  message,
+  env,
+  ctx,
+  domains,
+  meta,
+  row,
+  { headers: extraHeaders = {}, bytes = null, note = null } = {}
+) {
+  const headers =
+    Object.keys(extraHeaders).length > 0 ? new Headers(extraHeaders) : undefined;
+  const { destinations, fallbacks, mode } = planDelivery(row, domains, meta.domain);
+  let delivered = 0;
+  let loops = 0;
+  let reverse = null;
+  let modified = null;
+
+  /** Hand the message to one destination; logs the outcome, returns true if accepted. */
+  const deliver = async (dest, attempt) => {
+    if (wouldLoop(dest, domains)) {
+      loops++;
+      await record(env, ctx, {
+        ...meta,
+        dest,
+        attempt,
+        result: "rejected",
+        error: "routing loop detected (destination is in one of our own domains)",
+      });
+      return false;
+    }
+
+    try {
+      if (Number(row.reverse_alias) === 1 && env.SEND_EMAIL) {
+        reverse =
+          reverse ||
+          (await prepareReverseForward(message, env, row, extraHeaders, bytes));
+        await env.SEND_EMAIL.send(
+          new EmailMessage(reverse.from, dest, new Response(reverse.bytes).body)
+        );
+      } else if (bytes) {
+        modified = modified || rewriteHeaders(bytes, { set: extraHeaders });
+        await env.SEND_EMAIL.send(
+          new EmailMessage(norm(message.to), dest, new Response(modified).body)
+        );
+      } else {
+        await message.forward(dest, headers);
+      }
+      await record(env, ctx, { ...meta, dest, attempt, result: "forwarded", error: note });
+      return true;
+    } catch (err) {
+      await record(env, ctx, { ...meta, dest, attempt, result: "error", error: String(err) });
+      return false;
+    }
+  };
+
+  for (const dest of destinations) {
+    if (await deliver(dest, 1)) delivered++;
+  }
+
+  if (delivered > 0) return delivered;
+
+  let attempts = destinations.length;
+
+  for (const [i, dest] of fallbacks.entries()) {
+    attempts++;
+    if (await deliver(dest, i + 2)) return 1;
+  }
+
+  if (loops === attempts) {
+    await message.setReject("550 Routing loop detected");
+  } else if (mode === "defer") {
+    await record(env, ctx, {
+      ...meta,
+      result: "deferred",
+      error: `no destination accepted the message after ${attempts} attempt(s)`,
+    });
+    await message.setReject("451 4.4.1 Destination temporarily unavailable, try again later");
+  } else {
+    await message.setReject("550 Destination not verified");
+  }
+
+  return 0;
+}
+
+/** Rate limit window used when an alias row has none. */
+const DEFAULT_RATE_WINDOW = 3600;
+
+/**
+ * Count a message against an alias's rate limits and say if it is over.
+ * - fixed windows of rate_window seconds
+ * - rate_limit caps the alias, sender_rate_limit each envelope sender
+ * Every arrival counts, so a flood stays limited while it lasts. Counter
+ * errors never block mail. Returns a reason string if over a limit, else null.
+ */
+async function rateLimitReason(env, row, from, now) {
+  const limits = [];
+  if (row.rate_limit != null) {
+    limits.push({ key: `alias:${row.id}`, max: Number(row.rate_limit), what: "alias" });
+  }
+  if (row.sender_rate_limit != null) {
+    const sender = norm(from) || "<none>";
+    limits.push({
+      key: `sender:${row.id}:${sender}`,
+      max: Number(row.sender_rate_limit),
+      what: `sender ${sender}`,
+    });
+  }
+  if (limits.length === 0) return null;
+
+  const windowSecs = Number(row.rate_window) || DEFAULT_RATE_WINDOW;
+  const windowStart = now - (now % windowSecs);
+
+  try {
+    const results = await env.DB.batch([
+      ...limits.map((l) =>
+        env.DB.prepare(
+          `INSERT INTO rate_counters (key, window_start, count, expires_at)
+           VALUES (?, ?, 1, ?)
+           ON CONFLICT (key, window_start) DO UPDATE SET count = count + 1
+           RETURNING count`
+        ).bind(l.key, windowStart, windowStart + windowSecs)
+      ),
+      env.DB.prepare("DELETE FROM rate_counters WHERE expires_at <= ?").bind(now),
+    ]);
+
+    for (const [i, l] of limits.entries()) {
+      const count = Number(results[i].results?.[0]?.count ?? 0);
+      if (count > l.max) {
+        return `${l.what} over its limit of ${l.max} messages per ${windowSecs}s`;
+      }
+    }
+  } catch (err) {
+    logEvent({ event: "rate-limit-failed", alias: row.address, error: String(err) });
+  }
+
+  return null;
+}
+
+/**
+ * Record the envelope sender's domain for an alias (first / last seen and
+ * message count) and say whether expected_senders flags it as unexpected.
+ * Tracking errors never block mail.
+ */
+async function trackSenderDomain(env, row, from, now) {
+  const { domain } = splitAddress(from);
+  if (!domain) return false;
+
+  try {
+    await env.DB.prepare(
+      `INSERT INTO alias_sender_domains (alias_id, domain, first_seen_at, last_seen_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (alias_id, domain) DO UPDATE SET
+         last_seen_at = excluded.last_seen_at,
+         message_count = message_count + 1`
+    )
+      .bind(row.id, domain, now, now)
+      .run();
+  } catch (err) {
+    logEvent({ event: "sender-tracking-failed", alias: row.address, error: String(err) });
+  }
+
+  const expected = parseJSONColumn(row.expected_senders, null);
+  return Array.isArray(expected) && !senderDomainExpected(domain, expected);
+}
+
+/**
+ * Attachment types blocked when a domain has no blocked_attachments list:
+ * executables and scripts. Entries are content types (globs allowed, e.g.
+ * "application/x-ms*") or file extensions (".exe").
+ */
+const DEFAULT_BLOCKED_ATTACHMENTS = [
+  ".exe", ".scr", ".bat", ".cmd", ".com", ".pif", ".msi", ".vbs", ".js",
+  ".jse", ".wsf", ".ps1", ".jar", ".hta",
+  "application/x-msdownload",
+  "application/x-msdos-program",
+  "application/x-dosexec",
+  "application/x-executable",
+  "application/vnd.microsoft.portable-executable",
+  "application/java-archive",
+  "application/x-sh",
+];
+
+/**
+ * Effective size limit and attachment policy for an alias: its own
+ * max_size_bytes / attachment_policy, else its domain's.
+ * Returns { maxSize (null = none), attachments, blocked }.
+ */
+function contentPolicyFor(row, domains, domain) {
+  const defaults = domains.contentPolicies?.get(domain) || {};
+  const maxSize = row.max_size_bytes != null ? Number(row.max_size_bytes) : defaults.maxSize;
+  return {
+    maxSize: maxSize > 0 ? maxSize : null,
+    attachments: row.attachment_policy || defaults.attachments || "allow",
+    blocked: defaults.blocked || DEFAULT_BLOCKED_ATTACHMENTS,
+  };
+}
+
+/** Does an attachment match a blocked-list entry (".ext" or content type glob)? */
+function attachmentMatches(entry, attachment) {
+  const pattern = String(entry).toLowerCase();
+  if (pattern.startsWith(".")) {
+    return attachment.filename.toLowerCase().endsWith(pattern);
+  }
+  return globToRegExp(pattern).test(attachment.contentType);
+}
+
+/**
+ * Find the attachments of a message that are on the blocked list.
+ * Returns { text, blocked: [{ contentType, filename, start, end }] } where
+ * `text` is the raw message as a binary string (see bytesToBinary).
+ */
+async function blockedAttachments(message, blockedList) {
+  const text = bytesToBinary(await rawBytes(message));
+  const blocked = findAttachments(text).filter((a) =>
+    blockedList.some((entry) => attachmentMatches(entry, a))
+  );
+  return { text, blocked };
+}
+
+/** Name an attachment for logs and placeholders. */
+function describeAttachment(a) {
+  return a.filename ? `${a.filename} (${a.contentType})` : a.contentType;
+}
+
+/**
+ * Replace blocked attachments with short text/plain placeholders.
+ * Parts are replaced back to front so earlier offsets stay valid.
+ */
+function stripAttachments(text, blocked) {
+  let out = text;
+  for (const a of [...blocked].sort((x, y) => y.start - x.start)) {
+    const placeholder =
+      "Content-Type: text/plain; charset=utf-8\r\n\r\n" +
+      `[Attachment ${describeAttachment(a)} removed by Mailhop]\r\n`;
+    out = out.slice(0, a.start) + placeholder + out.slice(a.end);
+  }
+  return binaryToBytes(out);
+}
+
+/**
+ * Apply a matched alias to a message:
+ * - honours disabled aliases: reject (result "disabled") or silently
+ *   accept and discard (result "dropped"), per disabled_action
+ * - rejects expired / used-up burner aliases (result "expired")
+ * - rejects senders refused by the alias's sender rules (result "sender-blocked")
+ * - rejects mail over the alias's rate limits (result "rate-limited", 451)
+ * - applies the auth_policy to mail failing SPF/DMARC: "reject" refuses it
+ *   (result "auth-failed"), "tag" adds an X-Mailhop-Auth header
+ * - rejects mail over the size limit (result "too-large", 552)
+ * - applies the attachment_policy to blocked attachment types: "reject"
+ *   refuses the message (result "attachment-blocked"), "strip" replaces
+ *   them with placeholders and re-sends the copy via SEND_EMAIL
+ * - sender-blocked, auth-failed, too-large and attachment-blocked mail is
+ *   quarantined (if configured)
+ * - tags forwarded copies with X-Mailhop-Alias / -Route / -Tag and applies
+ *   the subject_prefix (re-sent via SEND_EMAIL; skipped without it)
+ * - otherwise forwards to all destinations and bumps forwarded_count
+ * Returns true if the message was accepted (forwarded or dropped), false if
+ * it was rejected.
+ */
+async function applyAlias(message, env, ctx, domains, meta, row) {
+  // Disabled, expired, sender rules (shared with the API's route dry run)
+  const refusal = aliasRefusal(row, message.from, Math.floor(Date.now() / 1000));
+  if (refusal) {
+    const entry = { ...meta, result: refusal.result, error: refusal.reason };
+    if (!refusal.reply) {
+      // Not calling forward() or setReject() accepts and discards the message.
+      await record(env, ctx, entry);
+      return true;
+    }
+    if (refusal.quarantine) {
+      await rejectAndQuarantine(message, env, ctx, entry, refusal.reply, row.address);
+    } else {
+      await record(env, ctx, entry);
+      await message.setReject(refusal.reply);
+    }
+    return false;
+  }
+
+  const limited = await rateLimitReason(
+    env,
+    row,
+    message.from,
+    Math.floor(Date.now() / 1000)
+  );
+  if (limited) {
+    await record(env, ctx, { ...meta, result: "rate-limited", error: limited });
+    await message.setReject("451 4.7.1 Too many messages for this address, try again later");
+    return false;
+  }
+
+  const auth = authResults(message);
+  const authPolicy = authPolicyFor(row, domains, meta.domain);
+  const extraHeaders = {};
+
+  if (auth.failed && authPolicy === "reject") {
+    await rejectAndQuarantine(
+      message,
+      env,
+      ctx,
+      {
+        ...meta,
+        result: "auth-failed",
+        error: `sender authentication failed (${auth.summary})`,
+      },
+      "550 5.7.26 Message failed sender authentication",
+      row.address
+    );
+    return false;
+  }
+
+  if (auth.failed && authPolicy === "tag") {
+    extraHeaders["X-Mailhop-Auth"] = `fail (${auth.summary})`;
+  }
+
+  const content = contentPolicyFor(row, domains, meta.domain);
+
+  if (content.maxSize && message.rawSize > content.maxSize) {
+    await rejectAndQuarantine(
+      message,
+      env,
+      ctx,
+      {
+        ...meta,
+        result: "too-large",
+        error: `message is ${message.rawSize} bytes, limit is ${content.maxSize}`,
+      },
+      "552 5.3.4 Message size exceeds limit for this address",
+      row.address
+    );
+    return false;
+  }
+
+  let rewritten = null;
+  let note = null;
+
+  if (content.attachments !== "allow") {
+    const { text, blocked } = await blockedAttachments(message, content.blocked);
+
+    if (blocked.length > 0) {
+      const names = blocked.map(describeAttachment).join(", ");
+
+      // Stripping re-sends a modified copy, which needs the send_email binding.
+      if (content.attachments === "reject" || !env.SEND_EMAIL) {
+        await rejectAndQuarantine(
+          message,
+          env,
+          ctx,
+          {
+            ...meta,
+            result: "attachment-blocked",
+            error:
+              content.attachments === "reject"
+                ? `blocked attachment: ${names}`
+                : `blocked attachment: ${names} (cannot strip: SEND_EMAIL not bound)`,
+          },
+          "550 5.7.1 Message contains a blocked attachment type",
+          row.address
+        );
+        return false;
+      }
+
+      rewritten = stripAttachments(text, blocked);
+      note = `stripped attachments: ${names}`;
+      extraHeaders["X-Mailhop-Stripped"] = names;
+    }
+  }
+
+  // Tell the inbox which alias the message came through (To: misses BCCs).
+  extraHeaders["X-Mailhop-Alias"] = row.address;
+  extraHeaders["X-Mailhop-Route"] = meta.route;
+  if (meta.tag) extraHeaders["X-Mailhop-Tag"] = meta.tag;
+
+  // forward() can only add X- headers, so a subject prefix means re-sending.
+  if (row.subject_prefix) {
+    if (env.SEND_EMAIL) {
+      rewritten = prefixSubject(
+        rewritten || (await rawBytes(message)),
+        renderSubjectPrefix(row.subject_prefix, row, meta)
+      );
+    } else {
+      logEvent({
+        event: "subject-prefix-skipped",
+        alias: row.address,
+        error: "SEND_EMAIL not bound",
+      });
+    }
+  }
+
+  const delivered = await forwardToAll(message, env, ctx, domains, meta, row, {
+    headers: extraHeaders,
+    bytes: rewritten,
+    note,
+  });
+
+  // The mail is already out: a failed count must not turn into a 550.
+  if (delivered > 0) {
+    try {
+      await env.DB.prepare(
+        "UPDATE aliases SET forwarded_count = forwarded_count + 1 WHERE id = ?"
+      )
+        .bind(row.id)
+        .run();
+    } catch (err) {
+      logEvent({ event: "forwarded-count-failed", alias: row.address, error: String(err) });
+    }
+  }
+
+  return delivered > 0;
+}
+
+/**
+ * Bump an alias's usage counters for one message: received_count and
+ * last_received_at, plus rejected_count if it was refused. Best-effort.
+ */
+async function countMessage(env, row, accepted, now) {
+  try {
+    await env.DB.prepare(
+      `UPDATE aliases SET
+         received_count = received_count + 1,
+         rejected_count = rejected_count + ?,
+         last_received_at = ?
+       WHERE id = ?`
+    )
+      .bind(accepted ? 0 : 1, now, row.id)
+      .run();
+  } catch (err) {
+    logEvent({ event: "usage-count-failed", alias: row.address, error: String(err) });
+  }
+}
+
+/**
+ * Handle a message for a matched alias:
+ * - records the sender's domain; with expected_senders set, every log entry
+ *   for a sender outside them is flagged unexpected_sender
+ * - applies the alias (see applyAlias)
+ * - updates the alias's usage counters
+ */
+async function deliverToAlias(message, env, ctx, domains, meta, row) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (await trackSenderDomain(env, row, message.from, now)) {
+    meta = { ...meta, unexpected: true };
+  }
+
+  const accepted = await applyAlias(message, env, ctx, domains, meta, row);
+  await countMessage(env, row, accepted, now);
+}
+
 /// ─────────────────────────────────────────────────────────────────────────────
 /// Worker entrypoint
 /// ─────────────────────────────────────────────────────────────────────────────
@@ -137,165 +1559,66 @@ export default {
    * Email handler called by Cloudflare's Email Routing.
    * @param {EmailMessage} message - the inbound email
    * @param {Object} env          - environment bindings (D1, vars, etc.)
+   * @param {Object} ctx          - execution context (waitUntil, for webhooks)
    */
-  async email(message, env) {
+  async email(message, env, ctx) {
     // Basic metadata we’ll reuse in all logs
     const rcpt = splitAddress(message.to);
-    const domain = getDomain(env);
     const msgMeta = {
       id: message.headers.get("Message-Id") || crypto.randomUUID(),
       from: message.from,
       to: message.to,
       size: message.rawSize,
-      domain,
+      domain: rcpt.domain,
+      auth: authResults(message).summary,
     };
 
     try {
-      // 0) Sanity check: only accept mail for our configured domain
-      if (!rcpt.local || rcpt.domain !== domain) {
-        const entry = {
-          ...msgMeta,
-          route: "invalid-domain",
-          result: "rejected",
-          error: `recipient domain ${rcpt.domain || "<none>"} does not match worker domain ${domain}`,
-        };
-        logEvent(entry);
-        await persistLog(env, entry);
-        await message.setReject("550 Invalid recipient for this domain");
+      const cache = await openCache(env, ctx);
+      const domains = await loadDomains(env, cache);
+
+      const route = await resolveRoute(message.to, domains, routeLookup(env, cache));
+      const meta = {
+        ...msgMeta,
+        route: route.route,
+        base: route.base,
+        tag: route.tag,
+        cache: cacheStatus(cache),
+      };
+
+      // 0️⃣ Reply address of a reverse alias → send back to the correspondent
+      if (route.reverse) {
+        await handleReverseReply(message, env, ctx, domains, meta, route.reverse);
         return;
       }
 
-      // 1️⃣ Exact match: look for full alias row (user@example.com)
-      const exact = await env.DB
-        .prepare(
-          "SELECT address, forward_to, allow_plus FROM aliases WHERE address = ? LIMIT 1"
-        )
-        .bind(rcpt.full)
-        .first();
-
-      if (exact) {
-        if (wouldLoop(exact.forward_to, env)) {
-          const entry = {
-            ...msgMeta,
-            route: "exact",
-            dest: exact.forward_to,
-            result: "rejected",
-            error: "routing loop detected (forward_to is in our own domain)",
-          };
-          logEvent(entry);
-          await persistLog(env, entry);
-          await message.setReject("550 Routing loop detected");
-          return;
-        }
-
-        try {
-          await message.forward(exact.forward_to);
-          const entry = {
-            ...msgMeta,
-            route: "exact",
-            dest: exact.forward_to,
-            result: "forwarded",
-          };
-          logEvent(entry);
-          await persistLog(env, entry);
-        } catch (err) {
-          const entry = {
-            ...msgMeta,
-            route: "exact",
-            dest: exact.forward_to,
-            result: "error",
-            error: String(err),
-          };
-          logEvent(entry);
-          await persistLog(env, entry);
-          await message.setReject("550 Destination not verified");
-        }
+      // 1️⃣ Exact, 2️⃣ user+tag base, 3️⃣ pattern / catch-all → deliver
+      if (!route.reject) {
+        await deliverToAlias(message, env, ctx, domains, meta, route.row);
         return;
       }
 
-      // 2️⃣ Plus addressing: user+tag@example.com → user@example.com
-      const plusIdx = rcpt.local.indexOf("+");
-      if (plusIdx > -1) {
-        const baseLocal = rcpt.local.slice(0, plusIdx);
-        const base = `${baseLocal}@${rcpt.domain}`;
-
-        const baseRow = await env.DB
-          .prepare(
-            "SELECT address, forward_to, allow_plus FROM aliases WHERE address = ? LIMIT 1"
-          )
-          .bind(base)
-          .first();
-
-        // Only route if base alias exists AND allow_plus=1
-        if (baseRow && Number(baseRow.allow_plus) === 1) {
-          if (wouldLoop(baseRow.forward_to, env)) {
-            const entry = {
-              ...msgMeta,
-              route: "base+tag",
-              base,
-              dest: baseRow.forward_to,
-              result: "rejected",
-              error: "routing loop detected (forward_to is in our own domain)",
-            };
-            logEvent(entry);
-            await persistLog(env, entry);
-            await message.setReject("550 Routing loop detected");
-            return;
-          }
-
-          try {
-            await message.forward(baseRow.forward_to);
-            const entry = {
-              ...msgMeta,
-              route: "base+tag",
-              base,
-              dest: baseRow.forward_to,
-              result: "forwarded",
-            };
-            logEvent(entry);
-            await persistLog(env, entry);
-          } catch (err) {
-            const entry = {
-              ...msgMeta,
-              route: "base+tag",
-              base,
-              dest: baseRow.forward_to,
-              result: "error",
-              error: String(err),
-            };
-            logEvent(entry);
-            await persistLog(env, entry);
-            await message.setReject("550 Destination not verified");
-          }
-          return;
-        }
+      // Invalid domain, refused tag or no match at all → reject
+      // (refused tags and unmatched mail are quarantined: often just a typo)
+      const entry = { ...meta, result: route.reject.result, error: route.reject.reason };
+      if (route.reject.quarantine) {
+        await rejectAndQuarantine(message, env, ctx, entry, route.reject.reply, route.base ?? null);
+      } else {
+        await record(env, ctx, entry);
+        await message.setReject(route.reject.reply);
       }
-
-      // 3️⃣ No match at all → reject
-      {
-        const entry = {
-          ...msgMeta,
-          route: "none",
-          result: "rejected",
-          error: "no matching alias or plus-base alias found",
-        };
-        logEvent(entry);
-        await persistLog(env, entry);
-        await message.setReject(
-          `550 No such user at ${domain || "this domain"}`
-        );
+      if (route.row) {
+        await countMessage(env, route.row, false, Math.floor(Date.now() / 1000));
       }
     } catch (err) {
       // Last-resort error handler
-      const entry = {
+      await record(env, ctx, {
         ...msgMeta,
         route: "exception",
         result: "error",
         error: String(err),
-      };
-      logEvent(entry);
-      await persistLog(env, entry);
+      });
       await message.setReject("550 Internal error");
     }
   },
-};
\ No newline at end of file
+};
@@ -1,20 +1,589 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
 import worker from '../src';
+import invoice from './fixtures/invoice.eml?raw';
+import newsletter from './fixtures/newsletter.eml?raw';
+import spoofed from './fixtures/spoofed.eml?raw';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+/**
+ * A stand-in for the ForwardableEmailMessage Cloudflare passes to email():
+ * headers come from the .eml header block, and forward() / setReject()
+ * record what the worker decided. forward() throws for the addresses in
+ * `refuse`, like an unverified destination.
+ */
+function emailMessage(raw, { from, to, refuse = [] }) {
+	const bytes = new TextEncoder().encode(raw);
+	const headerBlock = raw.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+	const headers = new Headers();
+	for (const line of headerBlock.split(/\r?\n/)) {
+		const colon = line.indexOf(':');
+		if (colon > 0) headers.append(line.slice(0, colon), line.slice(colon + 1).trim());
+	}
+
+	const message = {
+		from,
+		to,
+		headers,
+		rawSize: bytes.length,
+		get raw() {
+			return new Response(bytes).body;
+		},
+		forwarded: [],
+		rejected: null,
+		async forward(rcpt, extraHeaders) {
+			if (refuse.includes(rcpt)) throw new Error(`destination address not verified: ${rcpt}`);
+			message.forwarded.push({ rcpt, headers: Object.fromEntries(extraHeaders || []) });
+		},
+		async setReject(reason) {
+			message.rejected = reason;
+		},
+	};
+	return message;
+}
+
+/**
+ * Run a message (the newsletter fixture unless `raw` is given) through
+ * email() and wait for its background work (logs, counters). `bindings`
+ * are added to env, e.g. a SEND_EMAIL stub; `refuse` lists destinations
+ * whose forward() fails.
+ */
+async function receive(to, from = 'news@shop.example', { raw = newsletter, bindings = {}, refuse } = {}) {
+	const message = emailMessage(raw, { from, to, refuse });
+	const ctx = createExecutionContext();
+	await worker.email(message, { ...env, ...bindings }, ctx);
+	await waitOnExecutionContext(ctx);
+	return message;
+}
+
+/**
+ * A SEND_EMAIL binding that keeps what it is given: { from, to, raw } per
+ * message. cloudflare:email's EmailMessage has no public raw property; it
+ * keeps the stream under "EmailMessage::raw".
+ */
+function sendEmailStub() {
+	const sent = [];
+	return {
+		sent,
+		async send(message) {
+			const raw = await new Response(message['EmailMessage::raw']).text();
+			sent.push({ from: message.from, to: message.to, raw });
+		},
+	};
+}
+
+async function logs() {
+	const { results } = await env.DB.prepare('SELECT route, base_addr, tag, dest_addr, result, auth FROM email_logs ORDER BY id').all();
+	return results;
+}
+
+describe('Mailhop email worker', () => {
+	beforeEach(async () => {
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO domains (domain) VALUES ('example.com')"),
+			env.DB.prepare("INSERT INTO aliases (address, forward_to, created_at) VALUES ('hello@example.com', 'me@inbox.example.net', 0)"),
+		]);
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('forwards mail for an exact alias and logs it', async () => {
+		const message = await receive('hello@example.com');
+
+		expect(message.rejected).toBeNull();
+		expect(message.forwarded.map((f) => f.rcpt)).toEqual(['me@inbox.example.net']);
+		expect(message.forwarded[0].headers['x-mailhop-alias']).toBe('hello@example.com');
+		expect(await logs()).toEqual([
+			{
+				route: 'exact',
+				base_addr: null,
+				tag: null,
+				dest_addr: 'me@inbox.example.net',
+				result: 'forwarded',
+				auth: 'spf=pass dkim=pass dmarc=pass',
+			},
+		]);
+	});
+
+	it('routes a subaddress to its base alias', async () => {
+		const message = await receive('hello+sale@example.com');
+
+		expect(message.forwarded.map((f) => f.rcpt)).toEqual(['me@inbox.example.net']);
+		expect(await logs()).toMatchObject([{ route: 'base+tag', base_addr: 'hello@example.com', tag: 'sale', result: 'forwarded' }]);
+	});
+
+	it('rejects subaddresses of an alias with plus addressing turned off', async () => {
+		await env.DB.prepare("UPDATE aliases SET allow_plus = 0 WHERE address = 'hello@example.com'").run();
+
+		expect((await receive('hello+sale@example.com')).rejected).toBe('550 No such user at example.com');
+		expect((await receive('hello@example.com')).forwarded).toHaveLength(1);
+	});
+
+	it("splits subaddresses on the domain's separator", async () => {
+		await env.DB.prepare("UPDATE domains SET separator = '-' WHERE domain = 'example.com'").run();
+
+		expect((await receive('hello-sale@example.com')).forwarded.map((f) => f.rcpt)).toEqual(['me@inbox.example.net']);
+		expect((await receive('hello+sale@example.com')).rejected).toBe('550 No such user at example.com');
+		expect((await logs()).map((l) => [l.route, l.tag])).toEqual([
+			['base+tag', 'sale'],
+			['none', null],
+		]);
+	});
+
+	it('only accepts allowed tags and routes tagged mail to its own destination', async () => {
+		await env.DB.prepare(
+			`UPDATE aliases SET allowed_tags = '["sale","work"]', tag_routes = '{"work":"work@inbox.example.net"}' WHERE address = 'hello@example.com'`,
+		).run();
+
+		expect((await receive('hello+sale@example.com')).forwarded.map((f) => f.rcpt)).toEqual(['me@inbox.example.net']);
+		expect((await receive('hello+work@example.com')).forwarded.map((f) => f.rcpt)).toEqual(['work@inbox.example.net']);
+		expect((await receive('hello+spam@example.com')).rejected).toBe('550 No such user at example.com');
+		expect(await env.DB.prepare('SELECT to_addr, alias_address FROM quarantine').first()).toEqual({
+			to_addr: 'hello+spam@example.com',
+			alias_address: 'hello@example.com',
+		});
+	});
+
+	it('rejects mail for an unknown address and keeps it in quarantine', async () => {
+		const message = await receive('nobody@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toMatch(/^550/);
+		expect(await logs()).toMatchObject([{ route: 'none', result: 'rejected' }]);
+
+		const entry = await env.DB.prepare('SELECT to_addr, object_key FROM quarantine').first();
+		expect(entry.to_addr).toBe('nobody@example.com');
+		const stored = await env.QUARANTINE.get(entry.object_key);
+		expect(await stored.text()).toBe(newsletter);
+	});
+
+	it('rejects mail for a domain it does not route', async () => {
+		const message = await receive('hello@elsewhere.example');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toMatch(/^550/);
+		expect(await logs()).toMatchObject([{ route: 'invalid-domain', result: 'rejected' }]);
+	});
+
+	it('routes every enabled domain in the domains table', async () => {
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO domains (domain) VALUES ('example.org')"),
+			env.DB.prepare("INSERT INTO aliases (address, forward_to, created_at) VALUES ('hello@example.org', 'org@inbox.example.net', 0)"),
+		]);
+
+		expect((await receive('hello@example.org')).forwarded.map((f) => f.rcpt)).toEqual(['org@inbox.example.net']);
+		expect((await receive('hello@example.com')).forwarded.map((f) => f.rcpt)).toEqual(['me@inbox.example.net']);
+	});
+
+	it('rejects mail for a disabled domain but keeps its aliases', async () => {
+		await env.DB.prepare("UPDATE domains SET enabled = 0 WHERE domain = 'example.com'").run();
+		const message = await receive('hello@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('550 Invalid recipient for this domain');
+		expect(await logs()).toMatchObject([{ route: 'invalid-domain', result: 'rejected' }]);
+		expect(await env.DB.prepare("SELECT COUNT(*) AS n FROM aliases WHERE address = 'hello@example.com'").first('n')).toBe(1);
+	});
+
+	it('never forwards into one of its own domains', async () => {
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO domains (domain, enabled) VALUES ('example.org', 0)"),
+			env.DB.prepare("UPDATE aliases SET forward_to = 'me@example.org' WHERE address = 'hello@example.com'"),
+		]);
+		const message = await receive('hello@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('550 Routing loop detected');
+		expect(await logs()).toMatchObject([{ route: 'exact', dest_addr: 'me@example.org', result: 'rejected' }]);
+	});
+
+	it('fans out to every destination and counts the message once', async () => {
+		const insert = env.DB.prepare(
+			"INSERT INTO alias_destinations (alias_id, address, position) SELECT id, ?, ? FROM aliases WHERE address = 'hello@example.com'",
+		);
+		await env.DB.batch(
+			['me@inbox.example.net', 'you@inbox.example.net', 'them@inbox.example.net'].map((address, i) => insert.bind(address, i)),
+		);
+		const message = await receive('hello@example.com', 'news@shop.example', { refuse: ['you@inbox.example.net'] });
+
+		expect(message.rejected).toBeNull();
+		expect(message.forwarded.map((f) => f.rcpt)).toEqual(['me@inbox.example.net', 'them@inbox.example.net']);
+		expect((await logs()).map((l) => [l.dest_addr, l.result])).toEqual([
+			['me@inbox.example.net', 'forwarded'],
+			['you@inbox.example.net', 'error'],
+			['them@inbox.example.net', 'forwarded'],
+		]);
+		const alias = await env.DB.prepare("SELECT forwarded_count FROM aliases WHERE address = 'hello@example.com'").first();
+		expect(alias.forwarded_count).toBe(1);
+	});
+
+	it('falls back to the most specific pattern alias, then the catch-all', async () => {
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO aliases (address, forward_to, created_at) VALUES ('shop-*@example.com', 'shops@inbox.example.net', 0)"),
+			env.DB.prepare("INSERT INTO aliases (address, forward_to, created_at) VALUES ('*@example.com', 'rest@inbox.example.net', 0)"),
+		]);
+
+		expect((await receive('hello@example.com')).forwarded.map((f) => f.rcpt)).toEqual(['me@inbox.example.net']);
+		expect((await receive('shop-amazon@example.com')).forwarded.map((f) => f.rcpt)).toEqual(['shops@inbox.example.net']);
+		expect((await receive('anything@example.com')).forwarded.map((f) => f.rcpt)).toEqual(['rest@inbox.example.net']);
+		expect((await logs()).map((l) => [l.route, l.base_addr])).toEqual([
+			['exact', null],
+			['pattern', 'shop-*@example.com'],
+			['catch-all', '*@example.com'],
+		]);
+	});
+
+	it('rejects mail for a burner alias past its expiry', async () => {
+		await env.DB.prepare("UPDATE aliases SET expires_at = 1000 WHERE address = 'hello@example.com'").run();
+		const message = await receive('hello@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('550 This address is no longer active');
+		expect(await logs()).toMatchObject([{ route: 'exact', result: 'expired' }]);
+	});
+
+	it('rejects mail once a burner alias has forwarded max_messages', async () => {
+		await env.DB.prepare("UPDATE aliases SET max_messages = 1 WHERE address = 'hello@example.com'").run();
+
+		expect((await receive('hello@example.com')).forwarded).toHaveLength(1);
+		expect((await receive('hello@example.com')).rejected).toBe('550 This address is no longer active');
+		expect((await logs()).map((l) => l.result)).toEqual(['forwarded', 'expired']);
+	});
+
+	it('rejects and quarantines a sender on the block list', async () => {
+		await env.DB.prepare(
+			"INSERT INTO alias_sender_rules (alias_id, action, pattern) SELECT id, 'block', '@shop.example' FROM aliases WHERE address = 'hello@example.com'",
+		).run();
+		const message = await receive('hello@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('550 5.7.1 Sender not allowed');
+		expect(await logs()).toMatchObject([{ route: 'exact', result: 'sender-blocked' }]);
+		expect(await env.DB.prepare('SELECT alias_address, reason FROM quarantine').first()).toEqual({
+			alias_address: 'hello@example.com',
+			reason: 'sender-blocked',
+		});
+	});
+
+	it('only lets allowlisted senders through once an alias has allow rules', async () => {
+		await env.DB.prepare(
+			"INSERT INTO alias_sender_rules (alias_id, action, pattern) SELECT id, 'allow', '*@*.shop.example' FROM aliases WHERE address = 'hello@example.com'",
+		).run();
+
+		expect((await receive('hello@example.com', 'news@shop.example')).rejected).toBe('550 5.7.1 Sender not allowed');
+		expect((await receive('hello@example.com', 'news@mail.shop.example')).forwarded).toHaveLength(1);
+	});
+
+	it('sends mail for a reverse alias from a reply address and relays the reply from the alias', async () => {
+		await env.DB.prepare("UPDATE aliases SET reverse_alias = 1 WHERE address = 'hello@example.com'").run();
+		const SEND_EMAIL = sendEmailStub();
+
+		const inbound = await receive('hello@example.com', 'news@shop.example', { bindings: { SEND_EMAIL } });
+		expect(inbound.forwarded).toEqual([]);
+		const [copy] = SEND_EMAIL.sent;
+		expect(copy.from).toMatch(/^reply-[0-9a-f]+@example\.com$/);
+		expect(copy.to).toBe('me@inbox.example.net');
+		expect(copy.raw).toContain(`From: "Shop News via Mailhop" <${copy.from}>`);
+		expect(copy.raw).toContain('X-Mailhop-Original-From: Shop News <news@shop.example>');
+		expect(await env.DB.prepare('SELECT reply_address, contact FROM reverse_aliases').first()).toEqual({
+			reply_address: copy.from,
+			contact: 'news@shop.example',
+		});
+
+		const reply = await receive(copy.from, 'me@inbox.example.net', { bindings: { SEND_EMAIL } });
+		expect(reply.rejected).toBeNull();
+		expect(SEND_EMAIL.sent[1]).toMatchObject({ from: 'hello@example.com', to: 'news@shop.example' });
+		expect(SEND_EMAIL.sent[1].raw).toMatch(/^From: hello@example\.com$/m);
+
+		const stranger = await receive(copy.from, 'someone@elsewhere.example', { bindings: { SEND_EMAIL } });
+		expect(stranger.rejected).toBe('550 5.7.1 Not allowed to use this reply address');
+		expect(SEND_EMAIL.sent).toHaveLength(2);
+		expect((await logs()).map((l) => [l.route, l.result])).toEqual([
+			['exact', 'forwarded'],
+			['reverse', 'forwarded'],
+			['reverse', 'rejected'],
+		]);
+	});
+
+	it("refuses mail failing SPF / DMARC under the domain's reject policy", async () => {
+		await env.DB.prepare("UPDATE domains SET auth_policy = 'reject' WHERE domain = 'example.com'").run();
+		const message = await receive('hello@example.com', 'billing@bank.example', { raw: spoofed });
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('550 5.7.26 Message failed sender authentication');
+		expect(await logs()).toMatchObject([{ result: 'auth-failed', auth: 'spf=fail dkim=none dmarc=fail' }]);
+		expect(await env.DB.prepare('SELECT reason FROM quarantine').first('reason')).toBe('auth-failed');
+
+		expect((await receive('hello@example.com')).forwarded).toHaveLength(1);
+	});
+
+	it("tags failing mail when the alias overrides its domain's policy with tag", async () => {
+		await env.DB.batch([
+			env.DB.prepare("UPDATE domains SET auth_policy = 'reject' WHERE domain = 'example.com'"),
+			env.DB.prepare("UPDATE aliases SET auth_policy = 'tag' WHERE address = 'hello@example.com'"),
+		]);
+		const message = await receive('hello@example.com', 'billing@bank.example', { raw: spoofed });
+
+		expect(message.rejected).toBeNull();
+		expect(message.forwarded[0].headers['x-mailhop-auth']).toBe('fail (spf=fail dkim=none dmarc=fail)');
+		expect((await receive('hello@example.com')).forwarded[0].headers['x-mailhop-auth']).toBeUndefined();
+	});
+
+	it("refuses mail over the size limit, the alias's own limit first", async () => {
+		await env.DB.prepare("UPDATE domains SET max_size_bytes = 100 WHERE domain = 'example.com'").run();
+		const message = await receive('hello@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('552 5.3.4 Message size exceeds limit for this address');
+		expect(await logs()).toMatchObject([{ result: 'too-large' }]);
+		expect(await env.DB.prepare('SELECT reason FROM quarantine').first('reason')).toBe('too-large');
+
+		await env.DB.prepare("UPDATE aliases SET max_size_bytes = 0 WHERE address = 'hello@example.com'").run();
+		expect((await receive('hello@example.com')).forwarded).toHaveLength(1);
+	});
+
+	it('rejects mail with an executable attachment under the reject policy', async () => {
+		await env.DB.prepare("UPDATE aliases SET attachment_policy = 'reject' WHERE address = 'hello@example.com'").run();
+		const message = await receive('hello@example.com', 'news@shop.example', { raw: invoice });
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('550 5.7.1 Message contains a blocked attachment type');
+		expect(await env.DB.prepare('SELECT result, error FROM email_logs').first()).toEqual({
+			result: 'attachment-blocked',
+			error: 'blocked attachment: invoice.exe (application/octet-stream) (quarantined #1)',
+		});
+
+		expect((await receive('hello@example.com')).forwarded).toHaveLength(1);
+	});
+
+	it('strips an executable attachment and sends the rest on under the strip policy', async () => {
+		await env.DB.prepare("UPDATE domains SET attachment_policy = 'strip' WHERE domain = 'example.com'").run();
+		expect((await receive('hello@example.com', 'news@shop.example', { raw: invoice })).rejected).toBe(
+			'550 5.7.1 Message contains a blocked attachment type',
+		);
+
+		const SEND_EMAIL = sendEmailStub();
+		const message = await receive('hello@example.com', 'news@shop.example', { raw: invoice, bindings: { SEND_EMAIL } });
+		expect(message.rejected).toBeNull();
+		const [copy] = SEND_EMAIL.sent;
+		expect(copy).toMatchObject({ from: 'hello@example.com', to: 'me@inbox.example.net' });
+		expect(copy.raw).toMatch(/^X-Mailhop-Stripped: invoice\.exe \(application\/octet-stream\)\r?$/m);
+		expect(copy.raw).toContain('[Attachment invoice.exe (application/octet-stream) removed by Mailhop]');
+		expect(copy.raw).toContain('filename="invoice.pdf"');
+		expect(copy.raw).not.toContain('TVqQAAMAAAAEAAAA');
+		expect((await logs()).map((l) => l.result)).toEqual(['attachment-blocked', 'forwarded']);
+	});
+
+	it("tries the domain's fallback destinations in order when the alias's destination fails", async () => {
+		await env.DB.prepare(
+			`UPDATE domains SET fallback_to = '["backup@inbox.example.net","spare@inbox.example.net"]' WHERE domain = 'example.com'`,
+		).run();
+		const message = await receive('hello@example.com', 'news@shop.example', {
+			refuse: ['me@inbox.example.net', 'backup@inbox.example.net'],
+		});
+
+		expect(message.rejected).toBeNull();
+		expect(message.forwarded.map((f) => f.rcpt)).toEqual(['spare@inbox.example.net']);
+		const { results } = await env.DB.prepare('SELECT dest_addr, attempt, result FROM email_logs ORDER BY id').all();
+		expect(results).toEqual([
+			{ dest_addr: 'me@inbox.example.net', attempt: 1, result: 'error' },
+			{ dest_addr: 'backup@inbox.example.net', attempt: 2, result: 'error' },
+			{ dest_addr: 'spare@inbox.example.net', attempt: 3, result: 'forwarded' },
+		]);
+	});
+
+	it('answers 451 when every destination fails under the defer failure mode', async () => {
+		await env.DB.batch([
+			env.DB.prepare(`UPDATE domains SET fallback_to = '["backup@inbox.example.net"]' WHERE domain = 'example.com'`),
+			env.DB.prepare("UPDATE aliases SET fallback_to = '[]', failure_mode = 'defer' WHERE address = 'hello@example.com'"),
+		]);
+		const message = await receive('hello@example.com', 'news@shop.example', { refuse: ['me@inbox.example.net'] });
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('451 4.4.1 Destination temporarily unavailable, try again later');
+		expect((await logs()).map((l) => [l.dest_addr, l.result])).toEqual([
+			['me@inbox.example.net', 'error'],
+			[null, 'deferred'],
+		]);
+
+		await env.DB.prepare("UPDATE aliases SET failure_mode = 'reject' WHERE address = 'hello@example.com'").run();
+		expect((await receive('hello@example.com', 'news@shop.example', { refuse: ['me@inbox.example.net'] })).rejected).toBe(
+			'550 Destination not verified',
+		);
+	});
+
+	it('tags forwarded mail with the alias, route and plus tag it came through', async () => {
+		const message = await receive('hello+shop@example.com');
+
+		expect(message.forwarded).toEqual([
+			{
+				rcpt: 'me@inbox.example.net',
+				headers: { 'x-mailhop-alias': 'hello@example.com', 'x-mailhop-route': 'base+tag', 'x-mailhop-tag': 'shop' },
+			},
+		]);
+	});
+
+	it("prefixes the subject from the alias's template when SEND_EMAIL is bound", async () => {
+		await env.DB.prepare("UPDATE aliases SET subject_prefix = '[{local}] {tag}' WHERE address = 'hello@example.com'").run();
+		const SEND_EMAIL = sendEmailStub();
+
+		const tagged = await receive('hello+shop@example.com', 'news@shop.example', { bindings: { SEND_EMAIL } });
+		expect(tagged.forwarded).toEqual([]);
+		expect(SEND_EMAIL.sent[0]).toMatchObject({ from: 'hello+shop@example.com', to: 'me@inbox.example.net' });
+		expect(SEND_EMAIL.sent[0].raw).toMatch(/^Subject: \[hello\] shop Spring sale\r?$/m);
+		expect(SEND_EMAIL.sent[0].raw).toMatch(/^X-Mailhop-Tag: shop\r?$/m);
+
+		await receive('hello@example.com', 'news@shop.example', { bindings: { SEND_EMAIL } });
+		expect(SEND_EMAIL.sent[1].raw).toMatch(/^Subject: \[hello\] Spring sale\r?$/m);
+
+		const unbound = await receive('hello@example.com');
+		expect(unbound.forwarded).toHaveLength(1);
+	});
+
+	it("records sender domains and flags mail from outside the alias's expected senders", async () => {
+		await env.DB.prepare(`UPDATE aliases SET expected_senders = '["shop.example"]' WHERE address = 'hello@example.com'`).run();
+
+		await receive('hello@example.com', 'news@shop.example');
+		await receive('hello@example.com', 'orders@mail.shop.example');
+		await receive('hello@example.com', 'offers@tracker.example');
+		await receive('hello@example.com', 'deals@tracker.example');
+
+		const { results: flags } = await env.DB.prepare('SELECT from_addr, unexpected_sender FROM email_logs ORDER BY id').all();
+		expect(flags.map((r) => [r.from_addr, r.unexpected_sender])).toEqual([
+			['news@shop.example', 0],
+			['orders@mail.shop.example', 0],
+			['offers@tracker.example', 1],
+			['deals@tracker.example', 1],
+		]);
+		const { results: seen } = await env.DB.prepare('SELECT domain, message_count FROM alias_sender_domains ORDER BY domain').all();
+		expect(seen).toEqual([
+			{ domain: 'mail.shop.example', message_count: 1 },
+			{ domain: 'shop.example', message_count: 1 },
+			{ domain: 'tracker.example', message_count: 2 },
+		]);
+	});
+
+	it('counts received and rejected mail on the alias', async () => {
+		const before = Math.floor(Date.now() / 1000);
+		await receive('hello@example.com');
+		await receive('hello@example.com');
+		await env.DB.prepare("UPDATE aliases SET enabled = 0 WHERE address = 'hello@example.com'").run();
+		await receive('hello@example.com');
+		await receive('nobody@example.com');
+
+		const alias = await env.DB.prepare(
+			"SELECT received_count, rejected_count, forwarded_count, last_received_at FROM aliases WHERE address = 'hello@example.com'",
+		).first();
+		expect(alias).toMatchObject({ received_count: 3, rejected_count: 1, forwarded_count: 2 });
+		expect(alias.last_received_at).toBeGreaterThanOrEqual(before);
+	});
+
+	it('serves alias lookups from the cache until the API bumps its version', async () => {
+		await env.ALIAS_CACHE.put('version', crypto.randomUUID());
+		const log = vi.spyOn(console, 'log');
+		const bindings = { ALIAS_CACHE_TTL: '60' };
+		const cacheStatus = () => JSON.parse(log.mock.calls.at(-1)[0]).cache;
+
+		expect((await receive('hello@example.com', 'news@shop.example', { bindings })).forwarded[0].rcpt).toBe('me@inbox.example.net');
+		expect(cacheStatus()).toBe('miss');
+
+		await env.DB.prepare("UPDATE aliases SET forward_to = 'new@inbox.example.net' WHERE address = 'hello@example.com'").run();
+		expect((await receive('hello@example.com', 'news@shop.example', { bindings })).forwarded[0].rcpt).toBe('me@inbox.example.net');
+		expect(cacheStatus()).toBe('hit');
+
+		await env.ALIAS_CACHE.put('version', crypto.randomUUID());
+		expect((await receive('hello@example.com', 'news@shop.example', { bindings })).forwarded[0].rcpt).toBe('new@inbox.example.net');
+		expect(cacheStatus()).toBe('miss');
+	});
+
+	it('refuses a disabled alias', async () => {
+		await env.DB.prepare("UPDATE aliases SET enabled = 0 WHERE address = 'hello@example.com'").run();
+		const message = await receive('hello@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBe('550 This address is disabled');
+		expect(await logs()).toMatchObject([{ route: 'exact', result: 'disabled' }]);
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('silently drops mail for a disabled alias set to drop', async () => {
+		await env.DB.prepare("UPDATE aliases SET enabled = 0, disabled_action = 'drop' WHERE address = 'hello@example.com'").run();
+		const message = await receive('hello@example.com');
+
+		expect(message.forwarded).toEqual([]);
+		expect(message.rejected).toBeNull();
+		expect(await logs()).toMatchObject([{ route: 'exact', result: 'dropped' }]);
+	});
+
+	it('posts signed webhooks for the aliases they are subscribed to', async () => {
+		const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('ok'));
+		await env.DB.batch([
+			env.DB.prepare("INSERT INTO aliases (address, forward_to, created_at) VALUES ('other@example.com', 'me@inbox.example.net', 0)"),
+			env.DB.prepare(
+				"INSERT INTO webhooks (url, secret, events, alias_address) VALUES ('https://hooks.example.net/hello', 's3cret', NULL, 'hello@example.com')",
+			),
+			env.DB.prepare(
+				`INSERT INTO webhooks (url, secret, events) VALUES ('https://hooks.example.net/rejected', 's3cret', '["rejected"]')`,
+			),
+		]);
+
+		await receive('other@example.com');
+		expect(fetch).not.toHaveBeenCalled();
+
+		await receive('hello@example.com');
+		expect(fetch).toHaveBeenCalledTimes(1);
+		const [url, init] = fetch.mock.calls[0];
+		expect(url).toBe('https://hooks.example.net/hello');
+		expect(init.headers['x-mailhop-event']).toBe('forwarded');
+		expect(JSON.parse(init.body)).toMatchObject({
+			event: 'forwarded',
+			result: 'forwarded',
+			message_id: '<spring-sale-1@shop.example>',
+			to: 'hello@example.com',
+			dest: 'me@inbox.example.net',
+		});
+
+		const key = await crypto.subtle.importKey('raw', new TextEncoder().encode('s3cret'), { name: 'HMAC', hash: 'SHA-256' }, false, [
+			'verify',
+		]);
+		const signature = init.headers['x-mailhop-signature'].replace(/^sha256=/, '');
+		const bytes = new Uint8Array(signature.match(/../g).map((h) => parseInt(h, 16)));
+		expect(await crypto.subtle.verify('HMAC', key, bytes, new TextEncoder().encode(init.body))).toBe(true);
+		const hook = await env.DB.prepare("SELECT last_status FROM webhooks WHERE alias_address = 'hello@example.com'").first();
+		expect(hook.last_status).toBe(200);
+
+		await receive('nobody@example.com');
+		expect(fetch).toHaveBeenCalledTimes(2);
+		expect(fetch.mock.calls[1][0]).toBe('https://hooks.example.net/rejected');
+	});
+
+	it('defers mail from a sender over its rate limit on the alias', async () => {
+		await env.DB.prepare("UPDATE aliases SET sender_rate_limit = 2, rate_window = 86400 WHERE address = 'hello@example.com'").run();
+
+		expect((await receive('hello@example.com')).rejected).toBeNull();
+		expect((await receive('hello@example.com')).rejected).toBeNull();
+		const limited = await receive('hello@example.com');
+		expect(limited.forwarded).toEqual([]);
+		expect(limited.rejected).toBe('451 4.7.1 Too many messages for this address, try again later');
+
+		expect((await receive('hello@example.com', 'friend@elsewhere.example')).rejected).toBeNull();
+		expect((await logs()).map((l) => l.result)).toEqual(['forwarded', 'forwarded', 'rate-limited', 'forwarded']);
+	});
+
+	it('fires a deferred webhook event when an alias is rate limited', async () => {
+		const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('ok'));
+		await env.DB.batch([
+			env.DB.prepare("UPDATE aliases SET rate_limit = 1 WHERE address = 'hello@example.com'"),
+			env.DB.prepare(`INSERT INTO webhooks (url, secret, events) VALUES ('https://hooks.example.net/mail', 's3cret', '["deferred"]')`),
+		]);
+
+		expect((await receive('hello@example.com')).rejected).toBeNull();
+		expect((await receive('hello@example.com')).rejected).toMatch(/^451/);
+
+		expect(fetch).toHaveBeenCalledTimes(1);
+		const [url, init] = fetch.mock.calls[0];
+		expect(url).toBe('https://hooks.example.net/mail');
+		expect(init.headers['x-mailhop-event']).toBe('deferred');
+		expect(JSON.parse(init.body)).toMatchObject({ event: 'deferred', result: 'rate-limited', to: 'hello@example.com' });
 	});
 });
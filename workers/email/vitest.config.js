@@ -1,11 +1,19 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// The API Worker owns the schema; apply it to the local D1 before each test file.
+	const migrations = await readD1Migrations(path.join(import.meta.dirname, '../api'));
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.js'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.test.jsonc' },
+					miniflare: { bindings: { TEST_MIGRATIONS: migrations } },
+				},
 			},
 		},
-	},
+	};
 });
@@ -0,0 +1,117 @@
+import { norm } from "./routing.js";
+
+/**
+ * Mailhop MIME helpers
+ * --------------------
+ * Byte-safe header rewriting for mail we re-send instead of forwarding
+ * as-is, shared by both workers:
+ * - the Email Worker re-sends reverse-alias mail, tagged copies and
+ *   stripped attachments with it
+ * - the API Worker releases quarantined messages with it
+ *
+ * Only the header block is decoded; bodies are copied byte-for-byte so
+ * 8-bit and binary parts survive unchanged.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Split raw bytes into the header block (as text) and the body bytes.
+ * The body keeps its leading blank line so the two can be re-joined as-is.
+ */
+export function splitMessage(bytes) {
+  for (let i = 0; i < bytes.length - 1; i++) {
+    if (bytes[i] !== 10) continue;
+    if (bytes[i + 1] === 10 || (bytes[i + 1] === 13 && bytes[i + 2] === 10)) {
+      return {
+        headerText: decoder.decode(bytes.subarray(0, i + 1)),
+        body: bytes.subarray(i + 1),
+      };
+    }
+  }
+  return { headerText: decoder.decode(bytes), body: new Uint8Array(0) };
+}
+
+/** Parse a header block into [{ name, raw }] (raw keeps folded lines). */
+export function parseHeaders(headerText) {
+  const headers = [];
+  for (const line of headerText.split(/\r?\n/)) {
+    if (!line) continue;
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].raw += `\r\n${line}`;
+      continue;
+    }
+    const colon = line.indexOf(":");
+    if (colon > 0) {
+      headers.push({ name: line.slice(0, colon).trim(), raw: line });
+    }
+  }
+  return headers;
+}
+
+/** Value of one header from a parseHeaders() list (unfolded), or "". */
+export function headerValue(headers, name) {
+  const h = headers.find((x) => x.name.toLowerCase() === name);
+  return h ? h.raw.slice(h.raw.indexOf(":") + 1).replace(/\r\n[ \t]+/g, " ").trim() : "";
+}
+
+/**
+ * Rebuild a raw message with some headers replaced or removed.
+ * - `set`:    { Name: value } — replaces every existing header of that name
+ * - `remove`: [names] — dropped entirely
+ * The body is copied byte-for-byte.
+ */
+export function rewriteHeaders(bytes, { set = {}, remove = [] }) {
+  const { headerText, body } = splitMessage(bytes);
+  const drop = new Set(
+    [...remove, ...Object.keys(set)].map((h) => h.toLowerCase())
+  );
+
+  const lines = [
+    ...Object.entries(set)
+      .filter(([, value]) => value != null)
+      .map(([name, value]) => `${name}: ${value}`),
+    ...parseHeaders(headerText)
+      .filter((h) => !drop.has(h.name.toLowerCase()))
+      .map((h) => h.raw),
+  ];
+
+  const head = encoder.encode(`${lines.join("\r\n")}\r\n`);
+  const out = new Uint8Array(head.length + body.length);
+  out.set(head, 0);
+  out.set(body, head.length);
+  return out;
+}
+
+/**
+ * Pull the first address and display name out of an address header
+ * ("Alice <alice@shop.example>", "bob@x.example, …").
+ */
+export function parseAddressHeader(value) {
+  const v = (value || "").trim();
+  const angle = v.match(/^(.*?)<([^>]+)>/);
+  if (angle) {
+    return {
+      name: angle[1].trim().replace(/^"(.*)"$/, "$1"),
+      address: norm(angle[2]),
+    };
+  }
+  return { name: "", address: norm(v.split(",")[0]) };
+}
+
+/** RFC 2047-encode header text unless it is plain ASCII. */
+export function encodeWord(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const utf8 = String.fromCharCode(...encoder.encode(text));
+  return `=?UTF-8?B?${btoa(utf8)}?=`;
+}
+
+/** Format "Name <addr>", RFC 2047-encoding the name if it is not plain ASCII. */
+export function formatAddress(name, address) {
+  if (!name) return address;
+  if (/^[\x20-\x7e]*$/.test(name)) {
+    return `"${name.replace(/["\\]/g, "\\$&")}" <${address}>`;
+  }
+  return `${encodeWord(name)} <${address}>`;
+}
@@ -0,0 +1,445 @@
+/**
+ * Mailhop routing resolver
+ * ------------------------
+ * The routing decision for a recipient address, shared by both workers:
+ * - the Email Worker routes real mail with it
+ * - the API Worker answers POST /route/test (a dry run) with it
+ * so a dry run always agrees with what inbound mail would do.
+ *
+ * Everything here is pure: no bindings, no message. Alias lookups are passed
+ * in (see resolveRoute), so each worker brings its own D1 queries. Checks
+ * that need the message itself (rate limits, sender authentication, size and
+ * attachments) stay in the Email Worker.
+ */
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Addresses and domains
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/** Normalize arbitrary strings (emails, domains) to lowercase with no surrounding spaces. */
+export function norm(s) {
+  return (s || "").trim().toLowerCase();
+}
+
+/** Default subaddress separator (user+tag@…). */
+export const DEFAULT_SEPARATOR = "+";
+
+/** Parse a JSON column, returning `fallback` for NULL or malformed values. */
+export function parseJSONColumn(value, fallback) {
+  if (value == null || value === "") return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Build the domain settings used for routing from `domains` table rows.
+ * - If there are no rows at all, falls back to the legacy Wrangler var
+ *   DOMAIN so single-domain setups keep working until they add rows.
+ *
+ * Returns:
+ *   {
+ *     enabled:    Set<string>,          // domains we accept mail for
+ *     known:      Set<string>,          // every domain we route (enabled or not), used for loop checks
+ *     separators: Map<string, string>,  // domain → subaddress separator
+ *     authPolicies: Map<string, string>, // domain → "off" | "tag" | "reject"
+ *     contentPolicies: Map<string, { maxSize, attachments, blocked }>,
+ *                                       // domain → size limit / attachment policy defaults
+ *     failurePolicies: Map<string, { fallback, mode }>,
+ *                                       // domain → fallback destinations / failure_mode
+ *   }
+ */
+export function buildDomains(rows, legacyDomain) {
+  const enabled = new Set();
+  const known = new Set();
+  const separators = new Map();
+  const authPolicies = new Map();
+  const contentPolicies = new Map();
+  const failurePolicies = new Map();
+
+  for (const row of rows) {
+    const d = norm(row.domain);
+    if (!d) continue;
+    known.add(d);
+    separators.set(d, row.separator || DEFAULT_SEPARATOR);
+    authPolicies.set(d, row.auth_policy || "off");
+    contentPolicies.set(d, {
+      maxSize: row.max_size_bytes == null ? null : Number(row.max_size_bytes),
+      attachments: row.attachment_policy || "allow",
+      blocked: parseJSONColumn(row.blocked_attachments, null),
+    });
+    failurePolicies.set(d, {
+      fallback: parseJSONColumn(row.fallback_to, []),
+      mode: row.failure_mode || "reject",
+    });
+    if (Number(row.enabled) === 1) enabled.add(d);
+  }
+
+  if (rows.length === 0 && legacyDomain) {
+    const legacy = norm(legacyDomain);
+    enabled.add(legacy);
+    known.add(legacy);
+    separators.set(legacy, DEFAULT_SEPARATOR);
+  }
+
+  return { enabled, known, separators, authPolicies, contentPolicies, failurePolicies };
+}
+
+/**
+ * Split an email address into { local, domain, full } parts.
+ * If not valid (no "@"), returns empty local/domain but keeps full.
+ */
+export function splitAddress(raw) {
+  const full = norm(raw);
+  const at = full.lastIndexOf("@");
+  if (at < 1) {
+    return { local: "", domain: "", full };
+  }
+  return {
+    local: full.slice(0, at),
+    domain: full.slice(at + 1),
+    full,
+  };
+}
+
+/** Return true if addr belongs to any domain we route (enabled or not). */
+export function isOurDomain(addr, domains) {
+  const { domain } = splitAddress(addr);
+  return domains.known.has(domain);
+}
+
+/** Prevent routing loops: never forward back into any of our own domains. */
+export function wouldLoop(forwardTo, domains) {
+  return isOurDomain(forwardTo, domains);
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Alias rows
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rank a pattern's local part: more literal characters first, then fewer
+ * wildcards. The catch-all "*" has no literals, so it always ranks last.
+ */
+function patternRank(local) {
+  const wildcards = (local.match(/\*/g) || []).length;
+  return { literals: local.length - wildcards, wildcards };
+}
+
+/** Compile a local-part glob ("shop-*") into an anchored RegExp. */
+export function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Pick the most specific pattern alias (address containing "*") among
+ * `rows` that matches the recipient's local part on its domain.
+ * Returns { row, catchAll } or null.
+ */
+export function pickPatternAlias(rows, rcpt) {
+  const candidates = rows
+    .map((row) => ({ row, pattern: splitAddress(row.address) }))
+    .filter(({ pattern }) => pattern.domain === rcpt.domain)
+    .filter(({ pattern }) => globToRegExp(pattern.local).test(rcpt.local))
+    .sort((a, b) => {
+      const ra = patternRank(a.pattern.local);
+      const rb = patternRank(b.pattern.local);
+      return (
+        rb.literals - ra.literals ||
+        ra.wildcards - rb.wildcards ||
+        a.pattern.full.localeCompare(b.pattern.full)
+      );
+    });
+
+  if (candidates.length === 0) return null;
+
+  const best = candidates[0];
+  return { row: best.row, catchAll: best.pattern.local === "*" };
+}
+
+/**
+ * All destinations for an alias row, in delivery order.
+ * Aliases created before fan-out have no alias_destinations rows, so we
+ * fall back to the single forward_to column.
+ */
+export function destinationsOf(row) {
+  const list = parseJSONColumn(row.destinations, []);
+  return list.length > 0 ? list.map(norm) : [norm(row.forward_to)];
+}
+
+/**
+ * Apply a base alias's tag settings to a subaddress tag.
+ * - allowed_tags (JSON array): if set, only these tags are accepted
+ * - tag_routes (JSON object):  {tag: destination or [destinations]}
+ * Returns { reject: reason } or { row } where row may carry overridden
+ * destinations for a routed tag.
+ */
+export function applyTagRules(row, tag) {
+  const allowed = parseJSONColumn(row.allowed_tags, null);
+  if (Array.isArray(allowed) && !allowed.map(norm).includes(tag)) {
+    return { reject: `tag "${tag}" is not in the allowed tags of ${row.address}` };
+  }
+
+  const routes = parseJSONColumn(row.tag_routes, {});
+  const routed = Object.entries(routes || {}).find(([t]) => norm(t) === tag);
+  if (routed) {
+    const list = (Array.isArray(routed[1]) ? routed[1] : [routed[1]]).map(norm);
+    return { row: { ...row, destinations: JSON.stringify(list) } };
+  }
+
+  return { row };
+}
+
+/**
+ * Why a burner alias should no longer accept mail, or null if it still does.
+ * - expires_at:   unix seconds after which the alias is dead
+ * - max_messages: cap on forwarded_count
+ */
+export function expiryReason(row, now) {
+  if (row.expires_at != null && now >= Number(row.expires_at)) {
+    return `alias expired at ${new Date(Number(row.expires_at) * 1000).toISOString()}`;
+  }
+  if (
+    row.max_messages != null &&
+    Number(row.forwarded_count) >= Number(row.max_messages)
+  ) {
+    return `alias reached its limit of ${row.max_messages} messages`;
+  }
+  return null;
+}
+
+/** Does `sender` (a full address) match one sender rule pattern? */
+function senderMatches(pattern, sender) {
+  const p = norm(pattern);
+  if (p.includes("*")) return globToRegExp(p).test(sender.full);
+  if (p.startsWith("@")) return sender.domain === p.slice(1);
+  return sender.full === p;
+}
+
+/**
+ * Apply an alias's sender rules to the envelope sender.
+ * - any matching block rule rejects
+ * - if allow rules exist, the sender must match one of them
+ * Returns a reason string if the sender is blocked, otherwise null.
+ */
+export function senderBlockReason(row, from) {
+  const rules = parseJSONColumn(row.sender_rules, []);
+  if (rules.length === 0) return null;
+
+  const sender = splitAddress(from);
+
+  const block = rules.find(
+    (r) => r.action === "block" && senderMatches(r.pattern, sender)
+  );
+  if (block) {
+    return `sender ${sender.full || "<none>"} matches block rule ${block.pattern}`;
+  }
+
+  const allows = rules.filter((r) => r.action === "allow");
+  if (allows.length > 0 && !allows.some((r) => senderMatches(r.pattern, sender))) {
+    return `sender ${sender.full || "<none>"} is not on the alias allowlist`;
+  }
+
+  return null;
+}
+
+/**
+ * Is a sender domain covered by an alias's expected_senders? Entries are
+ * domains ("shop.example", also written "@shop.example" or "*.shop.example")
+ * and match their subdomains too.
+ */
+export function senderDomainExpected(domain, expected) {
+  const d = norm(domain);
+  return expected.some((entry) => {
+    const e = norm(entry).replace(/^[@*.]+/, "");
+    return d === e || d.endsWith(`.${e}`);
+  });
+}
+
+/**
+ * The checks on a matched alias that need nothing but the row and the
+ * envelope sender, in the order the Email Worker applies them:
+ * disabled, then expired, then sender rules.
+ * Returns null if the alias takes the mail, otherwise
+ * { result, reason, reply, quarantine } — reply is null for a silent drop.
+ */
+export function aliasRefusal(row, from, now) {
+  if (Number(row.enabled) === 0) {
+    if (row.disabled_action === "drop") {
+      return { result: "dropped", reason: "alias disabled (drop)", reply: null };
+    }
+    return {
+      result: "disabled",
+      reason: "alias disabled (reject)",
+      reply: "550 This address is disabled",
+    };
+  }
+
+  const expired = expiryReason(row, now);
+  if (expired) {
+    return { result: "expired", reason: expired, reply: "550 This address is no longer active" };
+  }
+
+  const blocked = senderBlockReason(row, from);
+  if (blocked) {
+    return {
+      result: "sender-blocked",
+      reason: blocked,
+      reply: "550 5.7.1 Sender not allowed",
+      quarantine: true,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The checks on mail to a reply address that need nothing but the mapping
+ * (with its `alias` row) and the envelope sender: the owning alias must be
+ * enabled and not expired, and the sender one of its destinations.
+ * Returns null if the reply may be sent, otherwise { result, reason, reply }.
+ * Sender authentication needs the message, so the Email Worker checks it.
+ */
+export function reverseRefusal(mapping, from, now) {
+  const disabled = Number(mapping.alias.enabled) === 0;
+  const inactive = disabled ? "alias disabled" : expiryReason(mapping.alias, now);
+  if (inactive) {
+    return {
+      result: disabled ? "disabled" : "expired",
+      reason: `${inactive}; reply address refused`,
+      reply: "550 This address is no longer active",
+    };
+  }
+
+  const sender = norm(from);
+  if (!destinationsOf(mapping.alias).includes(sender)) {
+    return {
+      result: "rejected",
+      reason: `sender ${sender || "<none>"} is not a destination of ${mapping.alias_address}`,
+      reply: "550 5.7.1 Not allowed to use this reply address",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Where a matched alias delivers, before anything is sent:
+ * - destinations: the alias's destinations, in order
+ * - loops:        those inside our own domains (never delivered)
+ * - fallbacks:    tried in order only if no destination accepts the
+ *                 message (alias's fallback_to, else its domain's)
+ * - mode:         failure_mode once the fallbacks fail too
+ */
+export function planDelivery(row, domains, domain) {
+  const destinations = destinationsOf(row);
+  const defaults = domains.failurePolicies?.get(domain) || {};
+  const own = parseJSONColumn(row.fallback_to, null);
+  const fallback = (Array.isArray(own) ? own : defaults.fallback || []).map(norm);
+
+  return {
+    destinations,
+    loops: destinations.filter((dest) => wouldLoop(dest, domains)),
+    fallbacks: fallback.filter((dest) => !destinations.includes(dest)),
+    mode: row.failure_mode || defaults.mode || "reject",
+  };
+}
+
+/// ─────────────────────────────────────────────────────────────────────────────
+/// Resolver
+/// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decide how mail to `to` is routed. Match precedence (first hit wins):
+ *   0. reverse-alias reply address
+ *   1. exact alias
+ *   2. base alias of user+tag (if allow_plus=1), with its tag rules
+ *   3. pattern aliases, most specific first, then the catch-all *@domain
+ *   4. reject
+ *
+ * `lookup` supplies the alias data (all async):
+ *   reverse(address)   → reverse-alias mapping with its `alias` row, or null
+ *   aliases(addresses) → Map of address → alias row (or null) for the exact
+ *                        and plus-base candidates, fetched together
+ *   patterns(domain)   → pattern alias rows on that domain
+ *
+ * Returns { route, rcpt, base, tag, row, reverse, reject } where reject is
+ * null or { result, reason, reply, quarantine } for a recipient no alias
+ * takes. `base` is the address the log/quarantine entry is filed under.
+ */
+export async function resolveRoute(to, domains, lookup) {
+  const rcpt = splitAddress(to);
+  const noSuchUser = `550 No such user at ${rcpt.domain}`;
+
+  if (!rcpt.local || !domains.enabled.has(rcpt.domain)) {
+    return {
+      route: "invalid-domain",
+      rcpt,
+      reject: {
+        result: "rejected",
+        reason: `recipient domain ${rcpt.domain || "<none>"} is not an enabled Mailhop domain`,
+        reply: "550 Invalid recipient for this domain",
+      },
+    };
+  }
+
+  const reverse = await lookup.reverse(rcpt.full);
+  if (reverse) {
+    return { route: "reverse", rcpt, reverse, reject: null };
+  }
+
+  const separator = domains.separators.get(rcpt.domain) || DEFAULT_SEPARATOR;
+  const sepIdx = rcpt.local.indexOf(separator);
+  const base = sepIdx > 0 ? `${rcpt.local.slice(0, sepIdx)}@${rcpt.domain}` : null;
+  const rows = await lookup.aliases(base ? [rcpt.full, base] : [rcpt.full]);
+
+  const exact = rows.get(rcpt.full);
+  if (exact) {
+    return { route: "exact", rcpt, row: exact, reject: null };
+  }
+
+  if (base) {
+    const tag = rcpt.local.slice(sepIdx + separator.length);
+    const baseRow = rows.get(base);
+
+    if (baseRow && Number(baseRow.allow_plus) === 1) {
+      const tagged = applyTagRules(baseRow, tag);
+      if (tagged.reject) {
+        return {
+          route: "base+tag",
+          rcpt,
+          base,
+          tag,
+          row: baseRow,
+          reject: { result: "rejected", reason: tagged.reject, reply: noSuchUser, quarantine: true },
+        };
+      }
+      return { route: "base+tag", rcpt, base, tag, row: tagged.row, reject: null };
+    }
+  }
+
+  const pattern = pickPatternAlias(await lookup.patterns(rcpt.domain), rcpt);
+  if (pattern) {
+    return {
+      route: pattern.catchAll ? "catch-all" : "pattern",
+      rcpt,
+      base: pattern.row.address,
+      row: pattern.row,
+      reject: null,
+    };
+  }
+
+  return {
+    route: "none",
+    rcpt,
+    reject: {
+      result: "rejected",
+      reason: "no matching alias, plus-base alias or pattern found",
+      reply: noSuchUser,
+      quarantine: true,
+    },
+  };
+}